@@ -3,11 +3,17 @@
  * Handles UI interactions and ties together all modules
  */
 
-import { Memory, RadioImage, TONES, DTCS_CODES, TONE_MODES, CROSS_MODES, MODES, DUPLEX, SKIP_VALUES, TUNING_STEPS, formatFreq, parseFreq, parseRadioMemory, serializeRadioMemory } from './memory.js';
-import { SerialConnection, RadioClone, getAvailablePorts, onPortChange } from './serial.js';
-import { parseCSV, generateCSV, downloadCSV, readCSVFile, readIMGFile, SUPPORTED_FORMATS } from './csv.js';
+import { Memory, RadioImage, TONES, DTCS_CODES, TONE_MODES, CROSS_MODES, MODES, DUPLEX, SKIP_VALUES, TUNING_STEPS, formatFreq, parseFreq, isInBands, validateImage, parseRadioMemory, serializeRadioMemory, parseSettings, serializeSettings, diffRadioMemory, getChannelByteRanges } from './memory.js';
+import { SerialConnection, RadioClone, TransferError, CancelledError, getAvailablePorts, onPortChange } from './serial.js';
+import { SerialTrace } from './trace.js';
+import { convertImage, formatConvertReport, getConvertTargets } from './convert.js';
+import { SessionStore, BackupStore, getBackupKey, snapshotSession, restoreSession } from './storage.js';
+import { parseCSV, generateCSV, downloadCSV, downloadIMG, readCSVFile, readIMGFile, SUPPORTED_FORMATS } from './csv.js';
 import { RepeaterBookClient, ALL_COUNTRIES, getStatesForCountry, BANDS, RB_MODES, STOCK_CONFIGS, loadStockConfig } from './repeaterbook.js';
-import { RADIO_MODELS, getRadioProtocol } from './radio-defs.js';
+import { RADIO_MODELS, VENDOR_NAMES, getRadioProtocol, getChangedBlocks, getBlockCount } from './radio-defs.js';
+
+// How often unsaved work is written to IndexedDB for crash recovery (ms)
+const AUTOSAVE_INTERVAL = 10000;
 
 /**
  * Main Application Class
@@ -31,6 +37,38 @@ class ChirpApp {
         // Track modified cells (unsaved changes) and invalid cells
         this.modifiedCells = new Set();
         this.invalidCells = new Set();
+        
+        // Radio transfer progress dialog (see showProgress)
+        this.progressState = null;
+        this.progressTimer = null;
+        
+        // Dialog id -> function called once when that dialog is closed
+        // (see closeAllDialogs), for dialogs that wait for an answer
+        this.dialogCloseHandlers = {};
+        
+        // Serial traffic of all radio operations in this session
+        this.serialTrace = new SerialTrace();
+        
+        // Fleet programming session (see startFleet)
+        this.fleet = null;
+        
+        // Report of the last Convert to Model (see convertToModel)
+        this.convertReport = null;
+        
+        // Crash recovery (see startAutosave)
+        this.sessionStore = null;
+        this.autosaveTimer = null;
+        this.autosaveState = null;       // What the last autosave saw, to skip unchanged ticks
+        this.pendingRecovery = null;     // Stored session the user hasn't decided on yet
+        
+        // Backup library of radio downloads (see startBackups)
+        this.backupStore = null;
+        this.backups = [];               // Backups listed in the library dialog
+        
+        // Results of the last validation pass (see runValidation)
+        this.problems = [];
+        this.problemsTarget = null;      // Radio checked against, if not the image's own
+        this.problemCells = new Map();   // "location:column" -> 'error' | 'warning'
 
         this.init();
     }
@@ -44,6 +82,8 @@ class ChirpApp {
         this.checkSerialSupport();
         this.updateUI();
         this.newFile();
+        this.startAutosave();
+        this.startBackups();
     }
 
     /**
@@ -57,10 +97,15 @@ class ChirpApp {
         document.getElementById('menu-save-as')?.addEventListener('click', () => this.saveFileAs());
         document.getElementById('menu-import')?.addEventListener('click', () => this.importFile());
         document.getElementById('menu-export')?.addEventListener('click', () => this.exportFile());
+        document.getElementById('menu-convert')?.addEventListener('click', () => this.showConvertDialog());
 
         // Radio menu
         document.getElementById('menu-download')?.addEventListener('click', () => this.downloadFromRadio());
         document.getElementById('menu-upload')?.addEventListener('click', () => this.uploadToRadio());
+        document.getElementById('menu-fleet')?.addEventListener('click', () => this.fleetProgramming());
+        document.getElementById('menu-backups')?.addEventListener('click', () => this.showBackupLibrary());
+        document.getElementById('menu-settings')?.addEventListener('click', () => this.showSettingsDialog());
+        document.getElementById('menu-trace')?.addEventListener('click', () => this.showTraceDialog());
         document.getElementById('menu-query-rb')?.addEventListener('click', () => this.showRepeaterBookDialog());
 
         // Edit menu
@@ -70,6 +115,12 @@ class ChirpApp {
         document.getElementById('menu-delete')?.addEventListener('click', () => this.deleteSelected());
         document.getElementById('menu-insert')?.addEventListener('click', () => this.insertRow());
         document.getElementById('menu-select-all')?.addEventListener('click', () => this.selectAll());
+        document.getElementById('menu-check')?.addEventListener('click', () => this.checkChannels());
+        
+        // Problems panel
+        document.getElementById('problems-dock')?.addEventListener('click', () => this.toggleProblemsDock());
+        document.getElementById('problems-close')?.addEventListener('click', () => this.showProblemsPanel(false));
+        this.setProblemsDock(localStorage.getItem('chirp_problems_dock') || 'bottom');
 
         // Stock configs menu
         this.populateStockConfigMenu();
@@ -92,6 +143,13 @@ class ChirpApp {
         // Edit dialog save
         document.getElementById('edit-save')?.addEventListener('click', () => this.saveEditDialog());
         
+        // Settings dialog apply
+        document.getElementById('settings-apply')?.addEventListener('click', () => this.saveSettingsDialog());
+        
+        // Convert to model
+        document.getElementById('convert-run')?.addEventListener('click', () => this.convertToModel());
+        document.getElementById('convert-save-report')?.addEventListener('click', () => this.saveConvertReport());
+        
         // Set up form input validation
         this.setupFormValidation();
 
@@ -101,12 +159,25 @@ class ChirpApp {
         
         // Radio selection dialog
         document.getElementById('radio-connect')?.addEventListener('click', () => this.handleRadioConnect());
+        document.getElementById('radio-detect')?.addEventListener('click', () => this.handleRadioDetect());
 
         // Prevent form submission
         document.querySelectorAll('form').forEach(form => {
             form.addEventListener('submit', (e) => e.preventDefault());
         });
 
+        // Backup library dialog
+        document.getElementById('backup-radio')?.addEventListener('change', () => this.renderBackupList());
+        document.getElementById('backup-list')?.addEventListener('change', () => this.updateBackupActions());
+        document.getElementById('backup-compare')?.addEventListener('click', () => this.compareBackups());
+        document.getElementById('backup-restore')?.addEventListener('click', () => this.restoreBackup());
+        document.getElementById('backup-upload')?.addEventListener('click', () => this.uploadBackup());
+        document.getElementById('backup-delete')?.addEventListener('click', () => this.deleteBackups());
+        
+        // Session recovery dialog
+        document.getElementById('recover-restore')?.addEventListener('click', () => this.recoverSession());
+        document.getElementById('recover-discard')?.addEventListener('click', () => this.discardRecovery());
+        
         // Window close warning
         window.addEventListener('beforeunload', (e) => {
             if (this.modified) {
@@ -114,6 +185,14 @@ class ChirpApp {
                 e.returnValue = '';
             }
         });
+        
+        // Last chance to autosave when the tab is hidden or closed
+        window.addEventListener('pagehide', () => this.autosave());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autosave();
+            }
+        });
     }
 
     /**
@@ -125,7 +204,6 @@ class ChirpApp {
             'edit-freq': { allowedChars: /^[0-9.]$/, singleDecimal: true },
             'edit-offset': { allowedChars: /^[0-9.]$/, singleDecimal: true },
             'edit-name': { allowedChars: /^[A-Za-z0-9 \-_/]$/, singleDecimal: false },
-            'edit-power': { allowedChars: /^[A-Za-z0-9.]$/, singleDecimal: true },
             'edit-comment': { allowedChars: /^[\x20-\x7E]$/, singleDecimal: false }
         };
         
@@ -198,6 +276,10 @@ class ChirpApp {
             // Frequency validation: must be a valid number format
             if (value && !/^\d+\.?\d*$/.test(value)) {
                 isValid = false;
+            } else if (value && inputId === 'edit-freq' && this.currentImage &&
+                       !isInBands(parseFreq(value), this.currentImage.features.bands)) {
+                // Outside the radio's bands
+                isValid = false;
             }
         }
         
@@ -229,11 +311,23 @@ class ChirpApp {
         document.getElementById('menu-save')?.classList.toggle('disabled', !hasImage || !this.modified);
         document.getElementById('menu-save-as')?.classList.toggle('disabled', !hasImage);
         document.getElementById('menu-export')?.classList.toggle('disabled', !hasImage);
+        document.getElementById('menu-convert')?.classList.toggle('disabled', !hasImage);
         document.getElementById('menu-upload')?.classList.toggle('disabled', !hasImage);
+        document.getElementById('menu-fleet')?.classList.toggle('disabled', !hasImage);
+        
+        // Radios whose protocol has no settings schema get no Settings entry
+        const settingsItem = document.getElementById('menu-settings');
+        if (settingsItem) {
+            const radioImage = hasImage && !!this.currentImage._rawData;
+            settingsItem.classList.toggle('disabled', !radioImage);
+            settingsItem.style.display = radioImage && !this.getSettingsSchema() ? 'none' : '';
+        }
+        
         document.getElementById('menu-cut')?.classList.toggle('disabled', !hasSelection);
         document.getElementById('menu-copy')?.classList.toggle('disabled', !hasSelection);
         document.getElementById('menu-paste')?.classList.toggle('disabled', !hasClipboard);
         document.getElementById('menu-delete')?.classList.toggle('disabled', !hasSelection);
+        document.getElementById('menu-check')?.classList.toggle('disabled', !hasImage);
 
         // Update title
         let title = 'CHIRP Web';
@@ -371,7 +465,13 @@ class ChirpApp {
     saveFileAs() {
         if (!this.currentImage) return;
 
-        const filename = prompt('Save as:', this.currentImage.filename || 'chirp_export.csv');
+        // Images that came from a radio default to the native .img format
+        let defaultName = this.currentImage.filename || 'chirp_export.csv';
+        if (this.currentImage._rawData) {
+            defaultName = defaultName.replace(/\.[^.]+$/, '') + '.img';
+        }
+
+        const filename = prompt('Save as:', defaultName);
         if (filename) {
             this.doSave(filename);
         }
@@ -381,14 +481,29 @@ class ChirpApp {
      * Do the actual save
      */
     doSave(filename) {
+        // Saving is never blocked, but problems are shown so they aren't
+        // discovered at upload time
+        const problems = this.runValidation(null);
+        if (problems.length > 0) {
+            this.showProblemsPanel(true);
+        }
+        
         try {
-            downloadCSV(this.currentImage, filename);
+            if (filename.toLowerCase().endsWith('.img')) {
+                downloadIMG(this.currentImage, filename);
+            } else {
+                downloadCSV(this.currentImage, filename);
+            }
             this.currentImage.filename = filename;
+            this.currentImage._unsaved = false;
             this.modified = false;
             this.modifiedCells.clear();
             this.renderMemoryGrid();
             this.updateUI();
-            this.showStatus(`Saved ${filename}`);
+            this.showStatus(problems.length > 0
+                ? `Saved ${filename} (${this.describeProblemCount(problems)})`
+                : `Saved ${filename}`);
+            this.autosave();
         } catch (error) {
             this.showError(`Failed to save: ${error.message}`);
         }
@@ -505,6 +620,11 @@ class ChirpApp {
     renderMemoryGrid() {
         const grid = document.getElementById('memory-grid');
         if (!grid || !this.currentImage) return;
+        
+        // Keep an open Problems panel in step with the edits
+        if (this.isProblemsPanelVisible()) {
+            this.runValidation();
+        }
 
         // Clear existing content
         grid.innerHTML = '';
@@ -664,6 +784,12 @@ class ChirpApp {
                 if (this.invalidCells.has(`${mem.number}:${col.key}`)) {
                     td.classList.add('invalid');
                 }
+                
+                // Mark cells with problems from the validation pass
+                const severity = this.problemCells.get(`${mem.number}:${col.key}`);
+                if (severity) {
+                    td.classList.add(`problem-${severity}`);
+                }
                 row.appendChild(td);
             }
             
@@ -789,7 +915,14 @@ class ChirpApp {
             editor = document.createElement('select');
             editor.className = 'cell-editor cell-select';
             
-            for (const opt of editorConfig.options) {
+            // Keep a value the radio doesn't support selectable, so opening
+            // the editor never changes the channel by itself
+            const options = [...editorConfig.options];
+            if (!options.some(opt => opt.value === editorConfig.currentValue)) {
+                options.push({ value: editorConfig.currentValue, label: `${editorConfig.currentValue} (unsupported)` });
+            }
+            
+            for (const opt of options) {
                 const option = document.createElement('option');
                 option.value = opt.value;
                 option.textContent = opt.label;
@@ -806,6 +939,9 @@ class ChirpApp {
             if (editorConfig.placeholder) {
                 editor.placeholder = editorConfig.placeholder;
             }
+            if (editorConfig.maxLength !== undefined) {
+                editor.maxLength = editorConfig.maxLength;
+            }
             
             // Add input validation based on column type
             const validationConfig = this.getInputValidation(columnKey);
@@ -937,8 +1073,13 @@ class ChirpApp {
 
     /**
      * Get editor configuration for a column
+     * 
+     * Choices come from the image's features, so a radio image only offers
+     * the modes, tones, power levels, etc. that radio supports.
      */
     getCellEditorConfig(columnKey, mem) {
+        const features = this.currentImage.features;
+        
         switch (columnKey) {
             case 'freq':
                 return {
@@ -956,7 +1097,8 @@ class ChirpApp {
                 return {
                     type: 'input',
                     currentValue: mem.name || '',
-                    placeholder: ''
+                    placeholder: features.hasName === false ? 'Not stored by this radio' : '',
+                    maxLength: features.hasName === false ? 0 : features.validNameLength
                 };
             case 'comment':
                 return {
@@ -966,21 +1108,24 @@ class ChirpApp {
                 };
             case 'power':
                 return {
-                    type: 'input',
+                    type: 'select',
                     currentValue: mem.power || '',
-                    placeholder: 'Low/Med/High'
+                    options: [
+                        { value: '', label: '(default)' },
+                        ...features.validPowerLevels.map(p => ({ value: p, label: p }))
+                    ]
                 };
             case 'duplex':
                 return {
                     type: 'select',
                     currentValue: mem.duplex || '',
-                    options: DUPLEX.map(d => ({ value: d, label: d || '(none)' }))
+                    options: features.validDuplexes.map(d => ({ value: d, label: d || '(none)' }))
                 };
             case 'tmode':
                 return {
                     type: 'select',
                     currentValue: mem.tmode || '',
-                    options: TONE_MODES.map(t => ({ value: t, label: t || '(none)' }))
+                    options: features.validTmodes.map(t => ({ value: t, label: t || '(none)' }))
                 };
             case 'mode':
                 return {
@@ -988,14 +1133,14 @@ class ChirpApp {
                     currentValue: mem.mode || '',
                     options: [
                         { value: '', label: '(none)' },
-                        ...MODES.map(m => ({ value: m, label: m }))
+                        ...features.validModes.map(m => ({ value: m, label: m }))
                     ]
                 };
             case 'skip':
                 return {
                     type: 'select',
                     currentValue: mem.skip || '',
-                    options: SKIP_VALUES.map(s => ({ value: s, label: s || '(none)' }))
+                    options: features.validSkips.map(s => ({ value: s, label: s || '(none)' }))
                 };
             case 'rtone':
             case 'ctone':
@@ -1004,7 +1149,7 @@ class ChirpApp {
                     currentValue: mem[columnKey] ? String(mem[columnKey]) : '',
                     options: [
                         { value: '', label: '(none)' },
-                        ...TONES.map(t => ({ value: String(t), label: t.toFixed(1) }))
+                        ...features.validTones.map(t => ({ value: String(t), label: t.toFixed(1) }))
                     ]
                 };
             case 'dtcs':
@@ -1013,7 +1158,7 @@ class ChirpApp {
                     currentValue: mem.dtcs ? String(mem.dtcs) : '',
                     options: [
                         { value: '', label: '(none)' },
-                        ...DTCS_CODES.map(d => ({ 
+                        ...(features.hasDtcs === false ? [] : features.validDtcsCodes).map(d => ({ 
                             value: String(d), 
                             label: d.toString().padStart(3, '0') 
                         }))
@@ -1053,6 +1198,9 @@ class ChirpApp {
                         // Check if input was provided but parsing failed
                         if (newValue.trim() && newFreq === 0) {
                             isValid = false;
+                        } else if (newFreq && !isInBands(newFreq, this.currentImage.features.bands)) {
+                            // The radio can't tune it
+                            isValid = false;
                         } else if (newFreq !== mem.freq) {
                             mem.freq = newFreq;
                             mem.empty = newFreq === 0;
@@ -1303,6 +1451,7 @@ class ChirpApp {
      */
     editMemory(location) {
         const mem = this.currentImage.getMemory(location);
+        const features = this.currentImage.features;
         
         // Clear any previous invalid styling
         document.querySelectorAll('#edit-form .input-invalid').forEach(el => {
@@ -1310,41 +1459,41 @@ class ChirpApp {
         });
         
         // Populate edit dialog
+        const nameInput = document.getElementById('edit-name');
+        nameInput.value = mem.name || '';
+        nameInput.maxLength = features.hasName === false ? 0 : features.validNameLength;
+        nameInput.placeholder = features.hasName === false ? 'Not stored by this radio' : '';
+        
         document.getElementById('edit-location').value = location;
-        document.getElementById('edit-name').value = mem.name || '';
         document.getElementById('edit-freq').value = mem.freq ? formatFreq(mem.freq) : '';
-        document.getElementById('edit-duplex').value = mem.duplex || '';
         document.getElementById('edit-offset').value = mem.offset ? formatFreq(mem.offset) : '';
-        document.getElementById('edit-tmode').value = mem.tmode || '';
-        document.getElementById('edit-rtone').value = mem.rtone ? mem.rtone : '';
-        document.getElementById('edit-ctone').value = mem.ctone ? mem.ctone : '';
-        document.getElementById('edit-dtcs').value = mem.dtcs ? mem.dtcs : '';
-        document.getElementById('edit-mode').value = mem.mode || '';
-        document.getElementById('edit-skip').value = mem.skip || '';
-        document.getElementById('edit-power').value = mem.power || '';
         document.getElementById('edit-comment').value = mem.comment || '';
 
-        // Populate select options
-        this.populateSelect('edit-tmode', TONE_MODES);
-        this.populateSelect('edit-rtone', TONES.map(t => t.toFixed(1)));
-        this.populateSelect('edit-ctone', TONES.map(t => t.toFixed(1)));
-        this.populateSelect('edit-dtcs', DTCS_CODES.map(d => d.toString().padStart(3, '0')));
-        this.populateSelect('edit-mode', MODES);
-        this.populateSelect('edit-duplex', DUPLEX);
-        this.populateSelect('edit-skip', SKIP_VALUES);
+        // Populate select options with what this radio supports
+        this.populateSelect('edit-tmode', features.validTmodes, mem.tmode || '');
+        this.populateSelect('edit-rtone', features.validTones.map(t => t.toFixed(1)), mem.rtone ? mem.rtone.toFixed(1) : '');
+        this.populateSelect('edit-ctone', features.validTones.map(t => t.toFixed(1)), mem.ctone ? mem.ctone.toFixed(1) : '');
+        this.populateSelect('edit-dtcs', (features.hasDtcs === false ? [] : features.validDtcsCodes).map(d => d.toString().padStart(3, '0')),
+            mem.dtcs ? mem.dtcs.toString().padStart(3, '0') : '');
+        this.populateSelect('edit-mode', features.validModes, mem.mode || '');
+        this.populateSelect('edit-duplex', features.validDuplexes, mem.duplex || '');
+        this.populateSelect('edit-skip', features.validSkips, mem.skip || '');
+        this.populateSelect('edit-power', features.validPowerLevels, mem.power || '');
 
         this.showDialog('edit-dialog');
     }
 
     /**
      * Populate a select element with options
-     * Always adds "(none)" as the first/default option
+     * Always adds "(none)" as the first/default option. A current value
+     * missing from the options is kept as an extra "(unsupported)" entry,
+     * so saving the dialog doesn't change it silently.
      */
     populateSelect(id, options, currentValue) {
         const select = document.getElementById(id);
         if (!select) return;
 
-        const current = select.value;
+        const current = currentValue ?? select.value;
         select.innerHTML = '';
         
         // Always add "(none)" as the first option
@@ -1362,6 +1511,13 @@ class ChirpApp {
             option.textContent = opt;
             select.appendChild(option);
         }
+        
+        if (current && !options.includes(current)) {
+            const option = document.createElement('option');
+            option.value = current;
+            option.textContent = `${current} (unsupported)`;
+            select.appendChild(option);
+        }
 
         select.value = current;
     }
@@ -1424,6 +1580,130 @@ class ChirpApp {
         this.showStatus(`Updated memory ${location}`);
     }
 
+    /**
+     * Get the settings schema for the current image's radio, if any
+     */
+    getSettingsSchema() {
+        if (!this.currentImage?._rawData || !this.currentImage._vendor) {
+            return null;
+        }
+        
+        return getRadioProtocol(this.currentImage._vendor, this.currentImage._model).settings || null;
+    }
+
+    /**
+     * Show the radio settings dialog
+     * Builds one form row per setting from the protocol's settings schema,
+     * grouped under headings.
+     */
+    showSettingsDialog() {
+        if (!this.currentImage?._rawData) {
+            this.showError('No radio image loaded. Download from a radio or open an .img file first.');
+            return;
+        }
+        
+        const schema = this.getSettingsSchema();
+        if (!schema) {
+            this.showError(`No settings are defined for ${this.currentImage.vendor} ${this.currentImage.model}`);
+            return;
+        }
+        
+        // Uploads of converted images leave the radio's settings alone
+        if (this.currentImage._blankSettings) {
+            this.showError('This image was made with Convert to Model and has no radio settings. ' +
+                'Upload it, then download from the radio to edit its settings.');
+            return;
+        }
+        
+        const values = this.currentImage.settings || parseSettings(this.currentImage._rawData, schema);
+        const form = document.getElementById('settings-form');
+        form.innerHTML = '';
+        
+        let currentGroup = null;
+        for (const [key, def] of Object.entries(schema)) {
+            if (values[key] === undefined) continue;
+            
+            if (def.group && def.group !== currentGroup) {
+                currentGroup = def.group;
+                const heading = document.createElement('h4');
+                heading.className = 'settings-group';
+                heading.textContent = def.group;
+                form.appendChild(heading);
+            }
+            
+            const row = document.createElement('div');
+            row.className = 'form-row';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `setting-${key}`;
+            label.textContent = `${def.label}:`;
+            row.appendChild(label);
+            
+            let input;
+            if (def.type === 'list') {
+                input = document.createElement('select');
+                for (const opt of def.options) {
+                    const option = document.createElement('option');
+                    option.value = opt;
+                    option.textContent = opt;
+                    input.appendChild(option);
+                }
+                input.value = values[key];
+            } else if (def.type === 'bool') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = values[key];
+            } else if (def.type === 'string') {
+                input = document.createElement('input');
+                input.type = 'text';
+                input.maxLength = def.size;
+                input.value = values[key];
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = def.min ?? 0;
+                input.max = def.max ?? 255;
+                input.value = values[key];
+            }
+            
+            input.id = `setting-${key}`;
+            input.dataset.setting = key;
+            row.appendChild(input);
+            form.appendChild(row);
+        }
+        
+        this.showDialog('settings-dialog');
+    }
+
+    /**
+     * Apply the settings dialog to the current image
+     * Values are kept on the image and written into the raw data on save/upload.
+     */
+    saveSettingsDialog() {
+        const schema = this.getSettingsSchema();
+        if (!schema) return;
+        
+        const values = {};
+        document.querySelectorAll('#settings-form [data-setting]').forEach(input => {
+            const key = input.dataset.setting;
+            const def = schema[key];
+            
+            if (def.type === 'bool') {
+                values[key] = input.checked;
+            } else if (def.type === 'int') {
+                values[key] = Math.min(Math.max(parseInt(input.value) || 0, def.min ?? 0), def.max ?? 255);
+            } else {
+                values[key] = input.value;
+            }
+        });
+        
+        this.currentImage.settings = values;
+        this.modified = true;
+        this.closeAllDialogs();
+        this.updateUI();
+        this.showStatus('Radio settings updated');
+    }
+
     /**
      * Show a dialog
      */
@@ -1437,16 +1717,33 @@ class ChirpApp {
 
     /**
      * Close all dialogs
+     * Dialogs waiting for an answer are told through their close handler,
+     * however they were closed (close button, Cancel or Escape).
      */
     closeAllDialogs() {
+        const handlers = Object.values(this.dialogCloseHandlers);
+        this.dialogCloseHandlers = {};
+        
         document.querySelectorAll('.dialog').forEach(d => d.classList.remove('visible'));
         document.getElementById('dialog-overlay')?.classList.remove('visible');
+        
+        handlers.forEach(handler => handler());
     }
 
     /**
      * Handle keyboard shortcuts
      */
     handleKeyboard(event) {
+        // While a radio transfer runs, Escape works like the progress
+        // dialog's Cancel and nothing else may touch the dialogs or channels
+        if (this.progressState) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.cancelTransfer();
+            }
+            return;
+        }
+        
         // Don't handle if in input field
         if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
             if (event.key === 'Escape') {
@@ -1706,384 +2003,2221 @@ class ChirpApp {
         this.updateUI();
     }
 
-    /**
-     * Download from radio
+    /*
+     * =========================================================================
+     * AUTOSAVE AND CRASH RECOVERY
+     * =========================================================================
+     * Unsaved work - edits, and radio downloads not yet saved to a file - is
+     * written to IndexedDB (see storage.js) every AUTOSAVE_INTERVAL and when
+     * the tab is hidden. Once everything is saved the stored copy is removed,
+     * so a stored session on startup means the last one ended with unsaved
+     * work, and the user is offered to recover it.
      */
-    async downloadFromRadio() {
-        if (!SerialConnection.isSupported()) {
-            this.showError('Web Serial API is not supported in this browser. Use Chrome or Edge.');
-            return;
-        }
-
-        // Show radio selection dialog
-        this.showRadioDialog('download');
-    }
     
     /**
-     * Show radio selection dialog
+     * Open the session store, offer to recover a stored session, and start
+     * the autosave timer
      */
-    showRadioDialog(mode) {
-        this.radioDialogMode = mode;
-        
-        // Set up vendor change handler
-        const vendorSelect = document.getElementById('radio-vendor');
-        const modelSelect = document.getElementById('radio-model');
-        const baudSelect = document.getElementById('radio-baud');
-        const memsizeSelect = document.getElementById('radio-memsize');
-        
-        vendorSelect.onchange = () => {
-            this.updateRadioModels(vendorSelect.value);
-        };
-        
-        // Restore saved selections from localStorage
-        const savedVendor = localStorage.getItem('chirp_radio_vendor');
-        const savedModel = localStorage.getItem('chirp_radio_model');
-        const savedBaud = localStorage.getItem('chirp_radio_baud');
-        const savedMemsize = localStorage.getItem('chirp_radio_memsize');
+    async startAutosave() {
+        if (!SessionStore.isSupported()) {
+            return;
+        }
         
-        if (savedVendor) {
-            vendorSelect.value = savedVendor;
-            this.updateRadioModels(savedVendor);
+        try {
+            const store = new SessionStore();
+            await store.open();
+            this.sessionStore = store;
             
-            if (savedModel) {
-                modelSelect.value = savedModel;
+            const snapshot = await store.load();
+            if (snapshot) {
+                this.offerRecovery(snapshot);
             }
-        } else {
-            vendorSelect.value = '';
-            modelSelect.innerHTML = '<option value="">-- Select Model --</option>';
-        }
-        
-        if (savedBaud) {
-            baudSelect.value = savedBaud;
-        } else {
-            baudSelect.value = '9600';
-        }
-        
-        if (savedMemsize) {
-            memsizeSelect.value = savedMemsize;
-        } else {
-            memsizeSelect.value = '8192';
+        } catch (error) {
+            console.warn('Autosave is not available:', error);
+            this.sessionStore = null;
+            return;
         }
         
-        this.showDialog('radio-dialog');
+        this.autosaveTimer = setInterval(() => this.autosave(), AUTOSAVE_INTERVAL);
     }
     
     /**
-     * Get the comprehensive list of supported radio models
-     * Uses definitions from radio-defs.js
+     * Whether the session holds work that only exists in this tab
      */
-    getRadioModels() {
-        const result = {};
-        
-        for (const [vendor, models] of Object.entries(RADIO_MODELS)) {
-            result[vendor] = [];
-            
-            for (const [modelId, modelDef] of Object.entries(models)) {
-                // Get protocol to determine baud rate
-                const protocol = getRadioProtocol(vendor, modelId);
-                
-                result[vendor].push({
-                    value: modelId,
-                    label: modelDef.name,
-                    baud: modelDef.baudRate || protocol.baudRate || 9600,
-                    memsize: modelDef.memSize
-                });
-            }
-            
-            // Sort by label
-            result[vendor].sort((a, b) => a.label.localeCompare(b.label));
-        }
-        
-        return result;
+    hasUnsavedWork() {
+        return !!this.currentImage && (this.modified || !!this.currentImage._unsaved);
     }
     
     /**
-     * Update radio model dropdown based on vendor
+     * Write the session to IndexedDB if it changed since the last autosave,
+     * or remove the stored copy once nothing is unsaved
      */
-    updateRadioModels(vendor) {
-        const modelSelect = document.getElementById('radio-model');
-        modelSelect.innerHTML = '<option value="">-- Select Model --</option>';
-        
-        const models = this.getRadioModels();
-        const vendorModels = models[vendor] || [];
-        
-        for (const model of vendorModels) {
-            const option = document.createElement('option');
-            option.value = model.value;
-            option.textContent = model.label;
-            option.dataset.baud = model.baud;
-            option.dataset.memsize = model.memsize;
-            modelSelect.appendChild(option);
+    async autosave() {
+        if (!this.sessionStore || !this.currentImage) {
+            return;
         }
         
-        // Restore saved model selection if matching vendor
-        const savedVendor = localStorage.getItem('chirp_radio_vendor');
-        const savedModel = localStorage.getItem('chirp_radio_model');
-        if (savedVendor === vendor && savedModel) {
-            modelSelect.value = savedModel;
-            // Trigger change to update baud/memsize
-            const selected = modelSelect.selectedOptions[0];
-            if (selected && selected.dataset.baud) {
-                document.getElementById('radio-baud').value = selected.dataset.baud;
-            }
-            if (selected && selected.dataset.memsize) {
-                document.getElementById('radio-memsize').value = selected.dataset.memsize;
-            }
+        // Cheap change detection: the image, its channel revision and the
+        // history all change identity or size on every edit
+        const image = this.currentImage;
+        const state = [image, image.memories, image.revision, image.settings, image._rawData,
+                       this.undoStack.length, this.undoStack[this.undoStack.length - 1],
+                       this.redoStack.length, this.modified, image._unsaved];
+        if (this.autosaveState && state.every((value, i) => value === this.autosaveState[i])) {
+            return;
         }
+        this.autosaveState = state;
         
-        // Auto-select settings when model changes
-        modelSelect.onchange = () => {
-            const selected = modelSelect.selectedOptions[0];
-            if (selected && selected.dataset.baud) {
-                document.getElementById('radio-baud').value = selected.dataset.baud;
-            }
-            if (selected && selected.dataset.memsize) {
-                document.getElementById('radio-memsize').value = selected.dataset.memsize;
+        try {
+            if (this.hasUnsavedWork()) {
+                await this.sessionStore.save(snapshotSession(this));
+            } else if (!this.pendingRecovery) {
+                await this.sessionStore.clear();
             }
-        };
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+            this.autosaveState = null;
+        }
     }
     
     /**
-     * Handle radio connect button
+     * Show the "Recover previous session" dialog for a stored session
+     * 
+     * @param {Object} snapshot - Stored session (see snapshotSession)
      */
-    async handleRadioConnect() {
-        const vendor = document.getElementById('radio-vendor').value;
-        const model = document.getElementById('radio-model').value;
-        let baudRate = parseInt(document.getElementById('radio-baud').value);
-        const memSize = parseInt(document.getElementById('radio-memsize').value);
-        
-        // Get the protocol's recommended baud rate and use it if different
-        const protocol = getRadioProtocol(vendor, model);
-        if (protocol.baudRate && protocol.baudRate !== baudRate) {
-            console.log(`Overriding baud rate ${baudRate} with protocol baud rate ${protocol.baudRate}`);
-            baudRate = protocol.baudRate;
-        }
-        
-        if (!vendor) {
-            this.showError('Please select a vendor');
-            return;
-        }
-        
-        // Save selections to localStorage for next time
-        localStorage.setItem('chirp_radio_vendor', vendor);
-        localStorage.setItem('chirp_radio_model', model);
-        localStorage.setItem('chirp_radio_baud', baudRate.toString());
-        localStorage.setItem('chirp_radio_memsize', memSize.toString());
+    offerRecovery(snapshot) {
+        this.pendingRecovery = snapshot;
         
-        this.closeAllDialogs();
+        const saved = snapshot.image;
+        const channels = saved.memories.filter(m => !m.empty).length;
+        const radio = saved.radioVendor ? `${saved.vendor} ${saved.model}` : 'channel list';
+        const what = snapshot.modified ? 'unsaved changes' : 'a radio download that was not saved';
         
-        if (this.radioDialogMode === 'download') {
-            await this.doRadioDownload(vendor, model, baudRate, memSize);
-        } else {
-            await this.doRadioUpload(vendor, model, baudRate);
-        }
+        document.getElementById('recover-details').textContent =
+            `${saved.filename || saved.name} (${radio}, ${channels} channels) with ${what}, ` +
+            `autosaved ${new Date(snapshot.savedAt).toLocaleString()}.`;
+        this.showDialog('recover-dialog');
     }
     
     /**
-     * Perform the actual radio download
+     * Replace the current session with the stored one
      */
-    async doRadioDownload(vendor, model, baudRate, memSize) {
+    recoverSession() {
+        const snapshot = this.pendingRecovery;
+        this.pendingRecovery = null;
+        this.closeAllDialogs();
+        if (!snapshot) return;
+        
+        let session;
         try {
-            this.serialConnection = new SerialConnection();
-            
-            if (!await this.serialConnection.requestPort()) {
-                return; // User cancelled
-            }
+            session = restoreSession(snapshot);
+        } catch (error) {
+            this.showError(`Could not recover the session: ${error.message}`);
+            return;
+        }
+        
+        this.currentImage = session.image;
+        this.modified = session.modified;
+        this.undoStack = session.undoStack;
+        this.redoStack = session.redoStack;
+        this.selectedRows.clear();
+        this.modifiedCells.clear();
+        this.invalidCells.clear();
+        this.renderMemoryGrid();
+        this.updateUI();
+        this.showStatus(`Recovered session from ${new Date(session.savedAt).toLocaleString()}`);
+    }
+    
+    /**
+     * Drop the stored session and keep working in the new one
+     */
+    async discardRecovery() {
+        this.pendingRecovery = null;
+        this.closeAllDialogs();
+        this.autosaveState = null;
+        await this.autosave();
+    }
+    
+    /*
+     * =========================================================================
+     * BACKUP LIBRARY
+     * =========================================================================
+     * Every successful download (including fleet downloads) is stored in
+     * IndexedDB by vendor, model, identification bytes and time (see
+     * BackupStore). From the library a backup can be compared with another
+     * one or with the open image, restored to the grid, or uploaded to roll
+     * the radio back.
+     */
+    
+    /**
+     * Open the backup library
+     */
+    async startBackups() {
+        if (!SessionStore.isSupported()) {
+            return;
+        }
+        
+        try {
+            const store = new BackupStore();
+            await store.open();
+            this.backupStore = store;
+        } catch (error) {
+            console.warn('Backup library is not available:', error);
+        }
+    }
+    
+    /**
+     * Store a downloaded image in the backup library
+     * A failed backup never fails the download, it is only logged.
+     * 
+     * @param {RadioImage} image - Image from createRadioImage()
+     * @param {Uint8Array|null} identification - Ident bytes read in the handshake
+     * @returns {Promise<boolean>} Whether the backup was stored
+     */
+    async backupDownload(image, identification) {
+        if (!this.backupStore) {
+            return false;
+        }
+        
+        try {
+            await this.backupStore.add({
+                vendor: image._vendor,
+                model: image._model,
+                ident: identification ? SerialTrace.hex(identification) : '',
+                createdAt: Date.now(),
+                radioName: `${image.vendor} ${image.model}`,
+                channels: image.getUsedMemories().length,
+                rawData: new Uint8Array(image._rawData)
+            });
+            return true;
+        } catch (error) {
+            console.warn('Could not store the download backup:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Show the backup library dialog
+     */
+    async showBackupLibrary() {
+        if (!this.backupStore) {
+            this.showError('The backup library needs browser storage (IndexedDB), which is not available');
+            return;
+        }
+        
+        try {
+            this.backups = await this.backupStore.list();
+        } catch (error) {
+            this.showError(`Could not read the backup library: ${error.message}`);
+            return;
+        }
+        
+        // One filter entry per radio, preferring the radio of the open image
+        const select = document.getElementById('backup-radio');
+        const previous = select.value;
+        select.innerHTML = '<option value="">All radios</option>';
+        const radios = new Map();
+        for (const backup of this.backups) {
+            const key = JSON.stringify(getBackupKey(backup).slice(0, 3));
+            if (!radios.has(key)) {
+                radios.set(key, backup);
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = backup.ident ? `${backup.radioName} (${backup.ident})` : backup.radioName;
+                select.appendChild(option);
+            }
+        }
+        const image = this.currentImage;
+        const current = [...radios].find(([, backup]) =>
+            backup.vendor === image?._vendor && backup.model === image?._model);
+        select.value = radios.has(previous) ? previous : (current?.[0] || '');
+        
+        this.renderBackupList();
+        this.showDialog('backup-dialog');
+    }
+    
+    /**
+     * List the backups of the selected radio, newest first
+     */
+    renderBackupList() {
+        const radio = document.getElementById('backup-radio').value;
+        const shown = this.backups
+            .map((backup, index) => ({ backup, index }))
+            .filter(({ backup }) => !radio || JSON.stringify(getBackupKey(backup).slice(0, 3)) === radio)
+            .sort((a, b) => b.backup.createdAt - a.backup.createdAt);
+        
+        const body = document.getElementById('backup-list');
+        body.innerHTML = '';
+        for (const { backup, index } of shown) {
+            const row = document.createElement('tr');
+            
+            const selectCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'backup-select';
+            checkbox.dataset.index = index;
+            selectCell.appendChild(checkbox);
+            row.appendChild(selectCell);
+            
+            const texts = [
+                new Date(backup.createdAt).toLocaleString(),
+                backup.radioName,
+                backup.ident || '-',
+                backup.channels
+            ];
+            for (const text of texts) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                row.appendChild(td);
+            }
+            body.appendChild(row);
+        }
+        if (shown.length === 0) {
+            const row = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 5;
+            td.textContent = 'No backups yet. Every download from a radio is stored here.';
+            row.appendChild(td);
+            body.appendChild(row);
+        }
+        
+        document.getElementById('backup-summary').textContent =
+            `${shown.length} of ${this.backups.length} backups`;
+        this.updateBackupActions();
+    }
+    
+    /**
+     * Get the ticked backups, oldest first
+     * 
+     * @returns {Array<Object>} Backup records
+     */
+    getSelectedBackups() {
+        return Array.from(document.querySelectorAll('#backup-list .backup-select:checked'),
+                          cb => this.backups[cb.dataset.index])
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+    
+    /**
+     * Enable the actions that fit the ticked backups
+     */
+    updateBackupActions() {
+        const selected = this.getSelectedBackups();
+        const one = selected.length === 1;
+        const sameRadio = selected.length === 2 &&
+            selected[0].vendor === selected[1].vendor && selected[0].model === selected[1].model;
+        
+        document.getElementById('backup-compare').disabled = !(one || sameRadio);
+        document.getElementById('backup-restore').disabled = !one;
+        document.getElementById('backup-upload').disabled = !one || !SerialConnection.isSupported();
+        document.getElementById('backup-delete').disabled = selected.length === 0;
+    }
+    
+    /**
+     * Compare two ticked backups, or one with the open image (including
+     * its unsaved edits)
+     */
+    compareBackups() {
+        const selected = this.getSelectedBackups();
+        const protocol = getRadioProtocol(selected[0].vendor, selected[0].model);
+        const protocolName = protocol.modelDef?.protocol || 'generic';
+        const when = (backup) => new Date(backup.createdAt).toLocaleString();
+        
+        if (selected.length === 2) {
+            this.showBackupDiff(protocol, protocolName,
+                { label: when(selected[0]), data: selected[0].rawData },
+                { label: when(selected[1]), data: selected[1].rawData });
+            return;
+        }
+        
+        const backup = selected[0];
+        const image = this.currentImage;
+        if (!image?._rawData || image._vendor !== backup.vendor || image._model !== backup.model) {
+            this.showError(`The open image is not a ${backup.radioName} image. ` +
+                           'Tick two backups to compare them with each other.');
+            return;
+        }
+        this.showBackupDiff(protocol, protocolName,
+            { label: when(backup), data: backup.rawData },
+            { label: 'Open image', data: this.serializeRadioImage(image, protocol, image._protocol || protocolName) });
+    }
+    
+    /**
+     * Show the channels and settings that differ between two raw images
+     * 
+     * @param {Object} protocol - Protocol of the radio
+     * @param {string} protocolName - Protocol name (memory format fallback)
+     * @param {Object} before - { label, data } older image
+     * @param {Object} after - { label, data } newer image
+     */
+    showBackupDiff(protocol, protocolName, before, after) {
+        const diff = diffRadioMemory(before.data, after.data, protocolName, protocol);
+        const formatValue = (key, value) => {
+            if (value === undefined || value === '') return '';
+            if (key === 'freq' || key === 'offset') return formatFreq(value);
+            return String(value);
+        };
+        
+        // [location, field, before, after] per row
+        const rows = [];
+        for (const channel of diff.channels) {
+            if (channel.fields.length === 0) {
+                rows.push([channel.number, '(radio data)', '', '']);
+            }
+            for (const field of channel.fields) {
+                const values = [formatValue(field.key, field.before), formatValue(field.key, field.after)];
+                // Fields left unset on a newly used (or cleared) channel
+                if (values[0] !== values[1]) {
+                    rows.push([channel.number, field.label, ...values]);
+                }
+            }
+        }
+        let settingRows = 0;
+        if (protocol.settings) {
+            const oldSettings = parseSettings(before.data, protocol.settings);
+            const newSettings = parseSettings(after.data, protocol.settings);
+            for (const [key, def] of Object.entries(protocol.settings)) {
+                if (oldSettings[key] !== newSettings[key]) {
+                    rows.push(['Settings', def.label, String(oldSettings[key]), String(newSettings[key])]);
+                    settingRows++;
+                }
+            }
+        }
+        if (diff.otherOffsets.length > 0 && settingRows === 0) {
+            rows.push(['Settings', `${diff.otherOffsets.length} bytes outside channels`, '', '']);
+        }
+        
+        document.getElementById('backup-diff-before').textContent = before.label;
+        document.getElementById('backup-diff-after').textContent = after.label;
+        document.getElementById('backup-diff-summary').textContent = diff.changedBytes === 0
+            ? 'The images are identical.'
+            : `${diff.channels.length} channels and ${diff.changedBytes} bytes differ.`;
+        
+        const body = document.getElementById('backup-diff-body');
+        body.innerHTML = '';
+        for (const values of rows) {
+            const row = document.createElement('tr');
+            values.forEach((text, i) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (i === 2) td.className = 'review-old';
+                if (i === 3) td.className = 'review-new';
+                row.appendChild(td);
+            });
+            body.appendChild(row);
+        }
+        
+        this.showDialog('backup-diff-dialog');
+    }
+    
+    /**
+     * Open the ticked backup in the grid
+     * 
+     * @returns {boolean} Whether the backup was opened
+     */
+    restoreBackup() {
+        const [backup] = this.getSelectedBackups();
+        if (!backup) return false;
+        if (this.hasUnsavedWork() && !confirm('Discard unsaved changes?')) {
+            return false;
+        }
+        
+        let image;
+        try {
+            image = this.createRadioImage(new Uint8Array(backup.rawData), backup.vendor, backup.model);
+        } catch (error) {
+            this.showError(`Could not open the backup: ${error.message}`);
+            return false;
+        }
+        
+        // Whatever the radio holds now, it is not known to be this image
+        image._fromRadio = false;
+        const stamp = new Date(backup.createdAt).toISOString().slice(0, 16).replace('T', '_').replace(':', '');
+        image.name = `${backup.vendor}_${backup.model}_${stamp}.img`;
+        image.filename = image.name;
+        
+        this.closeAllDialogs();
+        this.currentImage = image;
+        this.modified = false;
+        this.selectedRows.clear();
+        this.modifiedCells.clear();
+        this.invalidCells.clear();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.renderMemoryGrid();
+        this.updateUI();
+        this.showStatus(`Restored backup of ${backup.radioName} from ${new Date(backup.createdAt).toLocaleString()}`);
+        return true;
+    }
+    
+    /**
+     * Restore the ticked backup and upload it to the radio. The whole image
+     * is written, settings included, after the usual upload review.
+     */
+    async uploadBackup() {
+        const [backup] = this.getSelectedBackups();
+        if (!backup || !this.restoreBackup()) {
+            return;
+        }
+        
+        const protocol = getRadioProtocol(backup.vendor, backup.model);
+        const baudRate = protocol.modelDef?.baudRate || protocol.baudRate || 9600;
+        await this.doRadioUpload(backup.vendor, backup.model, baudRate);
+    }
+    
+    /**
+     * Delete the ticked backups
+     */
+    async deleteBackups() {
+        const selected = this.getSelectedBackups();
+        if (selected.length === 0 ||
+            !confirm(`Delete ${selected.length} backup${selected.length === 1 ? '' : 's'}? This cannot be undone.`)) {
+            return;
+        }
+        
+        try {
+            for (const backup of selected) {
+                await this.backupStore.delete(backup);
+            }
+        } catch (error) {
+            this.showError(`Could not delete the backup: ${error.message}`);
+        }
+        await this.showBackupLibrary();
+    }
+    
+    /*
+     * =========================================================================
+     * CONVERT TO MODEL
+     * =========================================================================
+     * Moves the open channel list to another radio model with convertImage()
+     * (see convert.js) and shows what had to change in a report.
+     */
+    
+    /**
+     * Show the Convert to Model dialog
+     */
+    showConvertDialog() {
+        if (!this.currentImage || this.currentImage.getUsedMemories().length === 0) {
+            this.showError('There are no channels to convert');
+            return;
+        }
+        
+        const select = document.getElementById('convert-target');
+        select.innerHTML = '';
+        for (const target of getConvertTargets()) {
+            const option = document.createElement('option');
+            option.value = `${target.vendor}/${target.model}`;
+            option.textContent = target.name;
+            select.appendChild(option);
+        }
+        
+        const saved = localStorage.getItem('chirp_convert_target');
+        if (saved && select.querySelector(`option[value="${saved}"]`)) {
+            select.value = saved;
+        }
+        
+        const image = this.currentImage;
+        const from = image._vendor ? `${image.vendor} ${image.model}` : (image.filename || image.name);
+        document.getElementById('convert-source').textContent =
+            `${image.getUsedMemories().length} channels from ${from}.`;
+        
+        this.showDialog('convert-dialog');
+    }
+    
+    /**
+     * Convert the open image to the model picked in the dialog, replace
+     * the open image with the result and show the report
+     */
+    convertToModel() {
+        const [vendor, model] = document.getElementById('convert-target').value.split('/');
+        const compact = document.getElementById('convert-compact').checked;
+        if (!vendor || !model) {
+            this.showError('Please select a radio model');
+            return;
+        }
+        
+        if (this.modified && !confirm('Converting replaces the open file. Discard unsaved changes?')) {
+            return;
+        }
+        localStorage.setItem('chirp_convert_target', `${vendor}/${model}`);
+        
+        let result;
+        try {
+            result = convertImage(this.currentImage, vendor, model, { compact });
+        } catch (error) {
+            this.showError(`Conversion failed: ${error.message}`);
+            return;
+        }
+        
+        this.closeAllDialogs();
+        
+        this.currentImage = result.image;
+        this.modified = true;   // Only exists in memory until saved
+        this.selectedRows.clear();
+        this.modifiedCells.clear();
+        this.invalidCells.clear();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.renderMemoryGrid();
+        this.updateUI();
+        
+        this.convertReport = result.report;
+        this.showStatus(`Converted to ${result.report.target}: ${result.report.converted} channels`);
+        this.showConvertReport(result.report);
+    }
+    
+    /**
+     * Show the report of a conversion
+     * 
+     * @param {Object} report - Report from convertImage()
+     */
+    showConvertReport(report) {
+        const dropped = report.entries.filter(e => e.kind === 'dropped').length;
+        document.getElementById('convert-summary').textContent =
+            `Converted ${report.source} to ${report.target}: ` +
+            `${report.converted} channels kept, ${dropped} dropped, ` +
+            `${report.entries.length - dropped} other changes.`;
+        
+        const labels = {
+            dropped: 'Dropped', moved: 'Moved', name: 'Name', mode: 'Mode',
+            power: 'Power', duplex: 'Duplex', tone: 'Tone', format: 'Stored as'
+        };
+        
+        const body = document.getElementById('convert-report-body');
+        body.innerHTML = '';
+        for (const entry of report.entries) {
+            const row = document.createElement('tr');
+            row.className = `convert-${entry.kind}`;
+            for (const text of [entry.number, labels[entry.kind] || entry.kind, entry.message]) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                row.appendChild(td);
+            }
+            body.appendChild(row);
+        }
+        if (report.entries.length === 0) {
+            const row = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 3;
+            td.textContent = 'Every channel was converted unchanged.';
+            row.appendChild(td);
+            body.appendChild(row);
+        }
+        
+        this.showDialog('convert-report-dialog');
+    }
+    
+    /**
+     * Save the last conversion report as a text file
+     */
+    saveConvertReport() {
+        if (!this.convertReport) return;
+        
+        const blob = new Blob([formatConvertReport(this.convertReport)], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = this.currentImage.filename.replace(/\.[^.]+$/, '') + '_report.txt';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /*
+     * =========================================================================
+     * PROBLEMS PANEL
+     * =========================================================================
+     * Runs validateImage() over the whole image and lists the results in a
+     * panel docked below or beside the grid. Each entry jumps to the cell
+     * it is about. The pass runs on demand (Edit > Check Channels), before
+     * every save, and before uploads, which are refused while errors remain.
+     * While the panel is open it is refreshed on every grid render.
+     */
+    
+    /**
+     * Validate the current image and update the panel and cell markers
+     * 
+     * @param {Object} [target] - { name, features } of the radio to check
+     *        against (see getValidationTarget); null = the image's own
+     * @returns {Array<Object>} Problems found (see validateImage)
+     */
+    runValidation(target = this.problemsTarget) {
+        this.problemsTarget = target;
+        this.problems = this.currentImage
+            ? validateImage(this.currentImage, target?.features || this.currentImage.features)
+            : [];
+        
+        this.problemCells.clear();
+        for (const problem of this.problems) {
+            const key = `${problem.number}:${this.getProblemColumn(problem.field)}`;
+            // An error outranks a warning on the same cell
+            if (this.problemCells.get(key) !== 'error') {
+                this.problemCells.set(key, problem.severity);
+            }
+        }
+        
+        this.renderProblems();
+        return this.problems;
+    }
+    
+    /**
+     * Edit > Check Channels: run the validation pass and show the results
+     */
+    checkChannels() {
+        if (!this.currentImage) return;
+        
+        const problems = this.runValidation(null);
+        this.showProblemsPanel(true);
+        this.showStatus(problems.length > 0
+            ? `Found ${this.describeProblemCount(problems)}`
+            : 'No problems found');
+    }
+    
+    /**
+     * Validate before writing to a radio. Errors block the upload;
+     * warnings are only shown.
+     * 
+     * @param {string} vendor - Vendor key of the target radio
+     * @param {string} model - Model key of the target radio
+     * @returns {boolean} True if the upload may go ahead
+     */
+    checkBeforeUpload(vendor, model) {
+        const problems = this.runValidation(this.getValidationTarget(vendor, model));
+        if (problems.length === 0) {
+            return true;
+        }
+        
+        this.showProblemsPanel(true);
+        const errors = problems.filter(p => p.severity === 'error');
+        if (errors.length > 0) {
+            const channels = new Set(errors.map(p => p.number)).size;
+            this.showError(`Upload blocked: ${errors.length} error(s) in ${channels} channel(s). ` +
+                'Fix the entries in the Problems panel and try again.');
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Profile to validate against when writing the image to a radio
+     * other than the one it came from (e.g. a CSV plan for a fleet)
+     * 
+     * @param {string} vendor - Vendor key
+     * @param {string} model - Model key
+     * @returns {Object|null} { name, features }, or null to use the image's own
+     */
+    getValidationTarget(vendor, model) {
+        const image = this.currentImage;
+        if (image._vendor === vendor && image._model === model) {
+            return null;
+        }
+        
+        const protocol = getRadioProtocol(vendor, model);
+        if (!protocol.features) {
+            return null;
+        }
+        
+        // Same defaults as a downloaded image of that radio would have
+        const radio = new RadioImage('', 0);
+        radio.applyFeatures(protocol.features);
+        return {
+            name: `${VENDOR_NAMES[vendor] || vendor} ${protocol.modelDef?.name || model}`,
+            features: radio.features
+        };
+    }
+    
+    /**
+     * Grid column that shows a problem's field. Fields without a column
+     * of their own (power, tuning step, location) point at the Loc cell.
+     * 
+     * @param {string} field - Memory field from getProblems()
+     * @returns {string} Column key
+     */
+    getProblemColumn(field) {
+        const columns = ['name', 'freq', 'duplex', 'offset', 'tmode', 'rtone', 'ctone', 'dtcs', 'mode', 'skip', 'comment'];
+        return columns.includes(field) ? field : 'number';
+    }
+    
+    /**
+     * @param {Array<Object>} problems - Problems to count
+     * @returns {string} e.g. "2 errors, 1 warning"
+     */
+    describeProblemCount(problems) {
+        const errors = problems.filter(p => p.severity === 'error').length;
+        const warnings = problems.length - errors;
+        const parts = [];
+        if (errors > 0) parts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+        if (warnings > 0) parts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+        return parts.join(', ') || 'no problems';
+    }
+    
+    /**
+     * @returns {boolean} True if the Problems panel is open
+     */
+    isProblemsPanelVisible() {
+        return document.getElementById('problems-panel')?.classList.contains('visible') || false;
+    }
+    
+    /**
+     * Open or close the Problems panel. Closing it also clears the cell
+     * markers, which only make sense next to the list.
+     * 
+     * @param {boolean} show - True to open
+     */
+    showProblemsPanel(show) {
+        document.getElementById('problems-panel')?.classList.toggle('visible', show);
+        if (!show) {
+            this.problems = [];
+            this.problemsTarget = null;
+            this.problemCells.clear();
+        }
+        this.renderMemoryGrid();
+    }
+    
+    /**
+     * Dock the Problems panel below or to the right of the grid
+     * 
+     * @param {string} dock - 'bottom' or 'right'
+     */
+    setProblemsDock(dock) {
+        document.querySelector('.main-content')?.classList.toggle('dock-right', dock === 'right');
+        
+        const button = document.getElementById('problems-dock');
+        if (button) {
+            button.title = dock === 'right' ? 'Dock at the bottom' : 'Dock on the right';
+        }
+        
+        try {
+            localStorage.setItem('chirp_problems_dock', dock);
+        } catch (e) {
+            // Ignore localStorage errors
+        }
+    }
+    
+    /**
+     * Move the Problems panel to the other dock position
+     */
+    toggleProblemsDock() {
+        const right = document.querySelector('.main-content')?.classList.contains('dock-right');
+        this.setProblemsDock(right ? 'bottom' : 'right');
+    }
+    
+    /**
+     * Fill the Problems panel from this.problems
+     */
+    renderProblems() {
+        const list = document.getElementById('problems-list');
+        const summary = document.getElementById('problems-summary');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        if (summary) {
+            summary.textContent = this.describeProblemCount(this.problems) +
+                (this.problemsTarget ? ` for ${this.problemsTarget.name}` : '');
+        }
+        
+        if (this.problems.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'problems-empty';
+            item.textContent = 'No problems found';
+            list.appendChild(item);
+            return;
+        }
+        
+        for (const problem of this.problems) {
+            const item = document.createElement('li');
+            item.className = `problem-${problem.severity}`;
+            item.title = 'Go to channel';
+            
+            const severity = document.createElement('span');
+            severity.className = 'problem-severity';
+            severity.textContent = problem.severity === 'error' ? 'Error' : 'Warning';
+            
+            const location = document.createElement('span');
+            location.className = 'problem-location';
+            location.textContent = `#${problem.number}`;
+            
+            const message = document.createElement('span');
+            message.textContent = problem.message;
+            
+            item.appendChild(severity);
+            item.appendChild(location);
+            item.appendChild(message);
+            item.addEventListener('click', () => this.jumpToProblem(problem));
+            list.appendChild(item);
+        }
+    }
+    
+    /**
+     * Select the channel a problem belongs to and scroll its cell into view
+     * 
+     * @param {Object} problem - Entry from this.problems
+     */
+    jumpToProblem(problem) {
+        this.selectedRows.clear();
+        this.selectedRows.add(problem.number);
+        this.renderMemoryGrid();
+        this.updateUI();
+        
+        const column = this.getProblemColumn(problem.field);
+        const td = document.querySelector(`#memory-grid td[data-location="${problem.number}"][data-column="${column}"]`);
+        if (!td) {
+            // Beyond the radio's channels, so not in the grid
+            this.showStatus(`Channel ${problem.number}: ${problem.message}`, 5000);
+            return;
+        }
+        
+        td.scrollIntoView({ block: 'center', inline: 'nearest' });
+        td.classList.add('problem-focus');
+        setTimeout(() => td.classList.remove('problem-focus'), 1500);
+    }
+    
+    /**
+     * Download from radio
+     */
+    async downloadFromRadio() {
+        if (!SerialConnection.isSupported()) {
+            this.showError('Web Serial API is not supported in this browser. Use Chrome or Edge.');
+            return;
+        }
+
+        // Show radio selection dialog
+        this.showRadioDialog('download');
+    }
+    
+    /**
+     * Show radio selection dialog
+     */
+    showRadioDialog(mode) {
+        this.radioDialogMode = mode;
+        
+        // Set up vendor change handler
+        const vendorSelect = document.getElementById('radio-vendor');
+        const modelSelect = document.getElementById('radio-model');
+        const baudSelect = document.getElementById('radio-baud');
+        const memsizeSelect = document.getElementById('radio-memsize');
+        
+        vendorSelect.onchange = () => {
+            this.updateRadioModels(vendorSelect.value);
+        };
+        
+        // Restore saved selections from localStorage
+        const savedVendor = localStorage.getItem('chirp_radio_vendor');
+        const savedModel = localStorage.getItem('chirp_radio_model');
+        const savedBaud = localStorage.getItem('chirp_radio_baud');
+        const savedMemsize = localStorage.getItem('chirp_radio_memsize');
+        
+        if (savedVendor) {
+            vendorSelect.value = savedVendor;
+            this.updateRadioModels(savedVendor);
+            
+            if (savedModel) {
+                modelSelect.value = savedModel;
+            }
+        } else {
+            vendorSelect.value = '';
+            modelSelect.innerHTML = '<option value="">-- Select Model --</option>';
+        }
+        
+        if (savedBaud) {
+            baudSelect.value = savedBaud;
+        } else {
+            baudSelect.value = '9600';
+        }
+        
+        if (savedMemsize) {
+            memsizeSelect.value = savedMemsize;
+        } else {
+            memsizeSelect.value = '8192';
+        }
+        
+        // Read-back verification only applies to uploads
+        document.getElementById('radio-verify-row').style.display = mode === 'download' ? 'none' : '';
+        document.getElementById('radio-verify').checked = localStorage.getItem('chirp_radio_verify') === 'true';
+        
+        this.showDialog('radio-dialog');
+    }
+    
+    /**
+     * Get the comprehensive list of supported radio models
+     * Uses definitions from radio-defs.js
+     */
+    getRadioModels() {
+        const result = {};
+        
+        for (const [vendor, models] of Object.entries(RADIO_MODELS)) {
+            result[vendor] = [];
+            
+            for (const [modelId, modelDef] of Object.entries(models)) {
+                // Get protocol to determine baud rate
+                const protocol = getRadioProtocol(vendor, modelId);
+                
+                result[vendor].push({
+                    value: modelId,
+                    label: modelDef.name,
+                    baud: modelDef.baudRate || protocol.baudRate || 9600,
+                    memsize: modelDef.memSize
+                });
+            }
+            
+            // Sort by label
+            result[vendor].sort((a, b) => a.label.localeCompare(b.label));
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Update radio model dropdown based on vendor
+     */
+    updateRadioModels(vendor) {
+        const modelSelect = document.getElementById('radio-model');
+        modelSelect.innerHTML = '<option value="">-- Select Model --</option>';
+        
+        const models = this.getRadioModels();
+        const vendorModels = models[vendor] || [];
+        
+        for (const model of vendorModels) {
+            const option = document.createElement('option');
+            option.value = model.value;
+            option.textContent = model.label;
+            option.dataset.baud = model.baud;
+            option.dataset.memsize = model.memsize;
+            modelSelect.appendChild(option);
+        }
+        
+        // Restore saved model selection if matching vendor
+        const savedVendor = localStorage.getItem('chirp_radio_vendor');
+        const savedModel = localStorage.getItem('chirp_radio_model');
+        if (savedVendor === vendor && savedModel) {
+            modelSelect.value = savedModel;
+            // Trigger change to update baud/memsize
+            const selected = modelSelect.selectedOptions[0];
+            if (selected && selected.dataset.baud) {
+                document.getElementById('radio-baud').value = selected.dataset.baud;
+            }
+            if (selected && selected.dataset.memsize) {
+                document.getElementById('radio-memsize').value = selected.dataset.memsize;
+            }
+        }
+        
+        // Auto-select settings when model changes
+        modelSelect.onchange = () => {
+            const selected = modelSelect.selectedOptions[0];
+            if (selected && selected.dataset.baud) {
+                document.getElementById('radio-baud').value = selected.dataset.baud;
+            }
+            if (selected && selected.dataset.memsize) {
+                document.getElementById('radio-memsize').value = selected.dataset.memsize;
+            }
+        };
+    }
+    
+    /**
+     * Handle radio connect button
+     */
+    async handleRadioConnect() {
+        const vendor = document.getElementById('radio-vendor').value;
+        const model = document.getElementById('radio-model').value;
+        let baudRate = parseInt(document.getElementById('radio-baud').value);
+        const memSize = parseInt(document.getElementById('radio-memsize').value);
+        const verify = document.getElementById('radio-verify').checked;
+        
+        // Get the protocol's recommended baud rate and use it if different
+        const protocol = getRadioProtocol(vendor, model);
+        if (protocol.baudRate && protocol.baudRate !== baudRate) {
+            console.log(`Overriding baud rate ${baudRate} with protocol baud rate ${protocol.baudRate}`);
+            baudRate = protocol.baudRate;
+        }
+        
+        if (!vendor) {
+            this.showError('Please select a vendor');
+            return;
+        }
+        
+        // Save selections to localStorage for next time
+        localStorage.setItem('chirp_radio_vendor', vendor);
+        localStorage.setItem('chirp_radio_model', model);
+        localStorage.setItem('chirp_radio_baud', baudRate.toString());
+        localStorage.setItem('chirp_radio_memsize', memSize.toString());
+        
+        this.closeAllDialogs();
+        
+        if (this.radioDialogMode === 'download') {
+            await this.doRadioDownload(vendor, model, baudRate, memSize);
+        } else if (this.radioDialogMode === 'fleet') {
+            localStorage.setItem('chirp_radio_verify', verify.toString());
+            this.startFleet(vendor, model, baudRate, memSize, verify);
+        } else {
+            localStorage.setItem('chirp_radio_verify', verify.toString());
+            await this.doRadioUpload(vendor, model, baudRate, verify);
+        }
+    }
+    
+    /**
+     * Handle radio detect button
+     * Tries every known handshake, then preselects the detected radio.
+     * In download mode the download continues on the same session;
+     * in upload mode the user confirms the selection and reconnects.
+     */
+    async handleRadioDetect() {
+        this.closeAllDialogs();
+        
+        try {
+            this.serialConnection = new SerialConnection(this.serialTrace);
+            
+            if (!await this.serialConnection.requestPort()) {
+                return; // User cancelled
+            }
+            
+            this.showStatus('Detecting radio...', 0);
+            await this.serialConnection.open({ baudRate: 9600, dtr: true, rts: true });
+            await new Promise(r => setTimeout(r, 100));
+            
+            const clone = new RadioClone(this.serialConnection);
+            clone.onProgress = (progress) => {
+                this.showStatus(progress.message, 0);
+            };
+            
+            const result = await clone.detectRadio();
+            const modelDef = RADIO_MODELS[result.vendor][result.model];
+            const baudRate = clone.protocol.baudRate || 9600;
+            
+            // Preselect the detected radio for next time
+            localStorage.setItem('chirp_radio_vendor', result.vendor);
+            localStorage.setItem('chirp_radio_model', result.model);
+            localStorage.setItem('chirp_radio_baud', baudRate.toString());
+            localStorage.setItem('chirp_radio_memsize', modelDef.memSize.toString());
+            
+            const radioName = `${VENDOR_NAMES[result.vendor] || result.vendor} ${modelDef.name}`;
+            console.log('Detected radio:', radioName, result.exact ? '' : '(closest match)');
+            
+            if (this.radioDialogMode === 'download') {
+                this.showStatus(`Detected ${radioName}${result.exact ? '' : ' (closest match)'}`, 0);
+                await this.doRadioDownload(result.vendor, result.model, baudRate, modelDef.memSize, clone);
+                return;
+            }
+            
+            // Upload: the radio is now in clone mode, so it must be power-cycled
+            // before the real upload handshake
+            await this.serialConnection.close();
+            this.serialConnection = null;
+            this.showRadioDialog(this.radioDialogMode);
+            this.showStatus(`Detected ${radioName}${result.exact ? '' : ' (closest match)'} - turn the radio off and on, then click Connect`, 10000);
+            
+        } catch (error) {
+            this.showError(`Radio detection failed: ${error.message}`);
+        } finally {
+            if (this.serialConnection) {
+                try {
+                    await this.serialConnection.close();
+                } catch (e) {
+                    console.log('Error closing connection:', e);
+                }
+                this.serialConnection = null;
+            }
+        }
+    }
+    
+    /**
+     * Open a selected serial port for a radio transfer
+     * Sets DTR/RTS (required by some programming cables) and gives the
+     * cable a moment to settle.
+     * 
+     * @param {SerialConnection} connection - Connection with a port selected
+     * @param {number} baudRate - Baud rate
+     */
+    async openRadioPort(connection, baudRate) {
+        this.showStatus('Connecting to radio...', 0);
+        
+        console.log('Opening serial port with baud rate:', baudRate);
+        await connection.open({
+            baudRate: baudRate,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            flowControl: 'none'
+        });
+        
+        // Set DTR and RTS signals - required for some programming cables
+        try {
+            await connection.setSignals({ dataTerminalReady: true, requestToSend: true });
+            console.log('DTR/RTS signals set');
+        } catch (e) {
+            console.log('Could not set DTR/RTS signals:', e.message);
+        }
+        
+        // Small delay after opening connection
+        await new Promise(r => setTimeout(r, 100));
+    }
+    
+    /**
+     * Download the radio's memory
+     * If a block keeps failing, the user can continue from the failing
+     * address instead of starting over.
+     * 
+     * @param {RadioClone} clone - Clone with the radio set
+     * @param {number} memSize - Memory size
+     * @returns {Promise<Uint8Array>} Raw radio memory
+     */
+    async downloadRadioData(clone, memSize) {
+        let checkpoint = null;
+        for (;;) {
+            try {
+                return await clone.download(memSize, checkpoint);
+            } catch (error) {
+                if (!(error instanceof TransferError) || !error.checkpoint || !clone.canResume()) {
+                    throw error;
+                }
+                
+                const read = error.checkpoint.data.length;
+                if (!confirm(`${error.message}\n\n${read} bytes were read before the failure. ` +
+                        'Turn the radio off and on again (in clone mode if required), then press OK ' +
+                        `to resume at address 0x${error.address.toString(16)}.`)) {
+                    throw error;
+                }
+                checkpoint = error.checkpoint;
+            }
+        }
+    }
+    
+    /**
+     * Decode downloaded radio memory into a RadioImage
+     * 
+     * @param {Uint8Array} data - Raw radio memory
+     * @param {string} vendor - Vendor key
+     * @param {string} model - Model key
+     * @returns {RadioImage} Image that remembers the radio it came from
+     */
+    createRadioImage(data, vendor, model) {
+        // Get the protocol used for parsing (includes memory format)
+        const protocol = getRadioProtocol(vendor, model);
+        const protocolName = protocol.modelDef?.protocol || 'generic';
+        
+        console.log('Parsing downloaded data with protocol:', protocolName);
+        console.log('Memory format:', protocol.memoryFormat ? 'defined' : 'using fallback');
+        
+        // Parse the downloaded data into Memory objects using generic parser
+        const memories = parseRadioMemory(data, protocolName, vendor, model, protocol);
+        console.log(`Parsed ${memories.length} channels, ${memories.filter(m => !m.empty).length} with data`);
+        
+        const image = new RadioImage(`${vendor}_${model || 'radio'}.img`, memories.length);
+        image._rawData = data;  // Keep raw data for export
+        image._fromRadio = true;  // Radio holds these bytes (partial uploads)
+        image._protocol = protocolName;
+        image._vendor = vendor;
+        image._model = model;
+        image.vendor = VENDOR_NAMES[vendor] || vendor;
+        image.model = protocol.modelDef?.name || model;
+        image.applyFeatures(protocol.features);
+        
+        for (const mem of memories) {
+            image.setMemory(mem);
+        }
+        return image;
+    }
+    
+    /**
+     * Serialize an image's channels and edited settings back into its
+     * raw radio memory
+     * 
+     * @param {RadioImage} image - Image with _rawData
+     * @param {Object} protocol - Protocol of the target radio
+     * @param {string} protocolName - Protocol name
+     * @returns {Uint8Array} New raw radio memory
+     */
+    serializeRadioImage(image, protocol, protocolName) {
+        // Get all memories from the image
+        const memories = image.getAllMemories();
+        console.log(`Serializing ${memories.length} memories for upload`);
+        
+        let data = serializeRadioMemory(memories, image._rawData, protocolName, protocol);
+        
+        // Apply edited radio settings
+        if (image.settings && protocol.settings) {
+            data = serializeSettings(image.settings, data, protocol.settings);
+        }
+        return data;
+    }
+    
+    /**
+     * Perform the actual radio download
+     * If a RadioClone from detectRadio() is passed, its open session is reused.
+     */
+    async doRadioDownload(vendor, model, baudRate, memSize, clone = null) {
+        try {
+            if (!clone) {
+                this.serialConnection = new SerialConnection(this.serialTrace);
+                
+                if (!await this.serialConnection.requestPort()) {
+                    return; // User cancelled
+                }
 
-            this.showStatus('Connecting to radio...', 0);
+                await this.openRadioPort(this.serialConnection, baudRate);
 
-            console.log('Opening serial port with baud rate:', baudRate);
-            await this.serialConnection.open({
-                baudRate: baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
-            });
+                clone = new RadioClone(this.serialConnection);
+                clone.setRadio(vendor, model);
+            }
+
+            this.showStatus(`Downloading from ${vendor} radio...`, 0);
+            this.showProgress('Downloading from Radio', clone);
+
+            clone.onProgress = (progress) => {
+                this.updateProgress(progress);
+                this.showStatus(progress.message, 0);
+            };
+
+            const data = await this.downloadRadioData(clone, memSize);
             
-            // Set DTR and RTS signals - required for some programming cables
-            try {
-                await this.serialConnection.setSignals({ dataTerminalReady: true, requestToSend: true });
-                console.log('DTR/RTS signals set');
-            } catch (e) {
-                console.log('Could not set DTR/RTS signals:', e.message);
+            this.currentImage = this.createRadioImage(data, vendor, model);
+            this.currentImage._unsaved = true;  // Only in memory until saved (autosave keeps it)
+            const nonEmptyCount = this.currentImage.getUsedMemories().length;
+            const backedUp = await this.backupDownload(this.currentImage, clone.identification);
+            
+            this.modified = false;  // Just downloaded, not modified yet
+            this.modifiedCells.clear();
+            this.invalidCells.clear();
+            this.renderMemoryGrid();
+            this.updateUI();
+            this.showStatus(`Download complete - ${nonEmptyCount} channels found` +
+                (backedUp ? ', backup stored' : ''));
+
+        } catch (error) {
+            this.hideProgress();
+            if (error instanceof CancelledError) {
+                this.showStatus('Download cancelled');
+            } else {
+                this.showError(`Download failed: ${error.message}`);
+            }
+        } finally {
+            this.hideProgress();
+            if (this.serialConnection) {
+                try {
+                    await this.serialConnection.close();
+                } catch (e) {
+                    console.log('Error closing connection:', e);
+                }
+                this.serialConnection = null;
+            }
+        }
+    }
+
+    /**
+     * Upload to radio
+     */
+    async uploadToRadio() {
+        if (!this.currentImage) {
+            this.showError('No file open');
+            return;
+        }
+
+        if (!SerialConnection.isSupported()) {
+            this.showError('Web Serial API is not supported in this browser');
+            return;
+        }
+
+        // Show radio selection dialog
+        this.showRadioDialog('upload');
+    }
+    
+    /**
+     * Program many radios with the open channel list
+     * Reopens the running session, or asks for the radio model first.
+     */
+    fleetProgramming() {
+        if (!this.currentImage) {
+            this.showError('No file open');
+            return;
+        }
+        
+        if (!SerialConnection.isSupported()) {
+            this.showError('Web Serial API is not supported in this browser');
+            return;
+        }
+        
+        if (this.fleet) {
+            this.showFleetDialog();
+            return;
+        }
+        this.showRadioDialog('fleet');
+    }
+    
+    /**
+     * Perform the actual radio upload
+     */
+    async doRadioUpload(vendor, model, baudRate, verify = false) {
+        // Check if we have data to upload
+        if (!this.currentImage || !this.currentImage._rawData) {
+            this.showError('No data to upload. Please download from radio first or load a file.');
+            return;
+        }
+        
+        if (!this.checkBeforeUpload(vendor, model)) {
+            return;
+        }
+        
+        // Serialize memories back to binary format and let the user
+        // review exactly what will change before touching the radio
+        const protocol = getRadioProtocol(vendor, model);
+        const protocolName = this.currentImage._protocol || protocol.modelDef?.protocol || 'generic';
+        const originalData = this.currentImage._rawData;
+        let data = this.serializeRadioImage(this.currentImage, protocol, protocolName);
+        
+        // Only the changed blocks need writing if the radio still holds the
+        // image we downloaded from it. The upload reads the other blocks
+        // back and writes everything if the radio holds something else
+        const image = this.currentImage;
+        const radioData = image._fromRadio && image._vendor === vendor && image._model === model
+            ? originalData : null;
+        const partial = !!(radioData && protocol.write?.allowPartial && radioData.length === data.length);
+        
+        // Images made with Convert to Model have no settings, so only their
+        // channels are written and the radio keeps its own settings
+        const ranges = image._blankSettings ? getChannelByteRanges(protocolName, protocol) : null;
+        
+        data = await this.reviewUpload(protocol, protocolName, originalData, data, partial, !!ranges);
+        if (!data) {
+            this.showStatus('Upload cancelled');
+            return;
+        }
+        
+        try {
+            this.serialConnection = new SerialConnection(this.serialTrace);
+            
+            if (!await this.serialConnection.requestPort()) {
+                return;
+            }
+            
+            // Get the protocol's recommended baud rate
+            if (protocol.baudRate && protocol.baudRate !== baudRate) {
+                console.log(`Overriding baud rate ${baudRate} with protocol baud rate ${protocol.baudRate}`);
+                baudRate = protocol.baudRate;
+            }
+
+            await this.openRadioPort(this.serialConnection, baudRate);
+
+            this.showStatus(`Uploading to ${vendor} ${model}...`, 0);
+
+            const clone = new RadioClone(this.serialConnection);
+            clone.setRadio(vendor, model);
+            clone.onProgress = (progress) => {
+                this.updateProgress(progress);
+                this.showStatus(progress.message, 0);
+            };
+            this.showProgress('Uploading to Radio', clone);
+            
+            console.log(`Uploading ${data.length} bytes to radio`);
+            
+            const written = await clone.upload(data, radioData, ranges);
+            
+            // The radio now holds this image, so the next upload diffs against it.
+            // A converted image still has no settings of its own
+            if (image._vendor === vendor && image._model === model) {
+                image._rawData = data;
+                image._fromRadio = !ranges;
+            }
+
+            this.modified = false;
+            this.modifiedCells.clear();
+            this.renderMemoryGrid();
+            this.showStatus('Upload complete');
+            
+            if (verify) {
+                this.showProgress('Verifying Upload', clone);
+                
+                let report;
+                try {
+                    report = await clone.verify(written);
+                } catch (error) {
+                    this.hideProgress();
+                    if (error instanceof CancelledError) {
+                        this.showStatus('Upload complete, verification cancelled');
+                    } else {
+                        this.showError(`Upload complete, but verification failed: ${error.message}`);
+                    }
+                    return;
+                }
+                this.hideProgress();
+                
+                if (report.mismatches.length > 0) {
+                    this.showVerifyReport(report);
+                } else {
+                    this.showStatus(`Upload verified: ${report.blocks} blocks match`);
+                }
+            }
+
+        } catch (error) {
+            this.hideProgress();
+            if (error instanceof CancelledError) {
+                this.showStatus('Upload cancelled - the radio may hold a partly written image', 5000);
+            } else {
+                this.showError(`Upload failed: ${error.message}`);
+            }
+        } finally {
+            this.hideProgress();
+            if (this.serialConnection) {
+                try {
+                    await this.serialConnection.close();
+                } catch (e) {
+                    console.log('Error closing connection:', e);
+                }
+                this.serialConnection = null;
+            }
+        }
+    }
+
+    /*
+     * =========================================================================
+     * FLEET PROGRAMMING
+     * =========================================================================
+     * Applies the channels of the open file (the "plan") to many identical
+     * radios, one after the other. For each radio its own image is
+     * downloaded, the plan is merged into the channel slots - everything
+     * else, including settings, stays as the radio had it - and only the
+     * changed blocks are uploaded and optionally verified. Each attempt is
+     * logged under the serial number the operator enters.
+     */
+    
+    /**
+     * Start a fleet session for the radio chosen in the radio dialog
+     * 
+     * @param {string} vendor - Vendor key
+     * @param {string} model - Model key
+     * @param {number} baudRate - Baud rate
+     * @param {number} memSize - Memory size
+     * @param {boolean} verify - Read back after each upload
+     */
+    startFleet(vendor, model, baudRate, memSize, verify) {
+        const plan = this.currentImage?.getUsedMemories() || [];
+        if (plan.length === 0) {
+            this.showError('Open or create a channel list to use as the fleet plan first');
+            return;
+        }
+        
+        // Also refuses plans with locations the radio doesn't have
+        if (!this.checkBeforeUpload(vendor, model)) {
+            return;
+        }
+        
+        this.fleet = {
+            vendor,
+            model,
+            baudRate,
+            memSize,
+            verify,
+            plan: plan.map(mem => mem.clone()),
+            planName: this.currentImage.filename || this.currentImage.name,
+            connection: null,   // Kept between radios so the port is only picked once
+            busy: false
+        };
+        
+        this.showFleetDialog();
+    }
+    
+    /**
+     * Show the fleet dialog of the current session
+     */
+    showFleetDialog() {
+        const fleet = this.fleet;
+        if (!fleet) {
+            return;
+        }
+        
+        const radioName = `${VENDOR_NAMES[fleet.vendor] || fleet.vendor} ${RADIO_MODELS[fleet.vendor]?.[fleet.model]?.name || fleet.model}`;
+        const summary = `Plan: ${fleet.plan.length} channels from ${fleet.planName}, for ${radioName}` +
+            (fleet.verify ? ', verified after upload.' : '.');
+        document.getElementById('fleet-summary').textContent = summary;
+        
+        const others = document.getElementById('fleet-others');
+        others.value = localStorage.getItem('chirp_fleet_others') || 'keep';
+        others.onchange = () => localStorage.setItem('chirp_fleet_others', others.value);
+        
+        const serialInput = document.getElementById('fleet-serial');
+        serialInput.onkeydown = (e) => {
+            if (e.key === 'Enter') {
+                this.programFleetRadio();
+            }
+        };
+        document.getElementById('fleet-program').onclick = () => this.programFleetRadio();
+        document.getElementById('fleet-export').onclick = () => this.exportFleetLog();
+        document.getElementById('fleet-clear').onclick = () => {
+            if (confirm('Clear the fleet log?')) {
+                localStorage.removeItem('chirp_fleet_log');
+                this.renderFleetLog();
+            }
+        };
+        
+        this.renderFleetLog();
+        this.showDialog('fleet-dialog');
+        serialInput.focus();
+    }
+    
+    /**
+     * Program the radio on the cable with the fleet plan and log the result
+     */
+    async programFleetRadio() {
+        const fleet = this.fleet;
+        if (!fleet || fleet.busy) {
+            return;
+        }
+        
+        const serialInput = document.getElementById('fleet-serial');
+        const serial = serialInput.value.trim();
+        if (!serial) {
+            this.showError('Enter the serial number of the connected radio');
+            serialInput.focus();
+            return;
+        }
+        
+        const { vendor, model } = fleet;
+        const protocol = getRadioProtocol(vendor, model);
+        const entry = {
+            time: new Date().toISOString(),
+            serial,
+            vendor,
+            model,
+            result: 'failed',   // ok, unchanged, verify-failed, failed or cancelled
+            verified: false,
+            channels: 0,
+            blocks: 0,
+            ident: '',
+            error: ''
+        };
+        let started = false;
+        
+        fleet.busy = true;
+        try {
+            if (!fleet.connection) {
+                const connection = new SerialConnection(this.serialTrace);
+                if (!await connection.requestPort()) {
+                    return; // User cancelled the port picker
+                }
+                fleet.connection = connection;
             }
+            const connection = fleet.connection;
+            started = true;
             
-            // Small delay after opening connection
-            await new Promise(r => setTimeout(r, 100));
-
-            this.showStatus(`Downloading from ${vendor} radio...`, 0);
-
-            const clone = new RadioClone(this.serialConnection);
+            const clone = new RadioClone(connection);
             clone.setRadio(vendor, model);
             clone.onProgress = (progress) => {
-                this.showStatus(progress.message, 0);
+                this.updateProgress(progress);
+                this.showStatus(`${serial}: ${progress.message}`, 0);
             };
-
-            // Download memory
-            const data = await clone.download(memSize);
             
-            // Get the protocol used for parsing (includes memory format)
-            const protocol = getRadioProtocol(vendor, model);
-            const protocolName = protocol.modelDef?.protocol || 'generic';
+            // 1. Download this radio's own image
+            this.showProgress(`Downloading ${serial}`, clone);
+            let data;
+            try {
+                await this.openFleetPort();
+                data = await this.downloadRadioData(clone, fleet.memSize);
+            } finally {
+                await connection.close().catch(() => {});
+            }
+            this.hideProgress();
+            entry.ident = clone.identification ? SerialTrace.hex(clone.identification) : '';
             
-            console.log('Parsing downloaded data with protocol:', protocolName);
-            console.log('Memory format:', protocol.memoryFormat ? 'defined' : 'using fallback');
+            // 2. Merge the plan into its channel slots
+            const image = this.createRadioImage(data, vendor, model);
+            await this.backupDownload(image, clone.identification);
+            this.mergeFleetPlan(image, fleet.plan, document.getElementById('fleet-others').value === 'clear');
+            const newData = this.serializeRadioImage(image, protocol, image._protocol);
+            entry.channels = image.getUsedMemories().length;
             
-            // Parse the downloaded data into Memory objects using generic parser
-            const memories = parseRadioMemory(data, protocolName, vendor, model, protocol);
+            if (newData.length === data.length && newData.every((b, i) => b === data[i])) {
+                entry.result = 'unchanged';
+                return;
+            }
             
-            // Count non-empty memories
-            const nonEmptyCount = memories.filter(m => !m.empty).length;
-            console.log(`Parsed ${memories.length} channels, ${nonEmptyCount} with data`);
+            // 3. Upload the changed blocks - the radio left clone mode
+            // after the download, so it has to be restarted first
+            if (!confirm(`${serial} downloaded. Turn the radio off and on again (in clone mode if required), ` +
+                    'then press OK to upload the channel plan.')) {
+                entry.result = 'cancelled';
+                entry.error = 'Upload skipped';
+                return;
+            }
             
-            // Create image from parsed data
-            this.currentImage = new RadioImage(`${vendor}_${model || 'radio'}.img`, memories.length);
-            this.currentImage._rawData = data;  // Keep raw data for export
-            this.currentImage._protocol = protocolName;
-            this.currentImage._vendor = vendor;
-            this.currentImage._model = model;
+            this.showProgress(`Uploading ${serial}`, clone);
+            let report = null;
+            try {
+                await this.openFleetPort();
+                await clone.upload(newData, data);
+                entry.blocks = clone.uploadedBlocks.length;
+                
+                if (fleet.verify) {
+                    this.showProgress(`Verifying ${serial}`, clone);
+                    report = await clone.verify(newData);
+                }
+            } finally {
+                await connection.close().catch(() => {});
+            }
             
-            // Set parsed memories
-            for (const mem of memories) {
-                this.currentImage.setMemory(mem);
+            if (report && report.mismatches.length > 0) {
+                entry.result = 'verify-failed';
+                entry.error = `${report.mismatches.length} of ${report.blocks} blocks read back differently`;
+            } else {
+                entry.result = 'ok';
+                entry.verified = !!report;
             }
             
-            this.modified = false;  // Just downloaded, not modified yet
-            this.modifiedCells.clear();
-            this.invalidCells.clear();
-            this.renderMemoryGrid();
-            this.updateUI();
-            this.showStatus(`Download complete - ${nonEmptyCount} channels found`);
-
         } catch (error) {
-            this.showError(`Download failed: ${error.message}`);
+            entry.result = error instanceof CancelledError ? 'cancelled' : 'failed';
+            entry.error = error.message;
         } finally {
-            if (this.serialConnection) {
-                try {
-                    await this.serialConnection.close();
-                } catch (e) {
-                    console.log('Error closing connection:', e);
+            this.hideProgress();
+            fleet.busy = false;
+            
+            if (started) {
+                const log = this.loadFleetLog();
+                log.push(entry);
+                localStorage.setItem('chirp_fleet_log', JSON.stringify(log));
+                this.renderFleetLog();
+                
+                if (entry.result === 'ok' || entry.result === 'unchanged') {
+                    this.showStatus(`${serial}: ${entry.result === 'ok' ? 'programmed' : 'already up to date'}`);
+                    serialInput.value = this.nextFleetSerial(serial);
+                } else {
+                    this.showError(`${serial}: ${entry.error || entry.result}`);
                 }
-                this.serialConnection = null;
+                serialInput.select();
             }
         }
     }
-
+    
     /**
-     * Upload to radio
+     * Open the fleet session's port
+     * If the port can't be opened (cable unplugged), it is forgotten so
+     * the next radio asks for a port again.
      */
-    async uploadToRadio() {
-        if (!this.currentImage) {
-            this.showError('No file open');
-            return;
-        }
-
-        if (!SerialConnection.isSupported()) {
-            this.showError('Web Serial API is not supported in this browser');
-            return;
+    async openFleetPort() {
+        try {
+            await this.openRadioPort(this.fleet.connection, this.fleet.baudRate);
+        } catch (error) {
+            this.fleet.connection = null;
+            throw error;
         }
-
-        // Show radio selection dialog
-        this.showRadioDialog('upload');
     }
     
     /**
-     * Perform the actual radio upload
+     * Put the plan's channels into a radio image
+     * 
+     * @param {RadioImage} image - Image downloaded from the radio
+     * @param {Array<Memory>} plan - Channels to apply
+     * @param {boolean} clearOthers - Empty the channels the plan doesn't use (they are
+     *                               erased on the radio, see serializeMemoryGeneric)
      */
-    async doRadioUpload(vendor, model, baudRate) {
-        if (!confirm('Upload to radio? This will overwrite the radio memory.')) {
-            return;
+    mergeFleetPlan(image, plan, clearOthers) {
+        const [lo, hi] = image.features.memoryBounds;
+        
+        if (clearOthers) {
+            for (let number = lo; number <= hi; number++) {
+                image.deleteMemory(number);
+            }
         }
         
-        // Check if we have data to upload
-        if (!this.currentImage || !this.currentImage._rawData) {
-            this.showError('No data to upload. Please download from radio first or load a file.');
-            return;
+        for (const mem of plan) {
+            if (mem.number >= lo && mem.number <= hi) {
+                image.setMemory(mem.clone());
+            }
         }
-
+    }
+    
+    /**
+     * Suggest the next serial number by counting up its trailing digits
+     * (e.g. "EVT-009" -> "EVT-010"); other serials are left as they are.
+     * 
+     * @param {string} serial - Serial just programmed
+     * @returns {string} Serial for the next radio
+     */
+    nextFleetSerial(serial) {
+        const match = serial.match(/^(.*?)(\d+)$/);
+        if (!match) {
+            return serial;
+        }
+        const next = (parseInt(match[2], 10) + 1).toString().padStart(match[2].length, '0');
+        return match[1] + next;
+    }
+    
+    /**
+     * Load the fleet log from localStorage
+     * 
+     * @returns {Array<Object>} Log entries, oldest first
+     */
+    loadFleetLog() {
         try {
-            this.serialConnection = new SerialConnection();
-            
-            if (!await this.serialConnection.requestPort()) {
-                return;
+            return JSON.parse(localStorage.getItem('chirp_fleet_log')) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    /**
+     * Show the latest result for each serial number in the fleet dialog
+     */
+    renderFleetLog() {
+        const log = this.loadFleetLog();
+        const labels = {
+            'ok': 'Programmed',
+            'unchanged': 'Up to date',
+            'verify-failed': 'Verify failed',
+            'failed': 'Failed',
+            'cancelled': 'Cancelled'
+        };
+        
+        // Latest attempt per serial, most recent first
+        const bySerial = new Map();
+        for (const entry of log) {
+            const attempts = (bySerial.get(entry.serial)?.attempts || 0) + 1;
+            bySerial.delete(entry.serial);
+            bySerial.set(entry.serial, { ...entry, attempts });
+        }
+        const rows = Array.from(bySerial.values()).reverse();
+        
+        const done = rows.filter(r => r.result === 'ok' || r.result === 'unchanged').length;
+        document.getElementById('fleet-log-summary').textContent = rows.length === 0
+            ? 'No radios programmed yet.'
+            : `${rows.length} radios: ${done} done, ${rows.length - done} need attention.`;
+        
+        // Serials and error messages are arbitrary text, so cells are
+        // filled with textContent
+        const tbody = document.getElementById('fleet-log-body');
+        tbody.innerHTML = '';
+        for (const row of rows) {
+            const tr = document.createElement('tr');
+            tr.className = `fleet-${row.result}`;
+            const cells = [
+                row.serial,
+                (labels[row.result] || row.result) + (row.verified ? ' (verified)' : ''),
+                row.channels,
+                row.blocks,
+                row.attempts,
+                new Date(row.time).toLocaleTimeString(),
+                row.error
+            ];
+            for (const value of cells) {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
             }
-            
-            // Get the protocol's recommended baud rate
-            const protocol = getRadioProtocol(vendor, model);
-            if (protocol.baudRate && protocol.baudRate !== baudRate) {
-                console.log(`Overriding baud rate ${baudRate} with protocol baud rate ${protocol.baudRate}`);
-                baudRate = protocol.baudRate;
+            tbody.appendChild(tr);
+        }
+    }
+    
+    /**
+     * Save every fleet log entry as CSV
+     */
+    exportFleetLog() {
+        const columns = ['time', 'serial', 'vendor', 'model', 'result', 'verified', 'channels', 'blocks', 'ident', 'error'];
+        const quote = (value) => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [columns.join(',')];
+        for (const entry of this.loadFleetLog()) {
+            lines.push(columns.map(column => quote(entry[column])).join(','));
+        }
+        
+        const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `chirp_fleet_log_${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Show the progress dialog for a radio transfer
+     * Cancel aborts the clone at the next block; the transfer then
+     * fails with a CancelledError and the caller closes the port.
+     * 
+     * @param {string} title - Dialog title
+     * @param {RadioClone} clone - Clone whose transfer the dialog follows
+     */
+    showProgress(title, clone) {
+        this.progressState = { start: Date.now(), rateStart: null, last: null };
+        
+        document.getElementById('progress-title').textContent = title;
+        document.getElementById('progress-fill').style.width = '0%';
+        document.getElementById('progress-message').textContent = 'Please wait...';
+        document.getElementById('progress-details').textContent = '';
+        
+        const cancelButton = document.getElementById('progress-cancel');
+        cancelButton.disabled = false;
+        cancelButton.onclick = () => {
+            cancelButton.disabled = true;
+            document.getElementById('progress-message').textContent = 'Cancelling...';
+            clone.abort();
+        };
+        
+        // Keep the elapsed time ticking while the radio is slow to answer
+        clearInterval(this.progressTimer);
+        this.progressTimer = setInterval(() => this.updateProgressDetails(), 1000);
+        
+        this.showDialog('progress-dialog');
+    }
+    
+    /**
+     * Update the progress dialog from a RadioClone progress event
+     * 
+     * @param {Object} progress - { message, percent, bytes?, totalBytes?, blocks?, totalBlocks? }
+     */
+    updateProgress(progress) {
+        if (!this.progressState) return;
+        
+        document.getElementById('progress-fill').style.width = `${progress.percent}%`;
+        if (!document.getElementById('progress-cancel').disabled) {
+            document.getElementById('progress-message').textContent = progress.message;
+        }
+        
+        if (progress.totalBytes !== undefined) {
+            // The rate is measured from the first block, so the handshake
+            // (and skipped blocks of a resumed download) don't skew the ETA
+            if (!this.progressState.rateStart || progress.bytes < this.progressState.last.bytes) {
+                this.progressState.rateStart = { time: Date.now(), bytes: progress.bytes };
             }
-
-            this.showStatus('Connecting to radio...', 0);
+            this.progressState.last = progress;
+        }
+        
+        this.updateProgressDetails();
+    }
+    
+    /**
+     * Refresh the bytes, blocks, elapsed time and ETA line
+     */
+    updateProgressDetails() {
+        const state = this.progressState;
+        if (!state) return;
+        
+        const formatTime = (ms) => {
+            const seconds = Math.round(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        
+        const parts = [];
+        const last = state.last;
+        if (last) {
+            parts.push(`${last.bytes} / ${last.totalBytes} bytes`);
+            parts.push(`${last.blocks} / ${last.totalBlocks} blocks`);
+        }
+        parts.push(`elapsed ${formatTime(Date.now() - state.start)}`);
+        
+        if (last && last.bytes > state.rateStart.bytes && last.bytes < last.totalBytes) {
+            const rate = (last.bytes - state.rateStart.bytes) / (Date.now() - state.rateStart.time);
+            parts.push(`about ${formatTime((last.totalBytes - last.bytes) / rate)} left`);
+        }
+        
+        document.getElementById('progress-details').textContent = parts.join(' \u00b7 ');
+    }
+    
+    /**
+     * Cancel the running radio transfer, as the progress dialog's Cancel does
+     */
+    cancelTransfer() {
+        const cancelButton = document.getElementById('progress-cancel');
+        if (cancelButton && !cancelButton.disabled) {
+            cancelButton.click();
+        }
+    }
+    
+    /**
+     * Close the progress dialog and stop its timer
+     */
+    hideProgress() {
+        clearInterval(this.progressTimer);
+        this.progressTimer = null;
+        this.progressState = null;
+        
+        document.getElementById('progress-dialog').classList.remove('visible');
+        if (!document.querySelector('.dialog.visible')) {
+            document.getElementById('dialog-overlay')?.classList.remove('visible');
+        }
+    }
+    
+    /**
+     * Show the upload review dialog and wait for the user's decision
+     * 
+     * Every channel whose bytes differ from the loaded image is listed with
+     * its current and new values. Unticked channels (and the settings row)
+     * keep the bytes the radio already has.
+     * 
+     * @param {Object} protocol - Protocol of the target radio
+     * @param {string} protocolName - Protocol name (memory format fallback)
+     * @param {Uint8Array} originalData - Image as downloaded or opened
+     * @param {Uint8Array} data - Serialized image about to be uploaded
+     * @param {boolean} partial - Whether only the changed blocks will be sent
+     * @param {boolean} [channelsOnly] - Whether only the blocks holding channels will be sent
+     * @returns {Promise<Uint8Array|null>} Image to upload, or null if cancelled
+     */
+    reviewUpload(protocol, protocolName, originalData, data, partial, channelsOnly = false) {
+        const diff = diffRadioMemory(originalData, data, protocolName, protocol);
+        const memSize = protocol.modelDef?.memSize || data.length;
+        const totalBlocks = getBlockCount(protocol, memSize);
+        
+        const formatValue = (key, value) => {
+            if (value === undefined || value === '') return '';
+            if (key === 'freq' || key === 'offset') return formatFreq(value);
+            return String(value);
+        };
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        
+        // Changed settings, listed by label when the protocol has a schema
+        const settingRows = [];
+        if (diff.otherOffsets.length > 0) {
+            if (protocol.settings) {
+                const before = parseSettings(originalData, protocol.settings);
+                const after = parseSettings(data, protocol.settings);
+                for (const [key, def] of Object.entries(protocol.settings)) {
+                    if (before[key] !== after[key]) {
+                        settingRows.push({ label: def.label, before: before[key], after: after[key] });
+                    }
+                }
+            }
+            if (settingRows.length === 0) {
+                settingRows.push({ label: `${diff.otherOffsets.length} bytes outside channels`, before: '', after: '' });
+            }
+        }
+        
+        let html = '';
+        if (diff.channels.length > 0 || settingRows.length > 0) {
+            html += '<table class="rb-results-table review-table"><thead><tr>';
+            html += '<th><input type="checkbox" id="review-select-all" checked></th>';
+            html += '<th>Loc</th><th>Field</th><th>Radio now</th><th>After upload</th>';
+            html += '</tr></thead>';
             
-            console.log('Opening serial port with baud rate:', baudRate);
-            await this.serialConnection.open({
-                baudRate: baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
+            diff.channels.forEach((channel, index) => {
+                const rows = channel.fields.length > 0
+                    ? channel.fields
+                    : [{ key: '', label: '(radio data)', before: '', after: '' }];
+                
+                html += `<tbody data-channel="${index}">`;
+                rows.forEach((field, row) => {
+                    html += '<tr>';
+                    if (row === 0) {
+                        html += `<td rowspan="${rows.length}"><input type="checkbox" class="review-select" data-channel="${index}" checked></td>`;
+                        html += `<td rowspan="${rows.length}">${channel.number}</td>`;
+                    }
+                    html += `<td>${field.label}</td>`;
+                    html += `<td class="review-old">${escape(formatValue(field.key, field.before))}</td>`;
+                    html += `<td class="review-new">${escape(formatValue(field.key, field.after))}</td>`;
+                    html += '</tr>';
+                });
+                html += '</tbody>';
             });
             
-            // Set DTR and RTS signals
-            try {
-                await this.serialConnection.setSignals({ dataTerminalReady: true, requestToSend: true });
-                console.log('DTR/RTS signals set');
-            } catch (e) {
-                console.log('Could not set DTR/RTS signals:', e.message);
+            if (settingRows.length > 0) {
+                html += '<tbody data-channel="settings">';
+                settingRows.forEach((setting, row) => {
+                    html += '<tr>';
+                    if (row === 0) {
+                        html += `<td rowspan="${settingRows.length}"><input type="checkbox" class="review-select" data-channel="settings" checked></td>`;
+                        html += `<td rowspan="${settingRows.length}">Settings</td>`;
+                    }
+                    html += `<td>${escape(setting.label)}</td>`;
+                    html += `<td class="review-old">${escape(setting.before)}</td>`;
+                    html += `<td class="review-new">${escape(setting.after)}</td>`;
+                    html += '</tr>';
+                });
+                html += '</tbody>';
             }
             
-            await new Promise(r => setTimeout(r, 100));
-
-            this.showStatus(`Uploading to ${vendor} ${model}...`, 0);
-
-            const clone = new RadioClone(this.serialConnection);
-            clone.setRadio(vendor, model);
-            clone.onProgress = (progress) => {
-                this.showStatus(progress.message, 0);
-            };
-
-            // Serialize memories back to binary format before uploading
-            const protocolName = this.currentImage._protocol || protocol.modelDef?.protocol || 'generic';
+            html += '</table>';
+        }
+        
+        const container = document.getElementById('review-changes');
+        container.innerHTML = html;
+        
+        // Build the image to upload from the ticked rows
+        const buildSelection = () => {
+            const result = new Uint8Array(data);
+            container.querySelectorAll('.review-select').forEach(cb => {
+                cb.closest('tbody').classList.toggle('excluded', !cb.checked);
+                if (cb.checked) return;
+                
+                if (cb.dataset.channel === 'settings') {
+                    for (const offset of diff.otherOffsets) {
+                        result[offset] = originalData[offset];
+                    }
+                } else {
+                    for (const [start, end] of diff.channels[cb.dataset.channel].ranges) {
+                        result.set(originalData.slice(start, end), start);
+                    }
+                }
+            });
+            return result;
+        };
+        
+        const updateSummary = () => {
+            const selection = buildSelection();
+            const channels = container.querySelectorAll('.review-select:checked:not([data-channel="settings"])').length;
+            const blocks = getChangedBlocks(protocol, memSize, originalData, selection).length;
+            const summary = document.getElementById('review-summary');
             
-            // Get all memories from the current image
-            const memories = [];
-            const [lo, hi] = this.currentImage.features.memoryBounds;
-            for (let i = lo; i <= hi; i++) {
-                memories.push(this.currentImage.getMemory(i));
+            let written;
+            if (channelsOnly) {
+                written = 'Only the blocks holding channels will be written, the radio keeps its own settings.';
+            } else if (partial) {
+                written = `Only ${blocks} of ${totalBlocks} blocks will be written, after the others are read back ` +
+                    'to check the radio still holds the downloaded image (otherwise all of them).';
+            } else {
+                written = `${blocks} of ${totalBlocks} blocks differ, but the whole image will be written.`;
             }
             
-            console.log(`Serializing ${memories.length} memories for upload`);
+            if (diff.changedBytes === 0) {
+                let unchanged;
+                if (channelsOnly) {
+                    unchanged = 'All its channels will still be written to the radio, which keeps its own settings.';
+                } else if (partial) {
+                    unchanged = 'Nothing will be written if the radio still holds the downloaded image.';
+                } else {
+                    unchanged = `The whole image (${totalBlocks} blocks) will still be written to the radio.`;
+                }
+                summary.textContent = 'No channels or settings differ from the loaded image. ' + unchanged;
+            } else {
+                summary.textContent = `${channels} of ${diff.channels.length} changed channels selected` +
+                    (settingRows.length > 0 ? ', plus radio settings' : '') + `. ${written}`;
+            }
+        };
+        
+        container.onchange = (e) => {
+            if (e.target.id === 'review-select-all') {
+                container.querySelectorAll('.review-select').forEach(cb => {
+                    cb.checked = e.target.checked;
+                });
+            }
+            updateSummary();
+        };
+        updateSummary();
+        
+        // Closing the dialog any other way than Upload (close button,
+        // Cancel, Escape) cancels the upload
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                document.getElementById('review-upload').onclick = null;
+                delete this.dialogCloseHandlers['upload-review-dialog'];
+                this.closeAllDialogs();
+                resolve(result);
+            };
             
-            // Serialize memories to binary format
-            const originalData = this.currentImage._rawData;
-            const data = serializeRadioMemory(memories, originalData, protocolName, protocol);
+            document.getElementById('review-upload').onclick = () => finish(buildSelection());
+            this.dialogCloseHandlers['upload-review-dialog'] = () => finish(null);
             
-            console.log(`Uploading ${data.length} bytes to radio`);
+            this.showDialog('upload-review-dialog');
+        });
+    }
+    
+    /**
+     * Show the serial trace viewer
+     * The view follows the trace while the dialog is open.
+     */
+    showTraceDialog() {
+        const trace = this.serialTrace;
+        const output = document.getElementById('trace-output');
+        const dialog = document.getElementById('trace-dialog');
+        
+        // Rendering the whole trace on every byte would stall big downloads,
+        // so only the tail is shown and redraws are batched per frame
+        let pending = false;
+        const render = () => {
+            pending = false;
+            if (!dialog.classList.contains('visible')) {
+                trace.onChange = null;
+                return;
+            }
             
-            await clone.upload(data);
-
-            this.modified = false;
-            this.modifiedCells.clear();
-            this.renderMemoryGrid();
-            this.showStatus('Upload complete');
-
-        } catch (error) {
-            this.showError(`Upload failed: ${error.message}`);
-        } finally {
-            if (this.serialConnection) {
-                try {
-                    await this.serialConnection.close();
-                } catch (e) {
-                    console.log('Error closing connection:', e);
-                }
-                this.serialConnection = null;
+            const shown = Math.min(trace.length, 2000);
+            document.getElementById('trace-summary').textContent = trace.length === 0
+                ? 'No serial traffic recorded yet. Download from or upload to a radio, then open this again.'
+                : `${trace.length} entries` + (shown < trace.length ? ` (last ${shown} shown, exports contain all)` : '');
+            
+            const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 4;
+            output.textContent = trace.length > 0 ? trace.toText(shown) : '';
+            if (atBottom) {
+                output.scrollTop = output.scrollHeight;
+            }
+        };
+        trace.onChange = () => {
+            if (!pending) {
+                pending = true;
+                requestAnimationFrame(render);
+            }
+        };
+        
+        document.getElementById('trace-clear').onclick = () => trace.clear();
+        document.getElementById('trace-export-text').onclick = () => this.exportTrace('text');
+        document.getElementById('trace-export-json').onclick = () => this.exportTrace('json');
+        
+        this.showDialog('trace-dialog');
+        render();
+    }
+    
+    /**
+     * Save the serial trace to a file
+     * 
+     * @param {string} format - 'text' or 'json'
+     */
+    exportTrace(format) {
+        const trace = this.serialTrace;
+        const radio = trace.radio ? `${trace.radio.vendor}_${trace.radio.model}_` : '';
+        const stamp = new Date(trace.started).toISOString().replace(/[:.]/g, '-');
+        
+        const content = format === 'json'
+            ? JSON.stringify(trace.toJSON(), null, 2)
+            : trace.toText();
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `chirp_trace_${radio}${stamp}.${format === 'json' ? 'json' : 'txt'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Show the per-block mismatch report of a failed upload verification
+     * 
+     * @param {Object} report - Result of RadioClone.verify()
+     */
+    showVerifyReport(report) {
+        const hex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, '0');
+        
+        document.getElementById('verify-summary').textContent =
+            `${report.mismatches.length} of ${report.blocks} written blocks read back differently. ` +
+            'Check the cable and connector, then upload again.';
+        
+        let html = '<table class="rb-results-table"><thead><tr>';
+        html += '<th>Address</th><th>Size</th><th>Bytes differ</th><th>First differences (sent / read)</th>';
+        html += '</tr></thead><tbody>';
+        
+        for (const block of report.mismatches) {
+            const shown = block.differences.slice(0, 4).map(d =>
+                `+${d.offset - block.offset}: ${hex(d.expected)} / ${hex(d.actual)}`);
+            if (block.differences.length > shown.length) {
+                shown.push('...');
             }
+            
+            html += '<tr>';
+            html += `<td>0x${hex(block.start, 4)}</td>`;
+            html += `<td>${block.size}</td>`;
+            html += `<td>${block.differences.length}</td>`;
+            html += `<td>${shown.join(', ')}</td>`;
+            html += '</tr>';
         }
+        
+        html += '</tbody></table>';
+        document.getElementById('verify-results').innerHTML = html;
+        
+        this.showDialog('verify-dialog');
     }
-
+    
     /**
      * Show RepeaterBook dialog
      */
@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * CHIRP Web - Command Line Clone Tool
+ * ============================================================================
+ * 
+ * OVERVIEW:
+ * Runs radio downloads, uploads and file conversions under Node, without
+ * a browser, using the same RadioClone, protocol definitions and CSV/IMG
+ * code as the web app. Meant for scripting the programming of many radios.
+ * 
+ * COMMANDS:
+ *   download  --vendor V --model M --port P -o radio.img
+ *   upload    --vendor V --model M --port P -i radio.img [--verify]
+ *   to-csv    -i radio.img -o channels.csv
+ *   from-csv  -i channels.csv --template radio.img -o new.img
+ *   models    List the vendor/model keys that can be cloned
+ * 
+ * OPTIONS:
+ *   --vendor, --model  Vendor and model key or display name (baofeng uv5r,
+ *                      "Baofeng" "UV-5R")
+ *   --port             Serial device. node-serialport is used when installed
+ *                      (needed for DTR/RTS); otherwise the device is opened
+ *                      as a raw tty at the protocol's baud rate
+ *   --baud             Override the protocol's baud rate
+ *   --emulate          Talk to the built-in radio emulator instead of a port
+ *   --trace FILE       Write a serial trace (text, or JSON for *.json)
+ *   --json             Print the result as a single JSON object on stdout
+ *   --verbose          Show protocol debug output on stderr
+ * 
+ * OUTPUT:
+ * Progress goes to stderr. The result goes to stdout: one summary line,
+ * or with --json an object like
+ *   { "ok": true, "command": "download", "vendor": "baofeng",
+ *     "model": "uv5r", "bytes": 6472, "channels": 12, "output": "radio.img" }
+ *   { "ok": false, "command": "download", "error": "...", "exitCode": 3 }
+ * 
+ * EXIT CODES:
+ *   0   Success
+ *   1   Other error (files, formats)
+ *   2   Bad command line
+ *   3   Radio communication failed
+ *   4   Upload verification found differences
+ *   130 Interrupted (Ctrl+C)
+ * 
+ * USAGE:
+ *   node js/cli.js download --vendor baofeng --model uv5r --port /dev/ttyUSB0 -o radio.img
+ * 
+ * ============================================================================
+ */
+
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { SerialConnection, RadioClone, CancelledError } from './serial.js';
+import { NodeStreamDriver, openTty, createVirtualPair, connectEmulator } from './serial-node.js';
+import { RadioEmulator } from './emulator.js';
+import { SerialTrace } from './trace.js';
+import { RadioImage, parseRadioMemory, getChannelByteRanges } from './memory.js';
+import { parseCSV, generateCSV, generateIMG, parseIMGFile } from './csv.js';
+import { RADIO_MODELS, VENDOR_NAMES, findRadioModel, getRadioProtocol } from './radio-defs.js';
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_RADIO = 3;
+const EXIT_VERIFY = 4;
+const EXIT_CANCELLED = 130;
+
+const USAGE = `Usage: node js/cli.js <command> [options]
+
+Commands:
+  download  --vendor V --model M --port P -o radio.img
+  upload    --vendor V --model M --port P -i radio.img [--verify]
+  to-csv    -i radio.img -o channels.csv
+  from-csv  -i channels.csv --template radio.img -o new.img
+  models    List supported radios
+
+Options:
+  --vendor, --model  Radio (key or display name)
+  --port PATH        Serial device, e.g. /dev/ttyUSB0 or COM3
+  --baud N           Override the protocol baud rate
+  --emulate          Use the built-in radio emulator instead of a port
+  --trace FILE       Save a serial trace (.json for JSON, else text)
+  -i, --input FILE   Input file
+  -o, --output FILE  Output file
+  --template FILE    Radio image whose settings from-csv keeps
+  --verify           Read back and compare after upload
+  --json             Machine-readable result on stdout
+  --verbose          Protocol debug output on stderr
+  -h, --help         Show this help
+`;
+
+const OPTIONS = {
+    vendor: { type: 'string' },
+    model: { type: 'string' },
+    port: { type: 'string' },
+    baud: { type: 'string' },
+    emulate: { type: 'boolean' },
+    trace: { type: 'string' },
+    input: { type: 'string', short: 'i' },
+    output: { type: 'string', short: 'o' },
+    template: { type: 'string' },
+    verify: { type: 'boolean' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error in the command line itself (exit code 2).
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Error that carries its own exit code.
+ */
+class CommandError extends Error {
+    constructor(message, exitCode, details = {}) {
+        super(message);
+        this.name = 'CommandError';
+        this.exitCode = exitCode;
+        this.details = details;
+    }
+}
+
+/*
+ * =========================================================================
+ * HELPERS
+ * =========================================================================
+ */
+
+/**
+ * Resolve --vendor/--model to a radio that can be cloned.
+ * 
+ * @param {Object} options - Parsed options
+ * @returns {Object} { vendor, model, protocol }
+ */
+function resolveRadio(options) {
+    if (!options.vendor || !options.model) {
+        throw new UsageError('--vendor and --model are required');
+    }
+    
+    const radio = findRadioModel(options.vendor, options.model);
+    const protocol = radio && getRadioProtocol(radio.vendor, radio.model);
+    if (!radio || protocol.modelDef.protocol === 'generic') {
+        throw new UsageError(`Unsupported radio: ${options.vendor} ${options.model} (see "models")`);
+    }
+    
+    return { ...radio, protocol };
+}
+
+/**
+ * Read a required input file.
+ * 
+ * @param {string} path - File path from the command line
+ * @param {string} option - Option name, for the error message
+ * @returns {Buffer} File contents
+ */
+function readInput(path, option = '--input') {
+    if (!path) {
+        throw new UsageError(`${option} is required`);
+    }
+    return fs.readFileSync(path);
+}
+
+/**
+ * Check that an output file was given before doing any work.
+ * 
+ * @param {Object} options - Parsed options
+ */
+function requireOutput(options) {
+    if (!options.output) {
+        throw new UsageError('--output is required');
+    }
+}
+
+/**
+ * Load a CHIRP .img file that belongs to a known radio.
+ * 
+ * @param {string} path - File path
+ * @param {string} option - Option name, for error messages
+ * @returns {RadioImage} Image with _rawData, _vendor and _model
+ */
+function loadImage(path, option = '--input') {
+    const image = parseIMGFile(new Uint8Array(readInput(path, option)), path);
+    if (!image._vendor) {
+        throw new CommandError(`${path}: unknown radio ${image.vendor} ${image.model}`, EXIT_ERROR);
+    }
+    return image;
+}
+
+/**
+ * Build a RadioImage from a raw clone image, as the app does after a
+ * download.
+ * 
+ * @param {Uint8Array} data - Raw radio memory
+ * @param {Object} radio - { vendor, model, protocol }
+ * @param {string} filename - Name for the image
+ * @returns {RadioImage} Decoded image
+ */
+function imageFromData(data, radio, filename) {
+    const protocolName = radio.protocol.modelDef.protocol;
+    const memories = parseRadioMemory(data, protocolName, radio.vendor, radio.model, radio.protocol);
+    
+    const image = new RadioImage(filename, memories.length);
+    image.filename = filename;
+    image._rawData = data;
+    image._protocol = protocolName;
+    image._vendor = radio.vendor;
+    image._model = radio.model;
+    image.vendor = VENDOR_NAMES[radio.vendor] || radio.vendor;
+    image.model = radio.protocol.modelDef.name || radio.model;
+    image.applyFeatures(radio.protocol.features);
+    
+    for (const mem of memories) {
+        image.memories.set(mem.number, mem);
+    }
+    return image;
+}
+
+/**
+ * Open the port (or the emulator) and return a RadioClone on it.
+ * 
+ * @param {Object} options - Parsed options
+ * @param {Object} radio - { vendor, model, protocol }
+ * @param {SerialTrace} trace - Trace to record into, or null
+ * @returns {Promise<Object>} { clone, connection, emulator }
+ */
+async function connect(options, radio, trace) {
+    const baudRate = options.baud ? parseInt(options.baud, 10) : (radio.protocol.baudRate || 9600);
+    if (!(baudRate > 0)) {
+        throw new UsageError(`Invalid baud rate: ${options.baud}`);
+    }
+    
+    if (!options.emulate && !options.port) {
+        throw new UsageError('--port is required (or --emulate)');
+    }
+    
+    let emulator = null;
+    let connection = null;
+    try {
+        let stream;
+        if (options.emulate) {
+            const [host, side] = createVirtualPair();
+            emulator = new RadioEmulator(radio.vendor, radio.model);
+            await connectEmulator(emulator, side);
+            stream = host;
+        } else {
+            try {
+                const { SerialPort } = await import('serialport');
+                stream = new SerialPort({ path: options.port, baudRate, autoOpen: false });
+            } catch (error) {
+                if (error.code !== 'ERR_MODULE_NOT_FOUND') {
+                    throw error;
+                }
+                stream = openTty(options.port, baudRate);
+            }
+        }
+        
+        connection = new SerialConnection(trace, new NodeStreamDriver(stream));
+        await connection.open({
+            baudRate: baudRate,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            flowControl: 'none',
+            dtr: true,
+            rts: true
+        });
+    } catch (error) {
+        throw new CommandError(`Could not open ${options.port || 'emulator'}: ${error.message}`, EXIT_RADIO);
+    }
+    
+    const clone = new RadioClone(connection);
+    clone.setRadio(radio.vendor, radio.model);
+    if (options.emulate) {
+        clone.delay = async () => {};
+    }
+    return { clone, connection, emulator };
+}
+
+/**
+ * Run a radio transfer with progress on stderr and Ctrl+C wired to
+ * abort(). Failures become CommandErrors with the radio exit code.
+ * 
+ * @param {Object} options - Parsed options
+ * @param {Object} radio - { vendor, model, protocol }
+ * @param {Function} transfer - async (clone, emulator) => result
+ * @returns {Promise<*>} Result of transfer
+ */
+async function withRadio(options, radio, transfer) {
+    const trace = options.trace ? new SerialTrace() : null;
+    const { clone, connection, emulator } = await connect(options, radio, trace);
+    
+    const showProgress = !options.json && process.stderr.isTTY;
+    clone.onProgress = (progress) => {
+        if (showProgress) {
+            process.stderr.write(`\r${progress.message.padEnd(40)}`);
+        }
+    };
+    const onInterrupt = () => clone.abort();
+    process.on('SIGINT', onInterrupt);
+    
+    try {
+        return await transfer(clone, emulator);
+    } catch (error) {
+        if (error instanceof CancelledError) {
+            throw new CommandError(error.message, EXIT_CANCELLED);
+        }
+        if (error instanceof CommandError) {
+            throw error;
+        }
+        const details = error.address !== undefined ? { address: error.address } : {};
+        throw new CommandError(error.message, EXIT_RADIO, details);
+    } finally {
+        process.off('SIGINT', onInterrupt);
+        if (showProgress) {
+            process.stderr.write('\n');
+        }
+        await connection.close().catch(() => {});
+        
+        if (trace) {
+            const content = options.trace.toLowerCase().endsWith('.json')
+                ? JSON.stringify(trace.toJSON(), null, 2) : trace.toText();
+            fs.writeFileSync(options.trace, content);
+        }
+    }
+}
+
+/*
+ * =========================================================================
+ * COMMANDS
+ * =========================================================================
+ * Each command returns the fields of its result object and a summary line.
+ */
+
+/**
+ * Download the radio's memory into a CHIRP .img file.
+ */
+async function downloadCommand(options) {
+    const radio = resolveRadio(options);
+    requireOutput(options);
+    
+    const data = await withRadio(options, radio, async (clone) =>
+        Uint8Array.from(await clone.download(radio.protocol.modelDef.memSize)));
+    
+    const image = imageFromData(data, radio, options.output);
+    fs.writeFileSync(options.output, generateIMG(image));
+    
+    const channels = image.getUsedMemories().length;
+    return {
+        result: { vendor: radio.vendor, model: radio.model, bytes: data.length, channels, output: options.output },
+        summary: `Downloaded ${data.length} bytes (${channels} channels) to ${options.output}`
+    };
+}
+
+/**
+ * Upload a CHIRP .img file to the radio, optionally reading it back.
+ */
+async function uploadCommand(options) {
+    const radio = resolveRadio(options);
+    const image = loadImage(options.input);
+    if (image._vendor !== radio.vendor || image._model !== radio.model) {
+        throw new CommandError(`${options.input} is for ${image.vendor} ${image.model}, not ` +
+            `${VENDOR_NAMES[radio.vendor] || radio.vendor} ${radio.protocol.modelDef.name}`, EXIT_ERROR);
+    }
+    
+    const data = image._rawData;
+    
+    // Converted images have no settings: write their channels only
+    const ranges = image._blankSettings ? getChannelByteRanges(image._protocol, radio.protocol) : null;
+    const report = await withRadio(options, radio, async (clone, emulator) => {
+        const written = await clone.upload(data, null, ranges);
+        if (!options.verify) {
+            return null;
+        }
+        
+        // A real radio restarts after the upload; the emulator must be told to
+        emulator?.powerCycle();
+        return await clone.verify(written);
+    });
+    
+    const result = { vendor: radio.vendor, model: radio.model, bytes: data.length, input: options.input };
+    if (!report) {
+        return { result, summary: `Uploaded ${data.length} bytes from ${options.input}` };
+    }
+    
+    result.verified = report.mismatches.length === 0;
+    result.mismatches = report.mismatches.map(m => ({
+        address: m.start,
+        offset: m.offset,
+        differences: m.differences.length
+    }));
+    if (!result.verified) {
+        throw new CommandError(`Uploaded, but ${report.mismatches.length} of ${report.blocks} blocks differ on read-back`,
+            EXIT_VERIFY, result);
+    }
+    return { result, summary: `Uploaded and verified ${data.length} bytes (${report.blocks} blocks)` };
+}
+
+/**
+ * Export the channels of a CHIRP .img file as CHIRP CSV.
+ */
+async function toCSVCommand(options) {
+    requireOutput(options);
+    const image = loadImage(options.input);
+    
+    fs.writeFileSync(options.output, generateCSV(image) + '\n');
+    
+    const channels = image.getUsedMemories().length;
+    return {
+        result: { vendor: image._vendor, model: image._model, channels, output: options.output },
+        summary: `Wrote ${channels} channels to ${options.output}`
+    };
+}
+
+/**
+ * Replace the channels of a template .img with those of a CSV file.
+ * Settings and everything else outside the channels come from the
+ * template; template channels not in the CSV are erased from the image.
+ */
+async function fromCSVCommand(options) {
+    requireOutput(options);
+    const csv = parseCSV(readInput(options.input).toString('utf8'), options.input);
+    const image = loadImage(options.template, '--template');
+    
+    const [lo, hi] = image.features.memoryBounds;
+    for (let number = lo; number <= hi; number++) {
+        image.deleteMemory(number);
+    }
+    
+    const skipped = [];
+    for (const mem of csv.getUsedMemories()) {
+        if (mem.number < lo || mem.number > hi) {
+            skipped.push(mem.number);
+            continue;
+        }
+        image.setMemory(mem);
+    }
+    
+    fs.writeFileSync(options.output, generateIMG(image));
+    
+    const channels = image.getUsedMemories().length;
+    let summary = `Wrote ${channels} channels to ${options.output}`;
+    if (skipped.length > 0) {
+        summary += ` (skipped locations outside ${lo}-${hi}: ${skipped.join(', ')})`;
+    }
+    return {
+        result: { vendor: image._vendor, model: image._model, channels, skipped, output: options.output },
+        summary
+    };
+}
+
+/**
+ * List the radios that can be cloned.
+ */
+async function modelsCommand() {
+    const radios = [];
+    for (const [vendor, models] of Object.entries(RADIO_MODELS)) {
+        for (const [model, modelDef] of Object.entries(models)) {
+            if (modelDef.protocol !== 'generic') {
+                radios.push({ vendor, model, name: `${VENDOR_NAMES[vendor] || vendor} ${modelDef.name}` });
+            }
+        }
+    }
+    return {
+        result: { radios },
+        summary: radios.map(r => `${r.vendor.padEnd(10)} ${r.model.padEnd(14)} ${r.name}`).join('\n')
+    };
+}
+
+const COMMANDS = {
+    'download': downloadCommand,
+    'upload': uploadCommand,
+    'to-csv': toCSVCommand,
+    'from-csv': fromCSVCommand,
+    'models': modelsCommand
+};
+
+/*
+ * =========================================================================
+ * MAIN
+ * =========================================================================
+ */
+
+/**
+ * Run the command line and return the exit code.
+ * 
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let options = {};
+    let command = null;
+    
+    try {
+        const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        options = parsed.values;
+        command = parsed.positionals[0] || null;
+        
+        if (options.help || !command) {
+            process.stdout.write(USAGE);
+            return options.help ? EXIT_OK : EXIT_USAGE;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        if (parsed.positionals.length > 1) {
+            throw new UsageError(`Unexpected argument: ${parsed.positionals[1]}`);
+        }
+        
+        // The shared modules log protocol details with console.log, which
+        // must not end up in the result on stdout
+        console.log = options.verbose ? console.error : () => {};
+        if (!options.verbose) {
+            console.warn = () => {};
+        }
+        
+        const { result, summary } = await COMMANDS[command](options);
+        process.stdout.write(options.json
+            ? JSON.stringify({ ok: true, command, ...result }) + '\n'
+            : summary + '\n');
+        return EXIT_OK;
+        
+    } catch (error) {
+        let exitCode = EXIT_ERROR;
+        let details = {};
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            exitCode = EXIT_USAGE;
+        } else if (error instanceof CommandError) {
+            exitCode = error.exitCode;
+            details = error.details;
+        }
+        
+        if (options.json) {
+            process.stdout.write(JSON.stringify({ ok: false, command, ...details, error: error.message, exitCode }) + '\n');
+        } else {
+            process.stderr.write(`Error: ${error.message}\n`);
+            if (exitCode === EXIT_USAGE) {
+                process.stderr.write('Run with --help for usage.\n');
+            }
+        }
+        return exitCode;
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
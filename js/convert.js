@@ -0,0 +1,329 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Convert Between Radio Models
+ * ============================================================================
+ * 
+ * OVERVIEW:
+ * Moves a channel plan from one radio model to another. Every used memory
+ * is remapped onto the target model's capabilities (see getRadioFeatures)
+ * and written with the target's memoryFormat into a fresh clone image, so
+ * the result can be saved as .img or uploaded like a downloaded image:
+ * 
+ *   const { image, report } = convertImage(uv5rImage, 'baofeng', 'uv17pro');
+ *   for (const entry of report.entries) console.log(entry.number, entry.message);
+ * 
+ * REMAPPING RULES:
+ *   Location  - Kept; channels beyond the target's count are dropped, or
+ *               with { compact: true } all channels are renumbered 1..n
+ *   Frequency - Channels outside the target's bands are dropped
+ *   Mode      - Kept if supported, else the nearest relative (WFM -> FM,
+ *               NFM -> FM, ...); channels with no usable mode are dropped
+ *   Duplex    - Split becomes +/- when the radio has no split; a transmit
+ *               frequency outside the bands turns transmit off
+ *   Tone mode - Unsupported tone modes are cleared
+ *   Name      - Cut to the target's name length (cleared if it has none)
+ *   Power     - Nearest level by strength (Low < Med < High < Max)
+ * 
+ * Anything the target's memory format then stores differently (e.g. a
+ * fixed mode) is reported too, by decoding the new image again.
+ * 
+ * REPORT:
+ *   { source, target, converted, entries: [{ number, kind, message }] }
+ *   kind is one of: dropped, moved, name, mode, power, duplex, tone, format
+ *   number is always the channel's location in the source image; a new
+ *   location only appears in the channel's 'moved' entry.
+ * 
+ * SETTINGS:
+ * The new image starts blank (all 0xFF) apart from the channels, so it has
+ * no radio settings. It is marked _blankSettings: uploads write only the
+ * blocks holding channels (see getChannelByteRanges) and the radio keeps
+ * its own settings.
+ * 
+ * ============================================================================
+ */
+
+import { Memory, RadioImage, DIFF_FIELDS, formatFreq, isInBands, parseRadioMemory, serializeRadioMemory } from './memory.js';
+import { RADIO_MODELS, VENDOR_NAMES, getRadioProtocol, getMemoryMap } from './radio-defs.js';
+
+// Modes to fall back to, in order, when a mode isn't supported
+const MODE_FALLBACKS = {
+    WFM: ['FM', 'NFM'],
+    FM: ['NFM'],
+    NFM: ['FM'],
+    AM: ['NAM'],
+    NAM: ['AM']
+};
+
+// Relative strength of the usual power level names
+const POWER_RANKS = { low: 0, mid: 1, med: 1, medium: 1, high: 2, max: 3 };
+
+/**
+ * List the models an image can be converted to: those with a memory
+ * format and a capability profile.
+ * 
+ * @returns {Array<Object>} [{ vendor, model, name }] sorted by vendor and name
+ */
+export function getConvertTargets() {
+    const targets = [];
+    
+    for (const [vendor, models] of Object.entries(RADIO_MODELS)) {
+        for (const [model, def] of Object.entries(models)) {
+            const protocol = getRadioProtocol(vendor, model);
+            if (protocol.memoryFormat && protocol.features) {
+                targets.push({ vendor, model, name: `${VENDOR_NAMES[vendor] || vendor} ${def.name}` });
+            }
+        }
+    }
+    
+    return targets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Convert an image to another radio model.
+ * 
+ * @param {RadioImage} source - Image to convert (radio image or CSV)
+ * @param {string} vendor - Target vendor key
+ * @param {string} model - Target model key
+ * @param {Object} [options] - { compact: renumber channels 1..n to fit }
+ * @returns {Object} { image, report } - New image and what was changed
+ */
+export function convertImage(source, vendor, model, options = {}) {
+    const protocol = getRadioProtocol(vendor, model);
+    const protocolName = protocol.modelDef?.protocol || 'generic';
+    if (!protocol.memoryFormat || !protocol.features) {
+        throw new Error(`Converting to ${vendor} ${model} is not supported (no memory format)`);
+    }
+    
+    // Capabilities of the target, with the usual defaults filled in
+    const target = new RadioImage(`${vendor}_${model}.img`, 0);
+    target.applyFeatures(protocol.features);
+    const features = target.features;
+    const channels = features.memoryBounds[1];
+    
+    const report = {
+        source: source._vendor ? `${source.vendor} ${source.model}` : (source.filename || source.name),
+        target: `${VENDOR_NAMES[vendor] || vendor} ${protocol.modelDef.name || model}`,
+        converted: 0,
+        entries: []
+    };
+    const note = (number, kind, message) => report.entries.push({ number, kind, message });
+    
+    // Remap each channel, dropping what the target can't use at all.
+    // Notes name the source location, even after compacting
+    let memories = [];
+    const sourceNumbers = new Map();
+    const used = source.getUsedMemories().sort((a, b) => a.number - b.number);
+    for (const mem of used) {
+        const converted = remapMemory(mem, features, note);
+        if (converted) {
+            memories.push(converted);
+            sourceNumbers.set(converted, mem.number);
+        }
+    }
+    
+    // Fit the locations into the target's channel range
+    if (options.compact) {
+        memories.forEach((mem, i) => {
+            if (mem.number !== i + 1) {
+                mem.number = i + 1;
+                if (mem.number <= channels) {
+                    note(sourceNumbers.get(mem), 'moved', `Moved to location ${mem.number}`);
+                }
+            }
+        });
+    }
+    for (const mem of memories.filter(m => m.number < 1 || m.number > channels)) {
+        note(sourceNumbers.get(mem), 'dropped', `Dropped: the radio only has channels 1-${channels}`);
+    }
+    memories = memories.filter(m => m.number >= 1 && m.number <= channels);
+    
+    // Write a fresh image with the target's memory format. The serializer
+    // takes one memory per location, in order
+    const byNumber = new Map(memories.map(m => [m.number, m]));
+    const slots = [];
+    for (let number = 1; number <= channels; number++) {
+        slots.push(byNumber.get(number) || new Memory(number, true));
+    }
+    const blank = new Uint8Array(getMemoryMap(protocol, protocol.modelDef.memSize).totalSize).fill(0xFF);
+    const data = serializeRadioMemory(slots, blank, protocolName, protocol);
+    
+    // Decode it again, so the image shows exactly what the radio will hold
+    const stored = new Map(parseRadioMemory(data, protocolName, vendor, model, protocol).map(m => [m.number, m]));
+    for (const mem of memories) {
+        const result = stored.get(mem.number);
+        if (!result || result.empty) {
+            note(sourceNumbers.get(mem), 'dropped', 'Dropped: the memory format could not store this channel');
+            continue;
+        }
+        for (const field of DIFF_FIELDS) {
+            // Unset values take the radio's default, that's not a change
+            if (mem[field.key] && mem[field.key] !== result[field.key]) {
+                note(sourceNumbers.get(mem), 'format', `${field.label} stored as ${formatValue(field.key, result[field.key])} ` +
+                    `(was ${formatValue(field.key, mem[field.key])})`);
+            }
+        }
+    }
+    
+    const baseName = (source.filename || source.name || 'converted').replace(/\.[^.]+$/, '');
+    const image = new RadioImage(`${baseName}_${model}.img`, channels);
+    image.filename = image.name;
+    image.applyFeatures(protocol.features);
+    image._rawData = data;
+    image._protocol = protocolName;
+    image._vendor = vendor;
+    image._model = model;
+    image._blankSettings = true;
+    image.vendor = VENDOR_NAMES[vendor] || vendor;
+    image.model = protocol.modelDef.name || model;
+    
+    for (const mem of stored.values()) {
+        image.memories.set(mem.number, mem);
+    }
+    
+    report.converted = image.getUsedMemories().length;
+    report.entries.sort((a, b) => a.number - b.number);
+    return { image, report };
+}
+
+/**
+ * Remap one memory onto the target's capabilities.
+ * 
+ * @param {Memory} mem - Source memory
+ * @param {Object} features - Target capabilities
+ * @param {Function} note - note(number, kind, message) adds a report entry
+ * @returns {Memory|null} Converted copy, or null if the channel is dropped
+ */
+function remapMemory(mem, features, note) {
+    const out = mem.clone();
+    const number = mem.number;
+    
+    if (!isInBands(out.freq, features.bands)) {
+        note(number, 'dropped', `Dropped: ${formatFreq(out.freq)} MHz is outside the radio's bands`);
+        return null;
+    }
+    
+    // Mode
+    if (out.mode && !features.validModes.includes(out.mode)) {
+        const mode = (MODE_FALLBACKS[out.mode] || []).find(m => features.validModes.includes(m));
+        if (!mode) {
+            note(number, 'dropped', `Dropped: mode ${out.mode} is not supported`);
+            return null;
+        }
+        note(number, 'mode', `Mode ${out.mode} changed to ${mode}`);
+        out.mode = mode;
+    }
+    
+    // Duplex and transmit frequency
+    if (out.duplex === 'split' && !features.validDuplexes.includes('split')) {
+        const txFreq = out.offset;
+        out.duplex = txFreq >= out.freq ? '+' : '-';
+        out.offset = Math.abs(txFreq - out.freq);
+        note(number, 'duplex', `Split changed to duplex ${out.duplex} with offset ${formatFreq(out.offset)}`);
+    }
+    if (out.duplex && !features.validDuplexes.includes(out.duplex)) {
+        note(number, 'duplex', `Duplex ${out.duplex} is not supported, cleared`);
+        out.duplex = '';
+    }
+    const txFreq = out.getTxFreq();
+    if (txFreq > 0 && txFreq !== out.freq && !isInBands(txFreq, features.bands)) {
+        note(number, 'duplex', `Transmit frequency ${formatFreq(txFreq)} is outside the radio's bands, transmit turned off`);
+        out.duplex = features.validDuplexes.includes('off') ? 'off' : '';
+        out.offset = 0;
+    }
+    
+    // Tones
+    if (out.tmode && (!features.validTmodes.includes(out.tmode) ||
+                      (out.tmode.startsWith('DTCS') && features.hasDtcs === false))) {
+        note(number, 'tone', `Tone mode ${out.tmode} is not supported, cleared`);
+        out.tmode = '';
+    }
+    
+    // Name
+    if (out.name && features.hasName === false) {
+        note(number, 'name', `Name "${out.name}" removed (the radio has no channel names)`);
+        out.name = '';
+    } else if (out.name.length > features.validNameLength) {
+        const name = out.name.substring(0, features.validNameLength);
+        note(number, 'name', `Name "${out.name}" truncated to "${name}"`);
+        out.name = name;
+    }
+    
+    // Power
+    if (out.power && !features.validPowerLevels.includes(out.power)) {
+        const power = nearestPowerLevel(out.power, features.validPowerLevels);
+        note(number, 'power', power
+            ? `Power ${out.power} changed to ${power}`
+            : `Power ${out.power} is unknown, the radio's default is used`);
+        out.power = power;
+    }
+    
+    // Quietly drop settings the radio doesn't have
+    if (out.skip && !features.validSkips.includes(out.skip)) {
+        out.skip = '';
+    }
+    if (out.tuningStep && !features.validTuningSteps.includes(out.tuningStep)) {
+        out.tuningStep = 0;
+    }
+    
+    return out;
+}
+
+/**
+ * Pick the target power level closest in strength to a source level.
+ * Ties go to the lower level.
+ * 
+ * @param {string} power - Source level, e.g. "Medium"
+ * @param {Array<string>} levels - Target levels, e.g. ['High', 'Low']
+ * @returns {string} Target level, or '' if the source level is unknown
+ */
+function nearestPowerLevel(power, levels) {
+    const rank = POWER_RANKS[power.toLowerCase()];
+    if (rank === undefined) {
+        return '';
+    }
+    
+    let best = '';
+    let bestDistance = Infinity;
+    for (const level of levels) {
+        const levelRank = POWER_RANKS[level.toLowerCase()];
+        if (levelRank === undefined) continue;
+        
+        const distance = Math.abs(levelRank - rank);
+        if (distance < bestDistance || (distance === bestDistance && levelRank < POWER_RANKS[best.toLowerCase()])) {
+            best = level;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Format a memory field value for the report.
+ * 
+ * @param {string} key - Memory field
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatValue(key, value) {
+    if (key === 'freq' || key === 'offset') {
+        return formatFreq(value);
+    }
+    return value === '' ? '(none)' : String(value);
+}
+
+/**
+ * Render a conversion report as plain text (for saving or the console).
+ * 
+ * @param {Object} report - Report from convertImage()
+ * @returns {string} One line per entry, after a summary line
+ */
+export function formatConvertReport(report) {
+    const lines = [
+        `Converted ${report.source} to ${report.target}: ${report.converted} channels, ` +
+        `${report.entries.length} changes`
+    ];
+    for (const entry of report.entries) {
+        lines.push(`${String(entry.number).padStart(4)}  ${entry.kind.padEnd(7)}  ${entry.message}`);
+    }
+    return lines.join('\n') + '\n';
+}
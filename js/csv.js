@@ -3,7 +3,8 @@
  * Handles reading and writing CHIRP CSV format files
  */
 
-import { Memory, RadioImage, parseFreq, formatFreq } from './memory.js';
+import { Memory, RadioImage, parseFreq, formatFreq, parseRadioMemory, serializeRadioMemory, serializeSettings } from './memory.js';
+import { findRadioModel, getRadioProtocol, VENDOR_NAMES } from './radio-defs.js';
 
 // CSV column headers matching CHIRP format
 export const CSV_HEADERS = [
@@ -13,6 +14,9 @@ export const CSV_HEADERS = [
     'URCALL', 'RPT1CALL', 'RPT2CALL', 'DVCODE'
 ];
 
+// Magic bytes that separate the raw image from the metadata in a CHIRP .img file
+const IMG_METADATA_MAGIC = new Uint8Array([0x00, 0xFF, 0x63, 0x68, 0x69, 0x72, 0x70, 0xEE, 0x69, 0x6D, 0x67, 0x00, 0x01]);
+
 /**
  * Parse a CHIRP CSV file
  */
@@ -302,10 +306,16 @@ export function readIMGFile(file) {
 
 /**
  * Parse CHIRP .img file format
+ * Used by readIMGFile() in the browser and by the command line tool,
+ * which reads files itself.
+ * 
+ * @param {Uint8Array} data - File contents
+ * @param {string} filename - Name for the image
+ * @returns {RadioImage} Image with _rawData, and _vendor/_model if the radio is known
  */
-function parseIMGFile(data, filename) {
+export function parseIMGFile(data, filename) {
     // Look for CHIRP metadata magic
-    const magic = new Uint8Array([0x00, 0xFF, 0x63, 0x68, 0x69, 0x72, 0x70, 0xEE, 0x69, 0x6D, 0x67, 0x00, 0x01]);
+    const magic = IMG_METADATA_MAGIC;
     let metadataStart = -1;
     
     for (let i = 0; i < data.length - magic.length; i++) {
@@ -337,16 +347,95 @@ function parseIMGFile(data, filename) {
         }
     }
     
-    // Create a generic image - real implementation would detect radio type
-    const image = new RadioImage(filename, 128);
+    // Look up the radio from the metadata so we can decode its channels
+    const radio = findRadioModel(metadata.vendor, metadata.model);
+    const protocol = radio ? getRadioProtocol(radio.vendor, radio.model) : null;
+    const protocolName = protocol?.modelDef?.protocol || 'generic';
+    
+    let memories = [];
+    if (radio && protocolName !== 'generic') {
+        memories = parseRadioMemory(rawData, protocolName, radio.vendor, radio.model, protocol);
+    } else {
+        console.warn(`Unknown radio in IMG metadata: ${metadata.vendor} ${metadata.model}`);
+    }
+    
+    const image = new RadioImage(filename, memories.length || 128);
     image.filename = filename;
     image.vendor = metadata.vendor || 'Unknown';
     image.model = metadata.model || 'Unknown';
     image._rawData = rawData;
     
+    if (radio) {
+        image._protocol = protocolName;
+        image._vendor = radio.vendor;
+        image._model = radio.model;
+        image._blankSettings = !!metadata.blank_settings;  // Made with Convert to Model
+        image.applyFeatures(protocol.features);
+    }
+    
+    for (const mem of memories) {
+        image.memories.set(mem.number, mem);
+    }
+    
     return image;
 }
 
+/**
+ * Generate CHIRP .img content from a RadioImage
+ * The raw clone image is re-serialized from the current channels and
+ * followed by the base64 JSON metadata trailer that CHIRP expects.
+ */
+export function generateIMG(image) {
+    if (!image._rawData) {
+        throw new Error('No radio image data - download from a radio or open an .img file first');
+    }
+    
+    const protocol = getRadioProtocol(image._vendor, image._model);
+    const protocolName = image._protocol || protocol.modelDef?.protocol || 'generic';
+    let data = serializeRadioMemory(image.getAllMemories(), image._rawData, protocolName, protocol);
+    if (image.settings && protocol.settings) {
+        data = serializeSettings(image.settings, data, protocol.settings);
+    }
+    
+    // CHIRP identifies the driver by "Vendor_Model" (rclass) in the metadata
+    const vendor = VENDOR_NAMES[image._vendor] || image.vendor;
+    const model = protocol.modelDef?.name || image.model;
+    const metadata = {
+        rclass: `${vendor}_${model}`.replace(/\//g, '_').replace(/ /g, '_').replace(/[()]/g, ''),
+        vendor: vendor,
+        model: model,
+        variant: '',
+        chirp_version: 'chirp_web'
+    };
+    if (image._blankSettings) {
+        metadata.blank_settings = true;  // Channels only, see convertImage()
+    }
+    const trailer = new TextEncoder().encode(btoa(JSON.stringify(metadata)));
+    
+    const result = new Uint8Array(data.length + IMG_METADATA_MAGIC.length + trailer.length);
+    result.set(data, 0);
+    result.set(IMG_METADATA_MAGIC, data.length);
+    result.set(trailer, data.length + IMG_METADATA_MAGIC.length);
+    return result;
+}
+
+/**
+ * Download CHIRP .img file to user's computer
+ */
+export function downloadIMG(image, filename) {
+    const content = generateIMG(image);
+    const blob = new Blob([content], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || 'chirp_export.img';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Export supported file formats
  */
@@ -0,0 +1,698 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Radio Emulator
+ * ============================================================================
+ * 
+ * OVERVIEW:
+ * An in-memory stand-in for a radio on the end of a programming cable.
+ * RadioEmulator implements the same transport interface as
+ * SerialConnection, so RadioClone can download from and upload to it
+ * without hardware - in the browser or under Node.
+ * 
+ * TRANSPORT INTERFACE:
+ * RadioClone only needs these methods from its connection:
+ *   write(data)              - Send bytes to the radio
+ *   read(length, timeout)    - Receive up to length bytes
+ *   setBaudRate(baudRate)    - Optional, used by radio detection
+ * SerialConnection and RadioEmulator also provide open(), close(),
+ * readUntil(), setSignals() and getSignals().
+ * 
+ * EMULATION:
+ * The radio side of each protocol in RADIO_PROTOCOLS is replayed from
+ * its definition: handshake acks, ident bytes, block echoes, checksums
+ * and encryption. Memory is addressed with the same getMemoryMap() used
+ * by RadioClone, so an image loaded into the emulator downloads back
+ * byte for byte.
+ * 
+ * Checksums, frames and encryption are built by the helpers at the end
+ * of this file, from the radios' wire formats, not with RadioClone's own
+ * code - a framing bug in RadioClone fails against the emulator instead
+ * of being repeated by it.
+ * 
+ * Responses are queued as soon as a command is complete, so reads never
+ * wait - a read with nothing queued returns empty, like a timeout.
+ * 
+ * USAGE:
+ *   const radio = new RadioEmulator('baofeng', 'uv5r', image);
+ *   await radio.open();
+ *   const clone = new RadioClone(radio);
+ *   clone.setRadio('baofeng', 'uv5r');
+ *   clone.delay = async () => {};      // Skip the pacing real radios need
+ *   const data = await clone.download(memSize);
+ *   await clone.upload(data);
+ *   radio.getImage();                  // Image as the radio now holds it
+ * 
+ * ============================================================================
+ */
+
+import { getRadioProtocol, getMemoryMap } from './radio-defs.js';
+
+export class RadioEmulator {
+    /**
+     * Create an emulated radio.
+     * 
+     * @param {string} vendor - Vendor key from RADIO_MODELS
+     * @param {string} model - Model key from RADIO_MODELS
+     * @param {Uint8Array} image - Optional clone image to load (as downloaded)
+     * @param {Object} options - { ident: identification bytes the radio sends }
+     */
+    constructor(vendor, model, image = null, options = {}) {
+        this.vendor = vendor;
+        this.model = model;
+        this.protocol = getRadioProtocol(vendor, model);
+        this.map = getMemoryMap(this.protocol, this.protocol.modelDef.memSize);
+        
+        this.baudRate = this.protocol.baudRate || 9600;  // Speed the radio talks at
+        this.portBaudRate = this.baudRate;                // Speed the host port is set to
+        this.connected = false;
+        this.signals = { dataTerminalReady: false, requestToSend: false };
+        
+        // Radio memory, indexed by radio address
+        const memEnd = Math.max(...this.map.regions.map(r => r.start + r.size));
+        this.memory = new Uint8Array(memEnd).fill(0xFF);
+        
+        this.ident = options.ident ? Array.from(options.ident) : null;
+        this.rx = [];           // Bytes waiting for the host to read
+        this.pending = [];      // Bytes from the host not yet handled
+        this.state = 'idle';    // idle, ident, identAck, magics, clone
+        this.magicIndex = 0;
+        this.blockWrites = [];  // { address, size } of every block written
+        
+        if (image) {
+            this.loadImage(image);
+        }
+        if (!this.ident) {
+            this.ident = this.defaultIdent();
+        }
+    }
+    
+    /*
+     * =========================================================================
+     * MEMORY
+     * =========================================================================
+     */
+    
+    /**
+     * Load a clone image (header + regions, as RadioClone.download returns it).
+     * 
+     * @param {Uint8Array} image - Clone image
+     */
+    loadImage(image) {
+        if (this.map.headerSize > 0 && !this.ident) {
+            this.ident = Array.from(image.slice(0, this.map.headerSize));
+        }
+        
+        for (const region of this.map.regions) {
+            const bytes = image.slice(region.offset, region.offset + region.size);
+            this.memory.set(bytes, region.start);
+        }
+    }
+    
+    /**
+     * Build the clone image of the emulated radio's current memory.
+     * 
+     * @returns {Uint8Array} Image laid out as RadioClone.download returns it
+     */
+    getImage() {
+        const image = new Uint8Array(this.map.totalSize);
+        
+        if (this.map.headerSize > 0) {
+            const header = this.ident.slice(0, this.map.headerSize);
+            image.fill(0xFF, 0, this.map.headerSize);
+            image.set(header, 0);
+        }
+        
+        for (const region of this.map.regions) {
+            image.set(this.memory.slice(region.start, region.start + region.size), region.offset);
+        }
+        
+        return image;
+    }
+    
+    /**
+     * Identification the radio sends when none was given or loaded.
+     * 
+     * @returns {Array} Ident bytes for this protocol's handshake
+     */
+    defaultIdent() {
+        const hs = this.protocol.handshake || {};
+        const length = hs.identLength || 8;
+        const match = this.protocol.modelDef.identMatch;
+        
+        if (hs.type === 'wouxun') {
+            // Wouxun radios answer with their model string
+            return Array.from(this.protocol.modelDef.name, c => c.charCodeAt(0));
+        }
+        
+        const prefix = hs.identPrefix ||
+            (typeof match === 'string' ? Array.from(match, c => c.charCodeAt(0)) : match) || [];
+        const ident = [...prefix];
+        while (ident.length < length) ident.push(0x00);
+        
+        // UV-5R family idents end with 0xDD
+        if (hs.type === 'magic') {
+            ident[length - 1] = hs.identEndByte ?? 0xDD;
+        }
+        
+        return ident.slice(0, length);
+    }
+    
+    /**
+     * Turn the radio off and on again - it leaves clone mode.
+     */
+    powerCycle() {
+        this.state = 'idle';
+        this.pending = [];
+        this.rx = [];
+    }
+    
+    /*
+     * =========================================================================
+     * TRANSPORT INTERFACE (same as SerialConnection)
+     * =========================================================================
+     */
+    
+    /**
+     * Open the emulated port.
+     * 
+     * @param {Object} options - { baudRate, dtr, rts }
+     * @returns {Promise<boolean>} True on success
+     */
+    async open(options = {}) {
+        this.connected = true;
+        this.portBaudRate = options.baudRate || this.baudRate;
+        
+        if (options.dtr !== undefined || options.rts !== undefined) {
+            this.signals = {
+                dataTerminalReady: options.dtr !== false,
+                requestToSend: options.rts !== false
+            };
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Change the host's baud rate. At the wrong rate the radio
+     * receives noise and never answers.
+     * 
+     * @param {number} baudRate - New baud rate
+     */
+    async setBaudRate(baudRate) {
+        this.portBaudRate = baudRate;
+        this.pending = [];
+    }
+    
+    /**
+     * Close the emulated port. The radio keeps its state, just as a real
+     * radio stays in clone mode until it is power-cycled.
+     */
+    async close() {
+        this.connected = false;
+        this.rx = [];
+    }
+    
+    /**
+     * Send bytes to the radio.
+     * 
+     * @param {Uint8Array|Array|string} data - Data to write
+     * @throws {Error} If not connected or invalid data type
+     */
+    async write(data) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+        
+        let bytes;
+        if (data instanceof Uint8Array || Array.isArray(data)) {
+            bytes = Array.from(data);
+        } else if (typeof data === 'string') {
+            bytes = Array.from(new TextEncoder().encode(data));
+        } else {
+            throw new Error('Invalid data type');
+        }
+        
+        if (this.portBaudRate !== this.baudRate) {
+            return;
+        }
+        
+        this.pending.push(...bytes);
+        this.process();
+    }
+    
+    /**
+     * Read bytes the radio has sent. Returns immediately with whatever
+     * is queued (up to length bytes).
+     * 
+     * @param {number} length - Number of bytes to read (0 = everything queued)
+     * @param {number} timeout - Ignored, kept for interface compatibility
+     * @returns {Promise<Uint8Array>} Received data
+     * @throws {Error} If not connected
+     */
+    async read(length = 0, timeout = 5000) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+        return new Uint8Array(this.rx.splice(0, length || this.rx.length));
+    }
+    
+    /**
+     * Read up to and including a terminator sequence.
+     * 
+     * @param {Uint8Array|Array|string} terminator - Byte sequence to find
+     * @param {number} timeout - Ignored, kept for interface compatibility
+     * @returns {Promise<Uint8Array>} Data including terminator, or all queued data
+     */
+    async readUntil(terminator, timeout = 5000) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+        
+        const term = typeof terminator === 'string'
+            ? Array.from(new TextEncoder().encode(terminator))
+            : Array.from(terminator);
+        
+        for (let i = 0; i + term.length <= this.rx.length; i++) {
+            if (term.every((b, j) => this.rx[i + j] === b)) {
+                return new Uint8Array(this.rx.splice(0, i + term.length));
+            }
+        }
+        return new Uint8Array(this.rx.splice(0));
+    }
+    
+    /**
+     * Set serial control signals (DTR, RTS).
+     * 
+     * @param {Object} signals - { dataTerminalReady: bool, requestToSend: bool }
+     */
+    async setSignals(signals) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+        Object.assign(this.signals, signals);
+    }
+    
+    /**
+     * Get serial input signals. The emulated radio is always ready.
+     * 
+     * @returns {Object} Signal states
+     */
+    async getSignals() {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+        return { clearToSend: true, dataCarrierDetect: false, dataSetReady: true, ringIndicator: false };
+    }
+    
+    /**
+     * Port info - the emulator has no USB IDs.
+     * 
+     * @returns {Object} Empty port info
+     */
+    getInfo() {
+        return {};
+    }
+    
+    /*
+     * =========================================================================
+     * PROTOCOL STATE MACHINE
+     * =========================================================================
+     */
+    
+    /**
+     * Queue bytes for the host to read.
+     * 
+     * @param {Array|Uint8Array} bytes - Response bytes
+     */
+    respond(bytes) {
+        this.rx.push(...bytes);
+    }
+    
+    /**
+     * Check whether the unhandled input ends with a byte sequence.
+     * 
+     * @param {Array} sequence - Bytes to look for
+     * @returns {boolean} True if pending input ends with sequence
+     */
+    pendingEndsWith(sequence) {
+        if (!sequence || this.pending.length < sequence.length) {
+            return false;
+        }
+        const start = this.pending.length - sequence.length;
+        return sequence.every((b, i) => this.pending[start + i] === b);
+    }
+    
+    /**
+     * Handle everything the host has sent so far.
+     */
+    process() {
+        const hs = this.protocol.handshake;
+        
+        // Wouxun radios talk in records from the first byte
+        if (hs?.type === 'wouxun') {
+            while (this.processRecord()) { /* keep going */ }
+            return;
+        }
+        
+        if (!hs) {
+            this.state = 'clone';
+        }
+        
+        if (this.state !== 'clone') {
+            this.processHandshake(hs);
+        }
+        
+        if (this.state === 'clone') {
+            while (this.pending.length > 0 && this.processCommand()) { /* keep going */ }
+        }
+    }
+    
+    /**
+     * Radio side of the magic, program, uv17pro and leixen handshakes.
+     * 
+     * @param {Object} hs - Handshake definition
+     */
+    processHandshake(hs) {
+        const next = (state) => {
+            this.pending = [];
+            this.state = state;
+        };
+        
+        if (this.state === 'idle') {
+            if (hs.type === 'magic') {
+                const sequences = hs.magicSequences || [hs.magic];
+                if (sequences.some(magic => this.pendingEndsWith(magic))) {
+                    this.respond([hs.expectAck]);
+                    next(hs.identCmd ? 'ident' : 'clone');
+                }
+            } else if (hs.type === 'program') {
+                if (this.pendingEndsWith(hs.programCmd)) {
+                    this.respond([hs.expectAck]);
+                    next(hs.identCmd ? 'ident' : 'clone');
+                }
+            } else if (hs.type === 'uv17pro') {
+                if (hs.idents.some(ident => this.pendingEndsWith(ident))) {
+                    this.respond(hs.fingerprint);
+                    this.magicIndex = 0;
+                    next(hs.magics?.length ? 'magics' : 'clone');
+                }
+            } else if (hs.type === 'leixen') {
+                if (this.pendingEndsWith(hs.magic)) {
+                    this.respond(hs.expectResponse);
+                    next('clone');
+                }
+            }
+            
+            // Line noise before the handshake is ignored
+            if (this.pending.length > 256) {
+                this.pending = this.pending.slice(-64);
+            }
+            
+        } else if (this.state === 'ident') {
+            if (this.pendingEndsWith(hs.identCmd)) {
+                this.respond(this.ident);
+                const ackAfterIdent = hs.type === 'magic' ? hs.ackAfterIdent !== false : !!hs.ackAfterIdent;
+                next(ackAfterIdent ? 'identAck' : 'clone');
+            }
+            
+        } else if (this.state === 'identAck') {
+            if (this.pending.includes(0x06)) {
+                this.respond([0x06]);
+                next('clone');
+            }
+            
+        } else if (this.state === 'magics') {
+            const magic = hs.magics[this.magicIndex];
+            if (this.pendingEndsWith(magic.cmd)) {
+                // Single-byte responses are an ACK; longer ones carry radio info we don't model
+                const response = new Array(magic.responseLen).fill(0x00);
+                if (magic.responseLen === 1) response[0] = 0x06;
+                this.respond(response);
+                
+                this.magicIndex++;
+                next(this.magicIndex < hs.magics.length ? 'magics' : 'clone');
+            }
+        }
+    }
+    
+    /**
+     * Handle one block command at the start of the pending input.
+     * Bytes that do not start a command (host ACKs, end commands) are skipped.
+     * 
+     * @returns {boolean} True if input was consumed, false if more is needed
+     */
+    processCommand() {
+        const read = this.protocol.read;
+        const write = this.protocol.write;
+        const cmd = this.pending[0];
+        
+        if (cmd !== read.cmd && cmd !== write.cmd) {
+            this.pending.shift();
+            return true;
+        }
+        
+        if (read.framing === 'leixen') {
+            return this.processLeixenFrame();
+        }
+        
+        if (this.pending.length < 4) {
+            return false;
+        }
+        const address = (this.pending[1] << 8) | this.pending[2];
+        const size = this.pending[3];
+        
+        if (cmd === read.cmd) {
+            this.pending.splice(0, 4);
+            let data = this.memory.slice(address, address + size);
+            
+            if (read.skipHeaderValidation) {
+                // UV17Pro: 4-byte header, then encrypted data
+                if (this.protocol.encryption?.enabled) {
+                    data = uv17proCrypt(data, this.protocol.encryption.symbolIndex);
+                }
+                this.respond([read.responseCmd ?? read.cmd, address >> 8, address & 0xFF, size, ...data]);
+                return true;
+            }
+            
+            if (read.responseCmd !== undefined) {
+                this.respond([read.responseCmd, address >> 8, address & 0xFF, size]);
+            }
+            this.respond(read.hasChecksum ? [...data, blockChecksum(data, this.protocol.checksum)] : data);
+            return true;
+        }
+        
+        // Write: [CMD][ADDR_HI][ADDR_LO][SIZE][DATA...][CHECKSUM?]
+        const length = 4 + size + (write.hasChecksum ? 1 : 0);
+        if (this.pending.length < length) {
+            return false;
+        }
+        const frame = this.pending.splice(0, length);
+        
+        let data = new Uint8Array(frame.slice(4, 4 + size));
+        if (write.hasChecksum && frame[4 + size] !== blockChecksum(data, this.protocol.checksum)) {
+            this.respond([0x15]);
+            return true;
+        }
+        
+        if (this.protocol.encryption?.enabled) {
+            data = uv17proCrypt(data, this.protocol.encryption.symbolIndex);
+        }
+        this.store(address, data);
+        
+        if (write.expectAck !== undefined) {
+            this.respond([write.expectAck]);
+        }
+        return true;
+    }
+    
+    /**
+     * Handle a Leixen frame: [CMD][LEN][ADDR_HI][ADDR_LO][DATA...][XOR]
+     * 
+     * @returns {boolean} True if input was consumed, false if more is needed
+     */
+    processLeixenFrame() {
+        if (this.pending.length < 2 || this.pending.length < this.pending[1] + 3) {
+            return false;
+        }
+        
+        const frame = new Uint8Array(this.pending.splice(0, this.pending[1] + 3));
+        const address = (frame[2] << 8) | frame[3];
+        const data = frame.slice(4, -1);
+        
+        if (frame[frame.length - 1] !== blockChecksum(frame.slice(0, -1), this.protocol.checksum)) {
+            this.respond([0x15]);
+            return true;
+        }
+        
+        if (frame[0] === this.protocol.read.cmd) {
+            const size = data[0];
+            this.respond(leixenFrame(0x57, address, this.memory.slice(address, address + size)));
+        } else {
+            this.store(address, data);
+            this.respond([this.protocol.write.expectAck]);
+        }
+        return true;
+    }
+    
+    /**
+     * Handle one Wouxun record at the start of the pending input.
+     * Records with a bad checksum are ignored, as the radio does.
+     * 
+     * @returns {boolean} True if input was consumed, false if more is needed
+     */
+    processRecord() {
+        const hs = this.protocol.handshake;
+        
+        // Resynchronise on the record start byte
+        while (this.pending.length > 0 && this.pending[0] !== hs.recordStart) {
+            this.pending.shift();
+        }
+        if (this.pending.length < 4 || this.pending.length < this.pending[3] + 5) {
+            return false;
+        }
+        
+        const header = this.pending.splice(0, 4);
+        const body = this.pending.splice(0, header[3] + 1);
+        const decrypted = wouxunDecrypt(body, this.protocol.encryption.valxor);
+        if (decrypted[header[3]] !== blockChecksum([...header.slice(1), ...decrypted.slice(0, -1)], this.protocol.checksum)) {
+            return true;
+        }
+        
+        const cmd = header[1];
+        const payload = Array.from(decrypted.slice(0, header[3]));
+        const address = (payload[0] << 8) | payload[1];
+        
+        if (cmd === hs.identCmd) {
+            this.state = 'clone';
+            this.respondRecord(cmd, this.ident);
+        } else if (cmd === hs.endCmd) {
+            this.state = 'idle';
+        } else if (this.state !== 'clone') {
+            // Not identified yet - the radio ignores block commands
+        } else if (cmd === this.protocol.read.cmd) {
+            this.respondRecord(cmd, [...payload.slice(0, 2), ...this.memory.slice(address, address + payload[2])]);
+        } else if (cmd === this.protocol.write.cmd) {
+            this.store(address, payload.slice(2));
+            this.respondRecord(cmd, payload.slice(0, 2));
+        }
+        return true;
+    }
+    
+    /**
+     * Queue a Wouxun record: clear header, encrypted payload and checksum.
+     * 
+     * @param {number} cmd - Record command byte
+     * @param {Array|Uint8Array} payload - Unencrypted payload
+     */
+    respondRecord(cmd, payload) {
+        const hs = this.protocol.handshake;
+        const header = [hs.recordStart, cmd, 0xFF, payload.length];
+        const checksum = blockChecksum([...header.slice(1), ...payload], this.protocol.checksum);
+        this.respond([...header, ...wouxunEncrypt([...payload, checksum], this.protocol.encryption.valxor)]);
+    }
+    
+    /**
+     * Store a written block in radio memory.
+     * 
+     * @param {number} address - Radio address
+     * @param {Array|Uint8Array} data - Block data
+     */
+    store(address, data) {
+        if (address + data.length > this.memory.length) {
+            console.warn(`Emulator: write outside radio memory at 0x${address.toString(16)}`);
+            return;
+        }
+        this.memory.set(data, address);
+        this.blockWrites.push({ address, size: data.length });
+    }
+}
+
+/*
+ * =========================================================================
+ * RADIO-SIDE FRAMING
+ * =========================================================================
+ * Checksums, ciphers and frames as the radios send them (see the CHIRP
+ * drivers kguv8d.py, leixen.py and baofeng_uv17Pro.py).
+ */
+
+// UV-17Pro key strings (CHIRP baofeng_uv17Pro.py _crypt), by symbol index
+const UV17PRO_KEYS = [
+    'BHT ', 'CO 7', 'A ES', ' EIY', 'M PQ', 'XN Y', 'RVB ', ' HQP', 'W RC', 'MS N',
+    ' SAT', 'K DH', 'ZO R', 'C SL', '6RB ', ' JCG', 'PN V', 'J PK', 'EK L', 'I LZ'
+];
+
+/**
+ * Checksum byte of a block: the sum of its bytes plus checksum.offset
+ * (mod 256), or their XOR for checksum.type 'xor'.
+ * 
+ * @param {Array|Uint8Array} bytes - Bytes covered by the checksum
+ * @param {Object} checksum - Protocol checksum definition
+ * @returns {number} Checksum byte
+ */
+function blockChecksum(bytes, checksum) {
+    if (checksum.type === 'xor') {
+        return bytes.reduce((cs, b) => cs ^ b, 0);
+    }
+    return bytes.reduce((cs, b) => (cs + b) & 0xFF, checksum.offset || 0);
+}
+
+/**
+ * UV-17Pro block cipher. Each byte is XORed with the key character at its
+ * position mod 4, except 0x00, 0xFF, the key character itself and its
+ * inverse, and where the key character is a space. It is its own inverse.
+ * 
+ * @param {Uint8Array} bytes - Block data
+ * @param {number} symbolIndex - Index into UV17PRO_KEYS
+ * @returns {Uint8Array} Encrypted or decrypted data
+ */
+function uv17proCrypt(bytes, symbolIndex) {
+    const key = UV17PRO_KEYS[symbolIndex];
+    return Uint8Array.from(bytes, (b, i) => {
+        const k = key.charCodeAt(i % 4);
+        const plain = k === 0x20 || b === 0x00 || b === 0xFF || b === k || b === (k ^ 0xFF);
+        return plain ? b : b ^ k;
+    });
+}
+
+/**
+ * Wouxun record cipher: the first byte is XORed with valxor, every
+ * following byte with the encrypted byte before it.
+ * 
+ * @param {Array|Uint8Array} bytes - Payload and checksum
+ * @param {number} valxor - Key of the first byte
+ * @returns {Array} Encrypted bytes
+ */
+function wouxunEncrypt(bytes, valxor) {
+    const result = [];
+    let previous = valxor;
+    for (const b of bytes) {
+        previous ^= b;
+        result.push(previous);
+    }
+    return result;
+}
+
+/**
+ * Undo wouxunEncrypt().
+ * 
+ * @param {Array|Uint8Array} bytes - Encrypted payload and checksum
+ * @param {number} valxor - Key of the first byte
+ * @returns {Array} Payload and checksum
+ */
+function wouxunDecrypt(bytes, valxor) {
+    return Array.from(bytes, (b, i) => b ^ (i === 0 ? valxor : bytes[i - 1]));
+}
+
+/**
+ * Build a Leixen frame: [CMD][LEN][ADDR_HI][ADDR_LO][DATA...][XOR], where
+ * LEN counts the address and data bytes and XOR covers the whole frame.
+ * 
+ * @param {number} cmd - Command byte
+ * @param {number} address - Block address
+ * @param {Array|Uint8Array} data - Frame data
+ * @returns {Array} Frame bytes
+ */
+function leixenFrame(cmd, address, data) {
+    const frame = [cmd, data.length + 2, address >> 8, address & 0xFF, ...data];
+    return [...frame, blockChecksum(frame, { type: 'xor' })];
+}
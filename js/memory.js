@@ -3,6 +3,8 @@
  * Core data structures for radio memory management
  */
 
+import { RADIO_PROTOCOLS } from './radio-defs.js';
+
 // Standard CTCSS/PL Tones (50 tones)
 export const TONES = [
     67.0, 69.3, 71.9, 74.4, 77.0, 79.7, 82.5,
@@ -29,6 +31,13 @@ export const DTCS_CODES = [
     731, 732, 734, 743, 754
 ];
 
+// TX/RX frequency difference above which a channel is shown as split
+// rather than +/- offset (same threshold as CHIRP)
+const SPLIT_THRESHOLD = 70000000;
+
+// Baofeng radios index DCS codes in this list, which includes 645
+const BAOFENG_DTCS_CODES = [...DTCS_CODES, 645].sort((a, b) => a - b);
+
 // Tone modes
 export const TONE_MODES = ['', 'Tone', 'TSQL', 'DTCS', 'DTCS-R', 'TSQL-R', 'Cross'];
 
@@ -232,30 +241,178 @@ export class Memory {
 
     /**
      * Validate the memory settings
+     * 
+     * Without features only the general CHIRP values are checked. With a
+     * radio's features (RadioImage.features) the memory is also checked
+     * against what that radio supports. See getProblems() for the checks.
+     * 
+     * @param {Object} [features] - Capabilities of the target radio
+     * @returns {Array<string>} Error messages (empty if valid)
+     */
+    validate(features = null) {
+        return this.getProblems(features)
+            .filter(p => p.severity === 'error')
+            .map(p => p.message);
+    }
+    
+    /**
+     * Check the memory and describe everything wrong with it
+     * 
+     * Errors are settings the radio can't store or use (out of band,
+     * unsupported mode, tone not in the list); warnings are settings that
+     * work but are probably not what was meant (name will be cut, zero
+     * repeater offset, offset that looks like a split).
+     * 
+     * @param {Object} [features] - Capabilities of the target radio
+     * @returns {Array<Object>} Problems: { field, severity, message }
      */
-    validate() {
-        const errors = [];
+    getProblems(features = null) {
+        const problems = [];
+        const error = (field, message) => problems.push({ field, severity: 'error', message });
+        const warning = (field, message) => problems.push({ field, severity: 'warning', message });
         
         if (this.freq <= 0) {
-            errors.push('Invalid frequency');
+            error('freq', 'Invalid frequency');
         }
         
         if (this.tmode && !TONE_MODES.includes(this.tmode)) {
-            errors.push(`Invalid tone mode: ${this.tmode}`);
+            error('tmode', `Invalid tone mode: ${this.tmode}`);
         }
         
         if (this.mode && !MODES.includes(this.mode)) {
-            errors.push(`Invalid mode: ${this.mode}`);
+            error('mode', `Invalid mode: ${this.mode}`);
         }
         
         if (this.duplex && !DUPLEX.includes(this.duplex)) {
-            errors.push(`Invalid duplex: ${this.duplex}`);
+            error('duplex', `Invalid duplex: ${this.duplex}`);
+        }
+        
+        // Repeater offset sanity
+        if (this.duplex === '+' || this.duplex === '-') {
+            if (!this.offset) {
+                warning('offset', `Duplex ${this.duplex} with no offset transmits on the receive frequency`);
+            } else if (this.duplex === '-' && this.offset >= this.freq) {
+                error('offset', 'Offset is larger than the frequency');
+            } else if (this.offset > 70000000) {
+                warning('offset', `Offset of ${formatFreq(this.offset)} MHz is unusually large (use split?)`);
+            }
+        } else if (this.duplex === 'split' && this.offset < 1000000) {
+            error('offset', 'Split needs the transmit frequency in the offset column');
+        }
+        
+        // Tones used by the tone mode
+        const tones = features?.validTones || TONES;
+        const dtcsCodes = features?.validDtcsCodes || DTCS_CODES;
+        if (this.rtone && !tones.includes(this.rtone)) {
+            error('rtone', `Invalid tone: ${this.rtone}`);
+        }
+        if (this.ctone && !tones.includes(this.ctone)) {
+            error('ctone', `Invalid tone: ${this.ctone}`);
+        }
+        if (this.dtcs && !dtcsCodes.includes(this.dtcs)) {
+            error('dtcs', `Invalid DTCS code: ${this.dtcs}`);
+        }
+        if (this.rxDtcs && !dtcsCodes.includes(this.rxDtcs)) {
+            error('dtcs', `Invalid receive DTCS code: ${this.rxDtcs}`);
+        }
+        if (this.tmode === 'Tone' && !this.rtone) {
+            warning('rtone', 'Tone mode is set but no tone is selected');
+        } else if (this.tmode === 'TSQL' && !this.ctone) {
+            warning('ctone', 'TSQL mode is set but no tone is selected');
+        } else if (this.tmode === 'DTCS' && !this.dtcs) {
+            warning('dtcs', 'DTCS mode is set but no code is selected');
+        }
+        
+        if (!features) {
+            return problems;
+        }
+        
+        if (this.freq > 0 && !isInBands(this.freq, features.bands)) {
+            error('freq', `Frequency ${formatFreq(this.freq)} is outside the radio's bands`);
+        }
+        
+        const txFreq = this.getTxFreq();
+        if (txFreq > 0 && txFreq !== this.freq && !isInBands(txFreq, features.bands)) {
+            error('offset', `Transmit frequency ${formatFreq(txFreq)} is outside the radio's bands`);
+        }
+        
+        if (this.mode && features.validModes && !features.validModes.includes(this.mode)) {
+            error('mode', `Mode not supported by this radio: ${this.mode}`);
+        }
+        
+        if (this.duplex && features.validDuplexes && !features.validDuplexes.includes(this.duplex)) {
+            error('duplex', `Duplex not supported by this radio: ${this.duplex}`);
+        }
+        
+        if (this.tmode && features.validTmodes && !features.validTmodes.includes(this.tmode)) {
+            error('tmode', `Tone mode not supported by this radio: ${this.tmode}`);
+        } else if (this.tmode.startsWith('DTCS') && features.hasDtcs === false) {
+            error('tmode', 'This radio does not support DTCS');
+        }
+        
+        if (this.power && features.validPowerLevels && !features.validPowerLevels.includes(this.power)) {
+            error('power', `Power level not supported by this radio: ${this.power}`);
+        }
+        
+        if (this.name && features.hasName === false) {
+            warning('name', 'This radio does not store channel names');
+        } else if (features.validNameLength !== undefined && this.name.length > features.validNameLength) {
+            warning('name', `Name is longer than ${features.validNameLength} characters and will be cut`);
+        }
+        
+        if (this.tuningStep && features.validTuningSteps && !features.validTuningSteps.includes(this.tuningStep)) {
+            warning('tuningStep', `Tuning step not supported by this radio: ${this.tuningStep} kHz`);
         }
         
-        return errors;
+        if (features.memoryBounds) {
+            const [lo, hi] = features.memoryBounds;
+            if (this.number < lo || this.number > hi) {
+                error('number', `Location is outside the radio's channels (${lo}-${hi})`);
+            }
+        }
+        
+        return problems;
     }
 }
 
+/**
+ * Run the validation pass over every channel of an image
+ * 
+ * Channels are checked against the image's features, i.e. the profile of
+ * the radio it came from (see RadioImage.applyFeatures), unless the
+ * features of another target radio are given.
+ * 
+ * @param {RadioImage} image - Image to check
+ * @param {Object} [features] - Capabilities to check against
+ * @returns {Array<Object>} Problems in channel order:
+ *          { number, field, severity: 'error'|'warning', message }
+ */
+export function validateImage(image, features = image.features) {
+    const problems = [];
+    const memories = image.getUsedMemories().sort((a, b) => a.number - b.number);
+    
+    for (const mem of memories) {
+        for (const problem of mem.getProblems(features)) {
+            problems.push({ number: mem.number, ...problem });
+        }
+    }
+    return problems;
+}
+
+/**
+ * Check whether a frequency falls in one of a radio's bands
+ * 
+ * @param {number} freq - Frequency in Hz
+ * @param {Array} bands - [[low, high], ...] in Hz (empty = any frequency)
+ * @returns {boolean} True if the radio can tune the frequency
+ */
+export function isInBands(freq, bands) {
+    if (!bands || bands.length === 0) {
+        return true;
+    }
+    return bands.some(([low, high]) => freq >= low && freq <= high);
+}
+
 /**
  * RadioImage class - holds a collection of memories for a radio
  */
@@ -264,9 +421,11 @@ export class RadioImage {
         this.name = name;
         this.filename = '';
         this.modified = false;
+        this.revision = 0;     // Bumped on every channel change (autosave watches it)
         this.memories = new Map();
         this.vendor = 'Generic';
         this.model = 'CSV';
+        this.settings = null;  // Edited radio settings, applied to _rawData on save/upload
         this.features = {
             memoryBounds: [1, numMemories],
             hasDtcs: true,
@@ -284,7 +443,9 @@ export class RadioImage {
             validTones: [...TONES],
             validDtcsCodes: [...DTCS_CODES],
             validNameLength: 8,
-            validTuningSteps: [...TUNING_STEPS]
+            validTuningSteps: [...TUNING_STEPS],
+            validPowerLevels: [...POWER_LEVELS],
+            bands: []          // [[low, high], ...] in Hz, empty = any frequency
         };
 
         // Initialize empty memories
@@ -293,6 +454,32 @@ export class RadioImage {
         }
     }
 
+    /**
+     * Apply a radio's capability profile (see getRadioFeatures in
+     * radio-defs.js), so the editor and validation only allow what the
+     * radio supports. The channel count becomes memoryBounds; memories
+     * outside it are kept so they can still be reported and moved.
+     * 
+     * @param {Object} profile - Capability profile, or null to keep the defaults
+     */
+    applyFeatures(profile) {
+        if (!profile) {
+            return;
+        }
+        
+        const { channels, ...features } = JSON.parse(JSON.stringify(profile));
+        Object.assign(this.features, features);
+        
+        if (channels) {
+            this.features.memoryBounds = [1, channels];
+            for (let i = 1; i <= channels; i++) {
+                if (!this.memories.has(i)) {
+                    this.memories.set(i, new Memory(i, true));
+                }
+            }
+        }
+    }
+    
     /**
      * Get a memory by location number
      */
@@ -306,6 +493,7 @@ export class RadioImage {
     setMemory(memory) {
         this.memories.set(memory.number, memory);
         this.modified = true;
+        this.revision++;
     }
 
     /**
@@ -315,6 +503,7 @@ export class RadioImage {
         const mem = new Memory(number, true);
         this.memories.set(number, mem);
         this.modified = true;
+        this.revision++;
     }
 
     /**
@@ -537,6 +726,48 @@ const FieldParsers = {
         }
     },
     
+    /**
+     * Parse Baofeng UV-5R / BTECH tone value (u16le with indexed DCS codes)
+     * 0/0xFFFF = no tone, >= 0x258 = CTCSS in 0.1 Hz units,
+     * 1..0x69 = BAOFENG_DTCS_CODES[raw - 1] normal,
+     * 0x6A.. = BAOFENG_DTCS_CODES[raw - 0x6A] reversed
+     */
+    tone_dcs_index: (data, offset) => {
+        const raw = data[offset] | (data[offset + 1] << 8);
+        
+        if (raw === 0 || raw === 0xFFFF) {
+            return { mode: '', value: 0 };
+        }
+        
+        if (raw >= 0x258) {
+            return { mode: 'CTCSS', value: raw / 10.0 };
+        }
+        
+        const reversed = raw > 0x69;
+        const code = BAOFENG_DTCS_CODES[reversed ? raw - 0x6A : raw - 1];
+        return code !== undefined ? { mode: 'DCS', value: code, polarity: reversed ? 'R' : 'N' } : { mode: '', value: 0 };
+    },
+    
+    /**
+     * Parse single-byte tone index (UV-B5 style)
+     * 0 = no tone, 1..50 = TONES[index - 1], 51.. = DTCS_CODES[index - 51].
+     * DCS polarity is stored in separate flag bits.
+     */
+    tone_index: (data, offset) => {
+        const index = data[offset];
+        
+        if (index === 0 || index === 0xFF) {
+            return { mode: '', value: 0 };
+        }
+        
+        if (index <= TONES.length) {
+            return { mode: 'CTCSS', value: TONES[index - 1] };
+        }
+        
+        const code = DTCS_CODES[index - TONES.length - 1];
+        return code !== undefined ? { mode: 'DCS', value: code } : { mode: '', value: 0 };
+    },
+    
     /**
      * Parse null/0xFF terminated string
      */
@@ -576,7 +807,8 @@ function parseField(data, baseOffset, fieldDef) {
  * Extract flag value from a parsed flags byte
  */
 function extractFlag(flagValue, mapping) {
-    let value = (flagValue >> (mapping.shift || 0)) & mapping.mask;
+    // mask selects the bits in place, shift moves them down to bit 0
+    let value = (flagValue & mapping.mask) >> (mapping.shift || 0);
     
     if (mapping.invert) {
         value = value ? 0 : 1;
@@ -589,6 +821,17 @@ function extractFlag(flagValue, mapping) {
     return value;
 }
 
+/**
+ * Check if a field's raw bytes are all 0xFF (erased)
+ */
+function isFieldBlank(data, baseOffset, fieldDef) {
+    const offset = baseOffset + fieldDef.offset;
+    for (let i = 0; i < (fieldDef.size || 1); i++) {
+        if (data[offset + i] !== 0xFF) return false;
+    }
+    return true;
+}
+
 /**
  * Check if a channel is empty based on the emptyCheck definition
  */
@@ -691,9 +934,21 @@ export function parseMemoryGeneric(data, format) {
         }
         
         // Calculate duplex/offset
-        if (txFreq === rxFreq || txFreq === 0) {
+        if (!fields.txFreq && fields.offset) {
+            // Radio stores the offset itself; duplex comes from a flag mapping
             mem.duplex = '';
+            mem.offset = parsedFields.offset || 0;
+        } else if (fields.txFreq && isFieldBlank(data, offset, fields.txFreq)) {
+            // TX frequency erased (all 0xFF) - transmit is disabled
+            mem.duplex = 'off';
             mem.offset = 0;
+        } else if (txFreq === rxFreq || txFreq === 0) {
+            mem.duplex = '';
+            mem.offset = 0;
+        } else if (Math.abs(txFreq - rxFreq) > SPLIT_THRESHOLD) {
+            // Transmitting on another band - the offset holds the TX frequency
+            mem.duplex = 'split';
+            mem.offset = txFreq;
         } else if (txFreq > rxFreq) {
             mem.duplex = '+';
             mem.offset = txFreq - rxFreq;
@@ -711,19 +966,31 @@ export function parseMemoryGeneric(data, format) {
         const rxTone = parsedFields.rxTone;
         const txTone = parsedFields.txTone;
         
-        if (txTone && txTone.mode === 'CTCSS') {
-            if (rxTone && rxTone.mode === 'CTCSS') {
-                mem.tmode = 'TSQL';
-                mem.rtone = txTone.value;
-                mem.ctone = rxTone.value;
-            } else {
-                mem.tmode = 'Tone';
-                mem.rtone = txTone.value;
-            }
-        } else if (txTone && txTone.mode === 'DCS') {
+        const txMode = (txTone && txTone.mode) || '';
+        const rxMode = (rxTone && rxTone.mode) || '';
+        
+        if (txMode === 'CTCSS' && rxMode === 'CTCSS') {
+            mem.tmode = 'TSQL';
+            mem.rtone = txTone.value;
+            mem.ctone = rxTone.value;
+        } else if (txMode === 'CTCSS' && !rxMode) {
+            mem.tmode = 'Tone';
+            mem.rtone = txTone.value;
+        } else if (txMode === 'DCS' && rxMode === 'DCS' && txTone.value === rxTone.value) {
             mem.tmode = 'DTCS';
             mem.dtcs = txTone.value;
-            mem.dtcsPolarity = (txTone.polarity || 'N') + ((rxTone && rxTone.polarity) || 'N');
+            mem.dtcsPolarity = (txTone.polarity || 'N') + (rxTone.polarity || 'N');
+        } else if (txMode || rxMode) {
+            // Every other combination (DCS one way only, different
+            // codes, tone one way and DCS the other) is a cross mode
+            const crossName = { CTCSS: 'Tone', DCS: 'DTCS' };
+            mem.tmode = 'Cross';
+            mem.crossMode = `${crossName[txMode] || ''}->${crossName[rxMode] || ''}`;
+            if (txMode === 'CTCSS') mem.rtone = txTone.value;
+            if (txMode === 'DCS') mem.dtcs = txTone.value;
+            if (rxMode === 'CTCSS') mem.ctone = rxTone.value;
+            if (rxMode === 'DCS') mem.rxDtcs = rxTone.value;
+            mem.dtcsPolarity = ((txTone && txTone.polarity) || 'N') + ((rxTone && rxTone.polarity) || 'N');
         }
         
         // Process flag mappings
@@ -744,6 +1011,15 @@ export function parseMemoryGeneric(data, format) {
                     case 'scan':
                         mem.skip = extractedValue ? '' : 'S';
                         break;
+                    case 'duplex':
+                        mem.duplex = extractedValue;
+                        break;
+                    case 'txPolarity':
+                        mem.dtcsPolarity = extractedValue + (mem.dtcsPolarity || 'NN')[1];
+                        break;
+                    case 'rxPolarity':
+                        mem.dtcsPolarity = (mem.dtcsPolarity || 'NN')[0] + extractedValue;
+                        break;
                 }
             }
         }
@@ -763,7 +1039,7 @@ export function parseMemoryGeneric(data, format) {
         for (let i = 0; i < memories.length; i++) {
             if (memories[i].empty) continue;
             
-            const nameOffset = format.nameOffset + (i * format.nameSize);
+            const nameOffset = format.nameOffset + (i * (format.nameStride || format.nameSize));
             if (nameOffset + format.nameSize <= data.length) {
                 const name = FieldParsers.string(data, nameOffset, format.nameSize);
                 if (name) {
@@ -876,6 +1152,40 @@ const FieldSerializers = {
         return new Uint8Array([value & 0xFF, (value >> 8) & 0xFF]);
     },
     
+    /**
+     * Serialize tone value to Baofeng UV-5R / BTECH u16le format (see parser)
+     */
+    tone_dcs_index: (toneInfo) => {
+        let value = 0;
+        
+        if (toneInfo && toneInfo.mode === 'CTCSS') {
+            value = Math.round(toneInfo.value * 10);
+        } else if (toneInfo && toneInfo.mode === 'DCS') {
+            const index = BAOFENG_DTCS_CODES.indexOf(toneInfo.value);
+            if (index >= 0) {
+                value = toneInfo.polarity === 'R' ? index + 0x6A : index + 1;
+            }
+        }
+        
+        return new Uint8Array([value & 0xFF, (value >> 8) & 0xFF]);
+    },
+    
+    /**
+     * Serialize tone value to a single-byte tone index (see parser)
+     */
+    tone_index: (toneInfo) => {
+        let index = 0;
+        
+        if (toneInfo && toneInfo.mode === 'CTCSS') {
+            index = TONES.indexOf(toneInfo.value) + 1;
+        } else if (toneInfo && toneInfo.mode === 'DCS') {
+            const codeIndex = DTCS_CODES.indexOf(toneInfo.value);
+            index = codeIndex >= 0 ? TONES.length + 1 + codeIndex : 0;
+        }
+        
+        return new Uint8Array([index]);
+    },
+    
     /**
      * Serialize string (pad with 0xFF or 0x00)
      */
@@ -904,6 +1214,64 @@ function serializeField(value, fieldDef) {
     return serializer(value, fieldDef.size, fieldDef.unit);
 }
 
+/**
+ * Work out the TX and RX tone a memory uses (inverse of the tone
+ * handling in parseMemoryGeneric)
+ * @returns {Object} { tx, rx } tone info for the tone serializers
+ */
+function getMemoryTones(mem) {
+    const none = { mode: '', value: 0 };
+    const pol = mem.dtcsPolarity || 'NN';
+    
+    switch (mem.tmode) {
+        case 'Tone':
+            return { tx: { mode: 'CTCSS', value: mem.rtone || 88.5 }, rx: none };
+        case 'TSQL':
+            return {
+                tx: { mode: 'CTCSS', value: mem.rtone || 88.5 },
+                rx: { mode: 'CTCSS', value: mem.ctone || mem.rtone || 88.5 }
+            };
+        case 'DTCS':
+            return {
+                tx: { mode: 'DCS', value: mem.dtcs || 23, polarity: pol[0] },
+                rx: { mode: 'DCS', value: mem.dtcs || 23, polarity: pol[1] }
+            };
+        case 'Cross': {
+            const [txPart, rxPart] = (mem.crossMode || 'Tone->Tone').split('->');
+            const tx = txPart === 'Tone' ? { mode: 'CTCSS', value: mem.rtone || 88.5 }
+                : txPart === 'DTCS' ? { mode: 'DCS', value: mem.dtcs || 23, polarity: pol[0] }
+                : none;
+            const rx = rxPart === 'Tone' ? { mode: 'CTCSS', value: mem.ctone || 88.5 }
+                : rxPart === 'DTCS' ? { mode: 'DCS', value: mem.rxDtcs || 23, polarity: pol[1] }
+                : none;
+            return { tx, rx };
+        }
+        default:
+            return { tx: none, rx: none };
+    }
+}
+
+/**
+ * Write a tone field, unless its current bytes already decode to the same
+ * tone. Some formats store "no tone" in more than one way (UV-5R and
+ * BTECH: 0 or 0xFFFF), so re-encoding an untouched channel must not
+ * switch it to the serializer's preferred form.
+ * @param {Uint8Array} data - Image being serialized
+ * @param {number} baseOffset - Offset of the channel record
+ * @param {Object} fieldDef - Tone field definition
+ * @param {Object} toneInfo - { mode, value, polarity } to store
+ */
+function writeToneField(data, baseOffset, fieldDef, toneInfo) {
+    const current = parseField(data, baseOffset, fieldDef);
+    if (current && current.mode === toneInfo.mode &&
+        (!current.mode || (current.value === toneInfo.value &&
+                           (current.polarity || 'N') === (toneInfo.polarity || 'N')))) {
+        return;
+    }
+    
+    data.set(serializeField(toneInfo, fieldDef), baseOffset + fieldDef.offset);
+}
+
 /**
  * Build flag byte from individual flag values
  */
@@ -924,9 +1292,9 @@ function buildFlagByte(originalByte, flagMappings, flagValues) {
                 value = value ? 0 : 1;
             }
             
-            // Clear the bits and set new value
-            const clearMask = ~(mapping.mask << (mapping.shift || 0));
-            const setBits = (value & (mapping.mask >> (mapping.shift || 0))) << (mapping.shift || 0);
+            // Clear the bits and set new value (mask is already in place)
+            const clearMask = ~mapping.mask;
+            const setBits = (value << (mapping.shift || 0)) & mapping.mask;
             result = (result & clearMask) | setBits;
         }
     }
@@ -957,6 +1325,7 @@ export function serializeMemoryGeneric(memories, originalData, format) {
     let serializedCount = 0;
     let emptyCount = 0;
     let skippedCount = 0;
+    const erased = new Set();   // Indexes of channels deleted by this image
     
     for (let i = 0; i < Math.min(memories.length, numChannels); i++) {
         const mem = memories[i];
@@ -967,9 +1336,15 @@ export function serializeMemoryGeneric(memories, originalData, format) {
             break;
         }
         
-        // For empty channels, we DON'T modify the data - keep original
-        // This preserves any radio-specific flags or settings
+        // Channels that are already empty keep their bytes (a zeroed record
+        // or radio-specific flags). A channel that holds data but is empty
+        // in the image was deleted: erase it the way the radio does, with
+        // the whole record set to 0xFF
         if (mem.empty) {
+            if (!isChannelEmpty(result, offset, fields, format.emptyCheck)) {
+                result.fill(0xFF, offset, offset + channelSize);
+                erased.add(i);
+            }
             emptyCount++;
             continue;
         }
@@ -1001,40 +1376,37 @@ export function serializeMemoryGeneric(memories, originalData, format) {
         }
         
         // Serialize TX frequency (calculate from RX + offset/duplex)
-        if (fields.txFreq) {
+        if (fields.txFreq && mem.duplex === 'off') {
+            // Erased TX frequency disables transmit
+            const txStart = offset + fields.txFreq.offset;
+            result.fill(0xFF, txStart, txStart + fields.txFreq.size);
+        } else if (fields.txFreq) {
             let txFreq = mem.freq || 0;
             if (mem.duplex === '+') {
                 txFreq = mem.freq + (mem.offset || 0);
             } else if (mem.duplex === '-') {
                 txFreq = mem.freq - (mem.offset || 0);
+            } else if (mem.duplex === 'split') {
+                txFreq = mem.offset || mem.freq;
             }
             const txFreqData = serializeField(txFreq, fields.txFreq);
             result.set(txFreqData, offset + fields.txFreq.offset);
         }
         
+        // Serialize offset for radios that store it instead of a TX frequency
+        if (fields.offset) {
+            const offsetData = serializeField(mem.offset || 0, fields.offset);
+            result.set(offsetData, offset + fields.offset.offset);
+        }
+        
         // Serialize tones
+        const tones = getMemoryTones(mem);
         if (fields.txTone) {
-            let txToneInfo = { mode: '', value: 0 };
-            if (mem.tmode === 'Tone' || mem.tmode === 'TSQL') {
-                txToneInfo = { mode: 'CTCSS', value: mem.rtone || 88.5 };
-            } else if (mem.tmode === 'DTCS') {
-                const pol = (mem.dtcsPolarity || 'NN')[0];
-                txToneInfo = { mode: 'DCS', value: mem.dtcs || 23, polarity: pol };
-            }
-            const txToneData = serializeField(txToneInfo, fields.txTone);
-            result.set(txToneData, offset + fields.txTone.offset);
+            writeToneField(result, offset, fields.txTone, tones.tx);
         }
         
         if (fields.rxTone) {
-            let rxToneInfo = { mode: '', value: 0 };
-            if (mem.tmode === 'TSQL') {
-                rxToneInfo = { mode: 'CTCSS', value: mem.ctone || mem.rtone || 88.5 };
-            } else if (mem.tmode === 'DTCS') {
-                const pol = (mem.dtcsPolarity || 'NN')[1];
-                rxToneInfo = { mode: 'DCS', value: mem.dtcs || 23, polarity: pol };
-            }
-            const rxToneData = serializeField(rxToneInfo, fields.rxTone);
-            result.set(rxToneData, offset + fields.rxTone.offset);
+            writeToneField(result, offset, fields.rxTone, tones.rx);
         }
         
         // Serialize name
@@ -1064,6 +1436,15 @@ export function serializeMemoryGeneric(memories, originalData, format) {
                 case 'scan':
                     value = mem.skip !== 'S';
                     break;
+                case 'duplex':
+                    value = mem.duplex;
+                    break;
+                case 'txPolarity':
+                    value = (mem.dtcsPolarity || 'NN')[0];
+                    break;
+                case 'rxPolarity':
+                    value = (mem.dtcsPolarity || 'NN')[1];
+                    break;
                 default:
                     continue;
             }
@@ -1094,17 +1475,25 @@ export function serializeMemoryGeneric(memories, originalData, format) {
     if (format.nameOffset !== undefined && format.nameSize) {
         for (let i = 0; i < Math.min(memories.length, numChannels); i++) {
             const mem = memories[i];
-            if (mem.empty) continue;
+            const nameOffset = format.nameOffset + (i * (format.nameStride || format.nameSize));
+            if (nameOffset + format.nameSize > result.length) continue;
             
-            const nameOffset = format.nameOffset + (i * format.nameSize);
-            if (nameOffset + format.nameSize <= result.length && mem.name) {
+            if (mem.empty) {
+                if (erased.has(i)) {
+                    result.fill(0xFF, nameOffset, nameOffset + format.nameSize);
+                }
+                continue;
+            }
+            
+            if (mem.name) {
                 const nameData = FieldSerializers.string(mem.name, format.nameSize);
                 result.set(nameData, nameOffset);
             }
         }
     }
     
-    console.log(`Serialization complete: ${serializedCount} channels serialized, ${emptyCount} empty, ${skippedCount} skipped (beyond data)`);
+    console.log(`Serialization complete: ${serializedCount} channels serialized, ${emptyCount} empty ` +
+                `(${erased.size} erased), ${skippedCount} skipped (beyond data)`);
     
     // Compare result with original to see what changed
     let changedBytes = 0;
@@ -1150,6 +1539,220 @@ export function serializeRadioMemory(memories, originalData, protocolName, proto
     return serializeMemoryGeneric(memories, originalData, format);
 }
 
+// ============================================
+// Image Diff (pre-upload review)
+// ============================================
+
+// Memory fields compared when reviewing changes, with display labels
+export const DIFF_FIELDS = [
+    { key: 'freq', label: 'Frequency' },
+    { key: 'duplex', label: 'Duplex' },
+    { key: 'offset', label: 'Offset' },
+    { key: 'tmode', label: 'Tone Mode' },
+    { key: 'rtone', label: 'Tone' },
+    { key: 'ctone', label: 'ToneSql' },
+    { key: 'dtcs', label: 'DTCS Code' },
+    { key: 'rxDtcs', label: 'RX DTCS Code' },
+    { key: 'dtcsPolarity', label: 'DTCS Pol' },
+    { key: 'crossMode', label: 'Cross Mode' },
+    { key: 'mode', label: 'Mode' },
+    { key: 'power', label: 'Power' },
+    { key: 'skip', label: 'Skip' },
+    { key: 'name', label: 'Name' }
+];
+
+/**
+ * Byte ranges [start, end) of the image holding one channel
+ * (the channel record, plus its name slot if names are stored separately)
+ */
+function getChannelRanges(format, index) {
+    const channelSize = format.channelSize || 32;
+    const start = (format.startOffset || 0) + index * channelSize;
+    const ranges = [[start, start + channelSize]];
+    
+    if (format.nameOffset !== undefined && format.nameSize) {
+        const nameStart = format.nameOffset + index * (format.nameStride || format.nameSize);
+        ranges.push([nameStart, nameStart + format.nameSize]);
+    }
+    
+    return ranges;
+}
+
+/**
+ * Byte ranges [start, end) of the image holding channels, for every
+ * channel of the memory format. The rest is settings or unknown data
+ * @param {string} protocolName - Protocol name (for the fallback format)
+ * @param {Object} protocol - Full protocol object (optional)
+ * @returns {Array<Array<number>>} Ranges in image offsets
+ */
+export function getChannelByteRanges(protocolName, protocol = null) {
+    const format = protocol?.memoryFormat || getDefaultMemoryFormat(protocolName);
+    if (!format) return [];
+    
+    const ranges = [];
+    for (let i = 0; i < (format.numChannels || 128); i++) {
+        ranges.push(...getChannelRanges(format, i));
+    }
+    return ranges;
+}
+
+/**
+ * Compare two raw images channel by channel
+ * Bytes that changed outside any channel (settings, unknown data) are
+ * reported separately in otherOffsets.
+ * @param {Uint8Array} originalData - Image as downloaded or opened
+ * @param {Uint8Array} newData - Serialized image about to be written
+ * @param {string} protocolName - Protocol name (for the fallback format)
+ * @param {Object} protocol - Full protocol object (optional)
+ * @returns {Object} { channels: [{ number, before, after, fields, ranges }], otherOffsets, changedBytes }
+ */
+export function diffRadioMemory(originalData, newData, protocolName, protocol = null) {
+    const format = protocol?.memoryFormat || getDefaultMemoryFormat(protocolName);
+    
+    const changed = new Set();
+    for (let i = 0; i < Math.max(originalData.length, newData.length); i++) {
+        if (originalData[i] !== newData[i]) {
+            changed.add(i);
+        }
+    }
+    
+    const channels = [];
+    const claimed = new Set();
+    
+    if (format && changed.size > 0) {
+        const before = parseMemoryGeneric(originalData, format);
+        const after = parseMemoryGeneric(newData, format);
+        
+        for (let i = 0; i < Math.min(before.length, after.length); i++) {
+            const ranges = getChannelRanges(format, i);
+            let touched = false;
+            for (const [start, end] of ranges) {
+                for (let o = start; o < end; o++) {
+                    if (changed.has(o)) {
+                        touched = true;
+                        claimed.add(o);
+                    }
+                }
+            }
+            if (!touched) continue;
+            
+            const fields = [];
+            if (before[i].empty !== after[i].empty) {
+                fields.push({
+                    key: 'empty',
+                    label: 'Channel',
+                    before: before[i].empty ? '(empty)' : '(in use)',
+                    after: after[i].empty ? '(empty)' : '(in use)'
+                });
+            }
+            for (const { key, label } of DIFF_FIELDS) {
+                const oldValue = before[i].empty ? undefined : before[i][key];
+                const newValue = after[i].empty ? undefined : after[i][key];
+                if (oldValue !== newValue) {
+                    fields.push({ key, label, before: oldValue, after: newValue });
+                }
+            }
+            
+            channels.push({ number: before[i].number, before: before[i], after: after[i], fields, ranges });
+        }
+    }
+    
+    const otherOffsets = [...changed].filter(o => !claimed.has(o));
+    
+    return { channels, otherOffsets, changedBytes: changed.size };
+}
+
+// ============================================
+// Radio Settings (non-channel parameters)
+// ============================================
+
+/**
+ * Parse radio settings from raw data using a protocol settings schema
+ * @param {Uint8Array} data - Raw memory data
+ * @param {Object} schema - Settings schema from protocol definition
+ * @returns {Object} Setting values keyed by setting name
+ */
+export function parseSettings(data, schema) {
+    const values = {};
+    
+    for (const [key, def] of Object.entries(schema || {})) {
+        if (def.offset + (def.size || 1) > data.length) {
+            continue;
+        }
+        
+        const byte = data[def.offset];
+        switch (def.type) {
+            case 'bool':
+                values[key] = (byte & (def.mask || 0x01)) !== 0;
+                break;
+            case 'list': {
+                const index = (byte & (def.mask || 0xFF)) >> (def.shift || 0);
+                values[key] = def.options[index] ?? def.options[0];
+                break;
+            }
+            case 'string':
+                values[key] = FieldParsers.string(data, def.offset, def.size);
+                break;
+            case 'int':
+            default: {
+                const value = (byte & (def.mask || 0xFF)) >> (def.shift || 0);
+                values[key] = Math.min(Math.max(value, def.min ?? value), def.max ?? value);
+                break;
+            }
+        }
+    }
+    
+    return values;
+}
+
+/**
+ * Serialize setting values back into raw data
+ * Only settings that differ from the original data are written, so
+ * out-of-range bytes the radio left alone are not "corrected".
+ * @param {Object} values - Setting values keyed by setting name
+ * @param {Uint8Array} originalData - Raw memory data to update
+ * @param {Object} schema - Settings schema from protocol definition
+ * @returns {Uint8Array} Updated copy of the data
+ */
+export function serializeSettings(values, originalData, schema) {
+    const result = new Uint8Array(originalData);
+    const original = parseSettings(originalData, schema);
+    
+    for (const [key, def] of Object.entries(schema || {})) {
+        if (values[key] === undefined || values[key] === original[key] ||
+            def.offset + (def.size || 1) > result.length) {
+            continue;
+        }
+        
+        const mask = def.mask || 0xFF;
+        const shift = def.shift || 0;
+        const byte = result[def.offset];
+        
+        switch (def.type) {
+            case 'bool':
+                result[def.offset] = values[key] ? (byte | (def.mask || 0x01)) : (byte & ~(def.mask || 0x01));
+                break;
+            case 'list': {
+                const index = Math.max(def.options.indexOf(values[key]), 0);
+                result[def.offset] = (byte & ~mask) | ((index << shift) & mask);
+                break;
+            }
+            case 'string':
+                result.set(FieldSerializers.string(values[key], def.size, def.pad ?? 0xFF), def.offset);
+                break;
+            case 'int':
+            default: {
+                let value = parseInt(values[key]) || 0;
+                value = Math.min(Math.max(value, def.min ?? 0), def.max ?? 0xFF);
+                result[def.offset] = (byte & ~mask) | ((value << shift) & mask);
+                break;
+            }
+        }
+    }
+    
+    return result;
+}
+
 /**
  * Get default memory format for known protocols
  */
@@ -1179,18 +1782,21 @@ function getDefaultMemoryFormat(protocolName) {
             channelSize: 16,
             numChannels: 128,
             startOffset: 8,
-            nameOffset: 0x1000,
+            nameOffset: 0x1008,
             nameSize: 7,
+            nameStride: 16,
             fields: {
                 rxFreq: { offset: 0, size: 4, type: 'bcd', unit: 10 },
                 txFreq: { offset: 4, size: 4, type: 'bcd', unit: 10 },
-                rxTone: { offset: 10, size: 2, type: 'tone_u16le' },
-                txTone: { offset: 8, size: 2, type: 'tone_u16le' },
-                flags: { offset: 12, size: 1, type: 'byte' }
+                rxTone: { offset: 8, size: 2, type: 'tone_dcs_index' },
+                txTone: { offset: 10, size: 2, type: 'tone_dcs_index' },
+                powerFlags: { offset: 14, size: 1, type: 'byte' },
+                flags: { offset: 15, size: 1, type: 'byte' }
             },
             flagMappings: {
-                highPower: { field: 'flags', mask: 0x04, shift: 2, invert: true, values: ['Low', 'High'] },
-                wide: { field: 'flags', mask: 0x02, shift: 1, values: ['NFM', 'FM'] }
+                lowPower: { field: 'powerFlags', mask: 0x03, shift: 0, values: ['High', 'Low'] },
+                wide: { field: 'flags', mask: 0x40, shift: 6, values: ['NFM', 'FM'] },
+                scan: { field: 'flags', mask: 0x04, shift: 2 }
             },
             emptyCheck: { field: 'rxFreq', emptyValues: [0, 0xFFFFFFFF] }
         },
@@ -1206,7 +1812,9 @@ function getDefaultMemoryFormat(protocolName) {
             },
             emptyCheck: { field: 'rxFreq', emptyValues: [0, 0xFFFFFFFF] },
             defaults: { mode: 'NFM', power: 'High' }
-        }
+        },
+        // Same layout as the protocol definition, so the two cannot drift apart
+        'btech': RADIO_PROTOCOLS.btech.memoryFormat
     };
     
     return defaultFormats[protocolName] || null;
@@ -28,6 +28,7 @@ export const RADIO_PROTOCOLS = {
             blockSize: 0x40,
             addressBytes: 2,
             bigEndian: true,
+            resumable: true,  // New handshake, then continue reading at any address
             ackAfterBlock: true,
             ackByte: 0x06,
             delayAfterAck: 50
@@ -37,6 +38,7 @@ export const RADIO_PROTOCOLS = {
             blockSize: 0x10,
             addressBytes: 2,
             bigEndian: true,
+            allowPartial: true,  // Addressed writes, changed blocks can be sent alone
             expectAck: 0x06,
             delayAfterAck: 50
         },
@@ -47,25 +49,69 @@ export const RADIO_PROTOCOLS = {
             auxStart: 0x1EC0,
             auxEnd: 0x2000
         },
-        // UV-5R memory format (16 bytes per channel, names stored separately)
+        // UV-5R memory format (16 bytes per channel, names stored separately).
+        // Offsets include the 8-byte header; radio memory 0x0000 is image 0x0008
         memoryFormat: {
             channelSize: 16,
             numChannels: 128,
             startOffset: 8,  // Skip 8-byte header
-            nameOffset: 0x1000,  // Names stored at separate location
+            nameOffset: 0x1008,  // Names stored at separate location
             nameSize: 7,
+            nameStride: 16,
             fields: {
                 rxFreq: { offset: 0, size: 4, type: 'bcd', unit: 10 },
                 txFreq: { offset: 4, size: 4, type: 'bcd', unit: 10 },
-                rxTone: { offset: 10, size: 2, type: 'tone_u16le' },
-                txTone: { offset: 8, size: 2, type: 'tone_u16le' },
-                flags: { offset: 12, size: 1, type: 'byte' }
+                rxTone: { offset: 8, size: 2, type: 'tone_dcs_index' },
+                txTone: { offset: 10, size: 2, type: 'tone_dcs_index' },
+                powerFlags: { offset: 14, size: 1, type: 'byte' },
+                flags: { offset: 15, size: 1, type: 'byte' }
             },
             flagMappings: {
-                highPower: { field: 'flags', mask: 0x04, shift: 2, invert: true },
-                wide: { field: 'flags', mask: 0x02, shift: 1, values: ['NFM', 'FM'] }
+                lowPower: { field: 'powerFlags', mask: 0x03, shift: 0, values: ['High', 'Low'] },
+                wide: { field: 'flags', mask: 0x40, shift: 6, values: ['NFM', 'FM'] },
+                scan: { field: 'flags', mask: 0x04, shift: 2 }
             },
             emptyCheck: { field: 'rxFreq', emptyValues: [0, 0xFFFFFFFF] }
+        },
+        // UV-5R radio settings (offsets include the 8-byte header).
+        // Types: 'int' (number, optional mask/shift), 'bool' (bit mask),
+        // 'list' (index into options) and 'string' (fixed size text).
+        // This is the only protocol with a settings schema: the settings
+        // layouts of the others are not confirmed, and a wrong offset would
+        // be written to the radio. The Settings menu entry is hidden for them.
+        // The power-on message lines (0x1828, radio 0x1EE0) are in the aux
+        // region, which getMemoryMap() includes in downloads and uploads.
+        settings: {
+            squelch: { label: 'Squelch level', group: 'Basic', offset: 0x0E28, type: 'int', min: 0, max: 9 },
+            save: { label: 'Battery saver', group: 'Basic', offset: 0x0E2B, type: 'list',
+                options: ['Off', '1:1', '1:2', '1:3', '1:4'] },
+            vox: { label: 'VOX level', group: 'Basic', offset: 0x0E2C, type: 'int', min: 0, max: 10 },
+            abr: { label: 'Backlight timeout (s)', group: 'Basic', offset: 0x0E2E, type: 'int', min: 0, max: 5 },
+            tdr: { label: 'Dual watch', group: 'Basic', offset: 0x0E2F, type: 'bool', mask: 0x01 },
+            beep: { label: 'Beep', group: 'Basic', offset: 0x0E30, type: 'bool', mask: 0x01 },
+            timeout: { label: 'Timeout timer (TOT)', group: 'Basic', offset: 0x0E31, type: 'list',
+                options: Array.from({ length: 40 }, (_, i) => `${(i + 1) * 15} sec`) },
+            voice: { label: 'Voice prompt', group: 'Basic', offset: 0x0E36, type: 'list',
+                options: ['Off', 'English', 'Chinese'] },
+            autolk: { label: 'Automatic key lock', group: 'Basic', offset: 0x0E40, type: 'bool', mask: 0x01 },
+            roger: { label: 'Roger beep', group: 'Basic', offset: 0x0E4F, type: 'bool', mask: 0x01 },
+            ponmsg: { label: 'Power-on display', group: 'Power-on message', offset: 0x0E4E, type: 'list',
+                options: ['Full', 'Message'] },
+            ponLine1: { label: 'Message line 1', group: 'Power-on message', offset: 0x1828, type: 'string', size: 7, pad: 0x20 },
+            ponLine2: { label: 'Message line 2', group: 'Power-on message', offset: 0x182F, type: 'string', size: 7, pad: 0x20 }
+        },
+        // Capability profile: channels, bands (Hz), modes, power levels, tones
+        features: {
+            channels: 128,
+            bands: [[136000000, 174000000], [400000000, 520000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Low'],
+            validNameLength: 7,
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-', 'split', 'off'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [2.5, 5.0, 6.25, 10.0, 12.5, 20.0, 25.0, 50.0]
         }
     },
     
@@ -92,6 +138,7 @@ export const RADIO_PROTOCOLS = {
             blockSize: 16,
             addressBytes: 2,
             bigEndian: true,
+            resumable: true,
             ackAfterBlock: true,
             ackByte: 0x06
         },
@@ -100,12 +147,55 @@ export const RADIO_PROTOCOLS = {
             blockSize: 16,
             addressBytes: 2,
             bigEndian: true,
+            allowPartial: true,
             expectAck: 0x06
         },
         memoryLayout: {
             headerSize: 48,
             mainStart: 0x0000,
             mainEnd: 0x1000
+        },
+        // UV-B5/UV-B6 memory format (16 bytes per channel).
+        // Offsets include the 8-byte identification that precedes the radio memory;
+        // the two VFO records come first, channels 1-99 follow.
+        // The radio stores channel names in a separate table, but its address
+        // is not confirmed yet, so names are neither read nor written.
+        memoryFormat: {
+            channelSize: 16,
+            numChannels: 99,
+            startOffset: 0x28,
+            fields: {
+                rxFreq: { offset: 0, size: 4, type: 'bcd', unit: 10 },
+                offset: { offset: 4, size: 4, type: 'bcd', unit: 10 },
+                polarity: { offset: 8, size: 1, type: 'byte' },
+                rxTone: { offset: 9, size: 1, type: 'tone_index' },
+                txTone: { offset: 10, size: 1, type: 'tone_index' },
+                flags: { offset: 11, size: 1, type: 'byte' }
+            },
+            flagMappings: {
+                txPolarity: { field: 'polarity', mask: 0x20, shift: 5, values: ['N', 'R'] },
+                rxPolarity: { field: 'polarity', mask: 0x10, shift: 4, values: ['N', 'R'] },
+                scan: { field: 'flags', mask: 0x40, shift: 6 },
+                wide: { field: 'flags', mask: 0x20, shift: 5, values: ['FM', 'NFM'] },
+                highPower: { field: 'flags', mask: 0x08, shift: 3, values: ['Low', 'High'] },
+                duplex: { field: 'flags', mask: 0x03, shift: 0, values: ['', '-', '+'] }
+            },
+            emptyCheck: { field: 'rxFreq', emptyValues: [0, 0xFFFFFFFF] }
+        },
+        // Duplex is a flag with only '', '-' and '+', so odd splits and
+        // transmit off can't be stored
+        features: {
+            channels: 99,
+            bands: [[136000000, 174000000], [400000000, 470000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Low'],
+            validNameLength: 0,
+            hasName: false,     // See memoryFormat
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [5.0, 6.25, 10.0, 12.5, 20.0, 25.0]
         }
     },
     
@@ -130,6 +220,7 @@ export const RADIO_PROTOCOLS = {
             blockSize: 8,
             addressBytes: 2,
             bigEndian: true,
+            resumable: true,
             ackAfterBlock: true,
             ackByte: 0x06
         },
@@ -138,9 +229,11 @@ export const RADIO_PROTOCOLS = {
             blockSize: 8,
             addressBytes: 2,
             bigEndian: true,
+            allowPartial: true,
             expectAck: 0x06
         },
         memoryLayout: {
+            headerSize: 0,  // Ident is not part of the image
             mainStart: 0x0000,
             mainEnd: 0x03E0
         },
@@ -160,6 +253,20 @@ export const RADIO_PROTOCOLS = {
                 mode: 'NFM',
                 power: 'High'
             }
+        },
+        // UHF only, 16 channels and no channel names
+        features: {
+            channels: 16,
+            bands: [[400000000, 470000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Low'],
+            validNameLength: 0,
+            hasName: false,
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-', 'split', 'off'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [5.0, 6.25, 12.5, 25.0]
         }
     },
     
@@ -180,18 +287,65 @@ export const RADIO_PROTOCOLS = {
             cmd: 0x53,  // 'S'
             blockSize: 0x40,
             addressBytes: 2,
-            bigEndian: true
+            bigEndian: true,
+            resumable: true
         },
         write: {
             cmd: 0x58,  // 'X'
             blockSize: 0x10,
             addressBytes: 2,
             bigEndian: true,
+            allowPartial: true,
             expectAck: 0x06
         },
         memoryLayout: {
+            headerSize: 0,  // Image starts with channel memory, no ident header
             mainStart: 0x0000,
             mainEnd: 0x8000
+        },
+        // BTECH UV-2501/UV-25X2/UV-25X4 memory format
+        // (16 bytes per channel, names stored separately in 16-byte slots).
+        // Layout from CHIRP's chirp/drivers/btech.py MEM_FORMAT: memory[200] at
+        // 0x0000 (lbcd rxfreq[4], lbcd txfreq[4], ul16 rxtone, ul16 txtone, then
+        // power:1 in the low bit of byte 14 and wide:1, bcl:1, add:1 in byte 15)
+        // and names[200] at 0x1000 (char name[6] + 10 unused bytes).
+        // rxtone/txtone use the UV-5R encoding (btech.py _decode_tone): 0/0xFFFF
+        // none, >= 0x258 CTCSS x10, DCS index + 1 normal or + 0x6A reversed.
+        memoryFormat: {
+            channelSize: 16,
+            numChannels: 200,
+            startOffset: 0,
+            nameOffset: 0x1000,
+            nameSize: 6,
+            nameStride: 16,
+            fields: {
+                rxFreq: { offset: 0, size: 4, type: 'bcd', unit: 10 },
+                txFreq: { offset: 4, size: 4, type: 'bcd', unit: 10 },
+                rxTone: { offset: 8, size: 2, type: 'tone_dcs_index' },
+                txTone: { offset: 10, size: 2, type: 'tone_dcs_index' },
+                powerFlags: { offset: 14, size: 1, type: 'byte' },
+                flags: { offset: 15, size: 1, type: 'byte' }
+            },
+            // There is no separate scan-skip bitmap: scanning is the per-channel
+            // "add" bit (mask 0x04 of byte 15) in the btech.py memory struct
+            flagMappings: {
+                lowPower: { field: 'powerFlags', mask: 0x01, shift: 0, values: ['High', 'Low'] },
+                wide: { field: 'flags', mask: 0x40, shift: 6, values: ['NFM', 'FM'] },
+                scan: { field: 'flags', mask: 0x04, shift: 2 }
+            },
+            emptyCheck: { field: 'rxFreq', emptyValues: [0, 0xFFFFFFFF] }
+        },
+        features: {
+            channels: 200,
+            bands: [[130000000, 180000000], [400000000, 521000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Low'],
+            validNameLength: 6,
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-', 'split', 'off'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [2.5, 5.0, 6.25, 10.0, 12.5, 20.0, 25.0, 50.0]
         }
     },
     
@@ -252,6 +406,7 @@ export const RADIO_PROTOCOLS = {
             blockSize: 0x40,
             addressBytes: 2,
             bigEndian: true,
+            resumable: true,
             ackAfterBlock: false,  // UV17Pro doesn't need ACK after each block during read
             skipHeaderValidation: true  // UV17Pro doesn't validate header, just strips 4 bytes
         },
@@ -260,6 +415,7 @@ export const RADIO_PROTOCOLS = {
             blockSize: 0x40,
             addressBytes: 2,
             bigEndian: true,
+            allowPartial: true,
             expectAck: 0x06
         },
         memoryLayout: {
@@ -273,6 +429,20 @@ export const RADIO_PROTOCOLS = {
                 { start: 0xD000, size: 0x0040 }
             ],
             totalSize: 0x8380
+        },
+        // Power levels use the names stored in the channel flags
+        features: {
+            channels: 1000,
+            bands: [[108000000, 136000000], [136000000, 174000000], [200000000, 260000000],
+                [350000000, 390000000], [400000000, 520000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Med', 'Low'],
+            validNameLength: 12,
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-', 'split', 'off'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [2.5, 5.0, 6.25, 10.0, 12.5, 20.0, 25.0, 50.0]
         }
     },
     
@@ -287,7 +457,9 @@ export const RADIO_PROTOCOLS = {
             type: 'wouxun',
             recordStart: 0x7D,  // For KGUV8D
             identCmd: 0x80,
-            identLength: 32
+            identLength: 32,
+            identRetries: 10,
+            endCmd: 0x81        // Leaves clone mode after a transfer
         },
         encryption: {
             type: 'wouxun',
@@ -297,24 +469,43 @@ export const RADIO_PROTOCOLS = {
             type: 'sum',
             offset: 0
         },
+        // Every command and response is a record:
+        // [START][CMD][0xFF][LEN][PAYLOAD... CHECKSUM] with payload+checksum encrypted
         read: {
             cmd: 0x82,
             blockSize: 0x40,
             addressBytes: 2,
             bigEndian: true,
-            hasChecksum: true
+            resumable: true,
+            framing: 'record',
+            hasChecksum: true,
+            checksumRetries: 3
         },
         write: {
-            cmd: 0x81,
+            cmd: 0x83,
             blockSize: 0x10,
             addressBytes: 2,
             bigEndian: true,
-            hasChecksum: true,
-            expectAck: 0x06
+            allowPartial: true,
+            framing: 'record',
+            hasChecksum: true
         },
         memoryLayout: {
+            headerSize: 0,  // Ident record is not part of the image
             mainStart: 0x0000,
-            mainEnd: 0x2000
+            mainEnd: 0x8000
+        },
+        features: {
+            channels: 999,
+            bands: [[136000000, 175000000], [400000000, 520000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Low'],
+            validNameLength: 8,
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-', 'split', 'off'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [2.5, 5.0, 6.25, 10.0, 12.5, 25.0, 50.0, 100.0]
         }
     },
     
@@ -341,7 +532,9 @@ export const RADIO_PROTOCOLS = {
             blockSize: 0x10,
             addressBytes: 2,
             bigEndian: true,
+            resumable: true,
             hasChecksum: true,
+            checksumRetries: 3,  // Re-request a block this many times on checksum error
             ackAfterBlock: true,
             ackByte: 0x06
         },
@@ -350,12 +543,25 @@ export const RADIO_PROTOCOLS = {
             blockSize: 0x10,
             addressBytes: 2,
             bigEndian: true,
+            allowPartial: true,
             hasChecksum: true,
             expectAck: 0x06
         },
         memoryLayout: {
             mainStart: 0x0000,
             mainEnd: 0x1000
+        },
+        features: {
+            channels: 1000,
+            bands: [[136000000, 174000000], [400000000, 490000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Med', 'Low'],
+            validNameLength: 6,
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-', 'split', 'off'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [2.5, 5.0, 6.25, 10.0, 12.5, 20.0, 25.0, 30.0, 50.0]
         }
     },
     
@@ -368,30 +574,51 @@ export const RADIO_PROTOCOLS = {
         parity: 'none',
         handshake: {
             type: 'leixen',
-            magic: [0x06, 0x01],
-            expectResponse: [0x06, 0x01]
+            magic: [0x02, 0x06, 0x4C, 0x45, 0x49, 0x58, 0x45, 0x4E, 0x17],  // \x02\x06LEIXEN\x17
+            expectResponse: [0x06, 0x06, 0x06, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+            endCmd: [0x64, 0x01, 0x6F, 0x0A]  // Leaves clone mode after a transfer
         },
         checksum: {
             type: 'xor'
         },
+        // Blocks are framed as [CMD][LEN][ADDR_HI][ADDR_LO][DATA...][XOR]
+        // where LEN counts the address and data bytes
         read: {
             cmd: 0x52,  // 'R'
             blockSize: 0x10,
             addressBytes: 2,
             bigEndian: true,
-            hasChecksum: true
+            resumable: true,
+            framing: 'leixen',
+            hasChecksum: true,
+            checksumRetries: 3
         },
         write: {
             cmd: 0x57,  // 'W'
             blockSize: 0x10,
             addressBytes: 2,
             bigEndian: true,
+            allowPartial: true,
+            framing: 'leixen',
             hasChecksum: true,
             expectAck: 0x06
         },
         memoryLayout: {
+            headerSize: 0,  // Handshake response is not part of the image
             mainStart: 0x0000,
             mainEnd: 0x2000
+        },
+        features: {
+            channels: 199,
+            bands: [[136000000, 174000000], [400000000, 480000000]],
+            validModes: ['FM', 'NFM'],
+            validPowerLevels: ['High', 'Low'],
+            validNameLength: 7,
+            validTmodes: ['', 'Tone', 'TSQL', 'DTCS', 'Cross'],
+            validDuplexes: ['', '+', '-', 'split', 'off'],
+            hasDtcs: true,
+            hasRxDtcs: true,
+            validTuningSteps: [5.0, 6.25, 10.0, 12.5, 25.0]
         }
     },
     
@@ -458,8 +685,8 @@ export const RADIO_MODELS = {
         'uv6': { protocol: 'baofeng-uv5r', memSize: 0x1808, name: 'UV-6',
             handshakeOverride: { magic: [0x50, 0xBB, 0xFF, 0x20, 0x12, 0x08, 0x23] }
         },
-        'uvb5': { protocol: 'baofeng-uvb5', memSize: 0x1000, name: 'UV-B5' },
-        'uvb6': { protocol: 'baofeng-uvb5', memSize: 0x1000, name: 'UV-B6' },
+        'uvb5': { protocol: 'baofeng-uvb5', memSize: 0x1000, name: 'UV-B5', identMatch: 'HKT511' },
+        'uvb6': { protocol: 'baofeng-uvb5', memSize: 0x1000, name: 'UV-B6', identMatch: 'HKT511' },
         'uv5g': { protocol: 'baofeng-uv5r', memSize: 0x1808, name: 'UV-5G' },
         'uv5gpro': { protocol: 'baofeng-uv5r', memSize: 0x1808, name: 'UV-5G Pro' },
         'uv17': { protocol: 'baofeng-uv17pro', memSize: 0x8380, name: 'UV-17',
@@ -550,8 +777,15 @@ export const RADIO_MODELS = {
         'thuvf8d': { protocol: 'baofeng-uv5r', memSize: 0x2000, name: 'TH-UVF8D' },
         'thuv88': { protocol: 'baofeng-uv5r', memSize: 0x2000, name: 'TH-UV88' },
         'thuv8000': { protocol: 'baofeng-uv5r', memSize: 0x2000, name: 'TH-UV8000' },
-        'th9800': { protocol: 'btech', memSize: 0x4000, name: 'TH-9800' },
-        'th7800': { protocol: 'btech', memSize: 0x4000, name: 'TH-7800' }
+        'th9800': { protocol: 'btech', memSize: 0x4000, name: 'TH-9800',
+            featuresOverride: {
+                // Quad band mobile
+                bands: [[26000000, 33000000], [47000000, 54000000], [108000000, 180000000], [350000000, 512000000]]
+            }
+        },
+        'th7800': { protocol: 'btech', memSize: 0x4000, name: 'TH-7800',
+            featuresOverride: { bands: [[136000000, 174000000], [400000000, 480000000]] }
+        }
     },
     
     // Wouxun
@@ -574,6 +808,12 @@ export const RADIO_MODELS = {
         }
     },
     
+    // Leixen
+    'leixen': {
+        'vv898': { protocol: 'leixen', memSize: 0x2000, name: 'VV-898' },
+        'vv898s': { protocol: 'leixen', memSize: 0x2000, name: 'VV-898S' }
+    },
+    
     // Anytone
     'anytone': {
         'at778uv': { protocol: 'generic', memSize: 0x2000, name: 'AT-778UV' },
@@ -630,6 +870,48 @@ export const RADIO_MODELS = {
     }
 };
 
+/**
+ * Vendor display names, as used by CHIRP in .img metadata
+ */
+export const VENDOR_NAMES = {
+    'anytone': 'AnyTone',
+    'baofeng': 'Baofeng',
+    'btech': 'BTECH',
+    'icom': 'Icom',
+    'kenwood': 'Kenwood',
+    'leixen': 'Leixen',
+    'radioddity': 'Radioddity',
+    'retevis': 'Retevis',
+    'tyt': 'TYT',
+    'wouxun': 'Wouxun',
+    'yaesu': 'Yaesu',
+    'generic': 'Generic'
+};
+
+/**
+ * Find vendor/model keys from display names (e.g. "Baofeng", "UV-5R")
+ * Returns { vendor, model } or null if the radio is not known
+ */
+export function findRadioModel(vendorName, modelName) {
+    const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const vendorKey = normalize(vendorName);
+    const modelKey = normalize(modelName);
+
+    for (const [vendor, models] of Object.entries(RADIO_MODELS)) {
+        if (vendor !== vendorKey && normalize(VENDOR_NAMES[vendor]) !== vendorKey) {
+            continue;
+        }
+
+        for (const [model, modelDef] of Object.entries(models)) {
+            if (model === modelKey || normalize(modelDef.name) === modelKey) {
+                return { vendor, model };
+            }
+        }
+    }
+
+    return null;
+}
+
 /**
  * Get radio definition by vendor and model
  */
@@ -676,8 +958,187 @@ export function getRadioProtocol(vendor, model) {
         protocol.baudRate = modelDef.baudRate;
     }
     
+    // Apply capability overrides (bands, power levels, ...)
+    if (modelDef.featuresOverride && protocol.features) {
+        Object.assign(protocol.features, modelDef.featuresOverride);
+    }
+    
     // Store model info
     protocol.modelDef = modelDef;
     
     return protocol;
 }
+
+/**
+ * Get the capability profile of a radio model
+ * 
+ * Profiles are declared per protocol in RADIO_PROTOCOLS (features) and
+ * refined per model in RADIO_MODELS (featuresOverride). Keys follow
+ * RadioImage.features, except that the channel count is given as
+ * `channels` and `bands` lists the [low, high] frequency ranges in Hz.
+ * 
+ * @param {string} vendor - Vendor key
+ * @param {string} model - Model key
+ * @returns {Object|null} Profile, or null if the radio has none (generic)
+ */
+export function getRadioFeatures(vendor, model) {
+    return getRadioProtocol(vendor, model).features || null;
+}
+
+/**
+ * Map a protocol's memory layout onto the clone image.
+ *
+ * The image starts with headerSize bytes of identification (UV-5R
+ * style radios), followed by each memory region back to back. Download,
+ * upload and the radio emulator all use this map, so image offsets and
+ * radio addresses always agree.
+ *
+ * headerSize is the identification length, capped by
+ * memoryLayout.headerSize (0 means the ident is not part of the image).
+ * Returns { headerSize, totalSize, regions: [{ start, size, offset, optional }] }
+ * where start is the radio address and offset the position in the image.
+ *
+ * @param {Object} protocol - Protocol definition (from getRadioProtocol)
+ * @param {number} memSize - Model memory size, caps the main region
+ */
+export function getMemoryMap(protocol, memSize) {
+    const layout = protocol.memoryLayout || { mainStart: 0, mainEnd: memSize };
+    const hs = protocol.handshake;
+    
+    // Only the magic and program handshakes read an ident that
+    // belongs in the image
+    const identLength = hs?.identCmd && (hs.type === 'magic' || hs.type === 'program')
+        ? (hs.identLength || 8) : 0;
+    const headerSize = Math.min(layout.headerSize ?? identLength, identLength);
+    
+    let regions;
+    if (layout.regions && Array.isArray(layout.regions)) {
+        regions = layout.regions.map(r => ({ start: r.start, size: r.size, optional: false }));
+    } else {
+        const mainStart = layout.mainStart || 0;
+        const mainEnd = Math.min(layout.mainEnd || memSize, memSize || layout.mainEnd);
+        regions = [{ start: mainStart, size: mainEnd - mainStart, optional: false }];
+        
+        // The auxiliary block is missing on some firmware versions
+        if (layout.auxStart && layout.auxEnd) {
+            regions.push({ start: layout.auxStart, size: layout.auxEnd - layout.auxStart, optional: true });
+        }
+    }
+    
+    let offset = headerSize;
+    for (const region of regions) {
+        region.offset = offset;
+        offset += region.size;
+    }
+    
+    return { headerSize, totalSize: offset, regions };
+}
+
+/**
+ * List the write blocks whose bytes differ between two clone images.
+ * Block boundaries follow the protocol's write block size within each
+ * region of getMemoryMap(). Returns [{ start, offset, size }] where start
+ * is the radio address and offset the position in the image.
+ *
+ * @param {Object} protocol - Protocol definition (from getRadioProtocol)
+ * @param {number} memSize - Model memory size
+ * @param {Uint8Array} originalData - Image the radio currently holds
+ * @param {Uint8Array} newData - Image about to be written
+ */
+export function getChangedBlocks(protocol, memSize, originalData, newData) {
+    const map = getMemoryMap(protocol, memSize);
+    const blockSize = protocol.write?.blockSize || 16;
+    const blocks = [];
+    
+    for (const region of map.regions) {
+        for (let start = region.start; start < region.start + region.size; start += blockSize) {
+            const size = Math.min(blockSize, region.start + region.size - start);
+            const offset = region.offset + (start - region.start);
+            
+            for (let i = offset; i < offset + size; i++) {
+                if (originalData[i] !== newData[i]) {
+                    blocks.push({ start, offset, size });
+                    break;
+                }
+            }
+        }
+    }
+    
+    return blocks;
+}
+
+/**
+ * Count the write blocks a full upload of the memory map sends.
+ *
+ * @param {Object} protocol - Protocol definition (from getRadioProtocol)
+ * @param {number} memSize - Model memory size
+ */
+export function getBlockCount(protocol, memSize) {
+    const blockSize = protocol.write?.blockSize || 16;
+    return getMemoryMap(protocol, memSize).regions
+        .reduce((count, region) => count + Math.ceil(region.size / blockSize), 0);
+}
+
+/**
+ * Build the list of handshakes to try when detecting an unknown radio.
+ * Models whose protocol, handshake and baud rate are identical are
+ * grouped so each distinct handshake is only tried once.
+ * Returns [{ vendor, model, baudRate, models: [{ vendor, model }] }]
+ */
+export function getDetectionCandidates() {
+    const groups = new Map();
+    
+    for (const [vendor, models] of Object.entries(RADIO_MODELS)) {
+        for (const model of Object.keys(models)) {
+            const protocol = getRadioProtocol(vendor, model);
+            if (!protocol.handshake) continue;
+            
+            const key = `${protocol.modelDef.protocol}|${protocol.baudRate}|${JSON.stringify(protocol.handshake)}`;
+            if (!groups.has(key)) {
+                groups.set(key, { vendor, model, baudRate: protocol.baudRate || 9600, models: [] });
+            }
+            groups.get(key).models.push({ vendor, model });
+        }
+    }
+    
+    return [...groups.values()];
+}
+
+/**
+ * Pick the model within a detection candidate group that matches the
+ * identification bytes the radio sent during the handshake.
+ * 
+ * A model's identMatch (string or byte array prefix) is checked first,
+ * then the model name is searched for in the printable ident text
+ * (longest match wins, so "KG-UV8D Plus" beats "KG-UV8D").
+ * Returns { vendor, model, exact } - exact is false when the group
+ * has several models and none of them matched.
+ */
+export function matchIdentification(candidate, identification) {
+    const ident = Array.from(identification || []);
+    const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const identText = normalize(ident.map(b => String.fromCharCode(b)).join(''));
+    
+    for (const { vendor, model } of candidate.models) {
+        const match = RADIO_MODELS[vendor][model].identMatch;
+        if (!match) continue;
+        
+        const bytes = typeof match === 'string' ? Array.from(match, c => c.charCodeAt(0)) : match;
+        if (bytes.every((b, i) => ident[i] === b)) {
+            return { vendor, model, exact: true };
+        }
+    }
+    
+    let best = null;
+    for (const { vendor, model } of candidate.models) {
+        const name = normalize(RADIO_MODELS[vendor][model].name);
+        if (name && identText.includes(name) && (!best || name.length > best.length)) {
+            best = { vendor, model, length: name.length };
+        }
+    }
+    if (best) {
+        return { vendor: best.vendor, model: best.model, exact: true };
+    }
+    
+    return { vendor: candidate.vendor, model: candidate.model, exact: candidate.models.length === 1 };
+}
@@ -0,0 +1,330 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Node.js Serial Drivers
+ * ============================================================================
+ * 
+ * OVERVIEW:
+ * Backends that let SerialConnection (and so RadioClone) run under Node,
+ * for scripts and CI. The browser build never imports this module.
+ * 
+ * DRIVERS:
+ *   NodeStreamDriver - Any Node duplex stream: a node-serialport SerialPort,
+ *                      a tty or pseudo-terminal opened with openTty(), a socket,
+ *                      or one end of createVirtualPair()
+ * 
+ * HELPERS:
+ *   openTty(path, baudRate)    - Open a tty / pseudo-terminal device in raw mode
+ *   createVirtualPair()        - Two cross-connected in-memory streams
+ *   connectEmulator(emu, side) - Let a RadioEmulator answer on one stream
+ * 
+ * USAGE (real cable, with the serialport package installed):
+ *   import { SerialPort } from 'serialport';
+ *   const port = new SerialPort({ path: '/dev/ttyUSB0', baudRate: 9600, autoOpen: false });
+ *   const conn = new SerialConnection(null, new NodeStreamDriver(port));
+ *   await conn.open({ baudRate: 9600 });
+ *   const clone = new RadioClone(conn);
+ *   clone.setRadio('baofeng', 'uv5r');
+ *   const image = await clone.download(0);
+ * 
+ * USAGE (virtual serial pair, e.g. `socat pty,raw,echo=0,link=/tmp/radio
+ * pty,raw,echo=0,link=/tmp/host` with an emulator serving /tmp/radio):
+ *   const conn = new SerialConnection(null, new NodeStreamDriver(openTty('/tmp/host')));
+ * 
+ * USAGE (in-process, no devices at all):
+ *   const [host, radio] = createVirtualPair();
+ *   await connectEmulator(new RadioEmulator('baofeng', 'uv5r'), radio);
+ *   const conn = new SerialConnection(null, new NodeStreamDriver(host));
+ * 
+ * ============================================================================
+ */
+
+import fs from 'node:fs';
+import tty from 'node:tty';
+import { execFileSync } from 'node:child_process';
+import { Duplex } from 'node:stream';
+
+/**
+ * ============================================================================
+ * NodeStreamDriver Class
+ * ============================================================================
+ * SerialConnection backend over a Node duplex stream.
+ * 
+ * Received data is queued as it arrives, so nothing is lost between
+ * reads. Signals and baud rate changes are passed on when the stream
+ * supports them (node-serialport's set(), get() and update()); on plain
+ * streams and pseudo-terminals they are accepted and ignored.
+ */
+export class NodeStreamDriver {
+    /**
+     * @param {Duplex} stream - Stream connected to the radio
+     */
+    constructor(stream) {
+        this.stream = stream;
+        this.queue = [];          // Received chunks not read yet
+        this.waiting = null;      // Resolves a read() waiting for data
+        this.ended = false;       // Stream closed or failed
+        this.error = null;        // Error that ended the stream
+        
+        this.onData = (chunk) => {
+            this.queue.push(new Uint8Array(chunk));
+            this.wake();
+        };
+        this.onEnd = (err) => {
+            this.ended = true;
+            this.error = err instanceof Error ? err : null;
+            this.wake();
+        };
+    }
+    
+    /**
+     * Resolve a pending read().
+     */
+    wake() {
+        if (this.waiting) {
+            const resolve = this.waiting;
+            this.waiting = null;
+            resolve();
+        }
+    }
+    
+    /**
+     * Start listening, opening the port first if it is a closed SerialPort.
+     * 
+     * @param {Object} settings - { baudRate, dataBits, stopBits, parity, flowControl }
+     */
+    async open(settings) {
+        if (this.stream.isOpen === false && typeof this.stream.open === 'function') {
+            await new Promise((resolve, reject) => this.stream.open(err => err ? reject(err) : resolve()));
+        }
+        if (settings.baudRate && this.stream.baudRate !== undefined && this.stream.baudRate !== settings.baudRate) {
+            await this.setBaudRate(settings.baudRate);
+        }
+        
+        this.queue = [];
+        this.ended = false;
+        this.error = null;
+        this.stream.on('data', this.onData);
+        this.stream.on('end', this.onEnd);
+        this.stream.on('close', this.onEnd);
+        this.stream.on('error', this.onEnd);
+    }
+    
+    /**
+     * Stop listening and release the stream.
+     */
+    async close() {
+        this.onEnd();
+        
+        // Listeners stay attached until 'close', so errors raised while
+        // tearing the stream down are not reported as unhandled
+        await new Promise(resolve => {
+            if (this.stream.destroyed) {
+                resolve();
+                return;
+            }
+            this.stream.once('close', resolve);
+            this.stream.destroy();
+        });
+        
+        this.stream.off('data', this.onData);
+        this.stream.off('end', this.onEnd);
+        this.stream.off('close', this.onEnd);
+        this.stream.off('error', this.onEnd);
+    }
+    
+    /**
+     * @param {Uint8Array} data - Bytes to send
+     */
+    async write(data) {
+        if (this.ended) {
+            throw this.error || new Error('Port closed');
+        }
+        await new Promise((resolve, reject) => {
+            this.stream.write(Buffer.from(data), err => err ? reject(err) : resolve());
+        });
+    }
+    
+    /**
+     * Wait for the next chunk of received bytes.
+     * 
+     * @param {number} timeout - Milliseconds to wait (Infinity = no limit)
+     * @returns {Promise<Uint8Array|null>} Data, or null on timeout / stream end
+     */
+    async read(timeout) {
+        if (this.queue.length === 0 && !this.ended) {
+            let timer = null;
+            await new Promise(resolve => {
+                this.waiting = resolve;
+                if (Number.isFinite(timeout)) {
+                    timer = setTimeout(() => this.wake(), timeout);
+                }
+            });
+            clearTimeout(timer);
+        }
+        
+        if (this.queue.length === 0) {
+            if (this.error) {
+                throw this.error;
+            }
+            return null;
+        }
+        
+        // Hand out everything that arrived so far in one chunk
+        const chunks = this.queue.splice(0);
+        const data = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return data;
+    }
+    
+    /**
+     * Change the baud rate in place (node-serialport), if supported.
+     * 
+     * @param {number} baudRate - New baud rate
+     */
+    async setBaudRate(baudRate) {
+        if (typeof this.stream.update === 'function') {
+            await new Promise((resolve, reject) => this.stream.update({ baudRate }, err => err ? reject(err) : resolve()));
+        }
+    }
+    
+    /**
+     * @param {Object} signals - { dataTerminalReady, requestToSend, break }
+     */
+    async setSignals(signals) {
+        if (typeof this.stream.set !== 'function') {
+            return;
+        }
+        
+        const flags = {};
+        if (signals.dataTerminalReady !== undefined) flags.dtr = signals.dataTerminalReady;
+        if (signals.requestToSend !== undefined) flags.rts = signals.requestToSend;
+        if (signals.break !== undefined) flags.brk = signals.break;
+        await new Promise((resolve, reject) => this.stream.set(flags, err => err ? reject(err) : resolve()));
+    }
+    
+    /**
+     * @returns {Promise<Object>} Input signals in Web Serial naming
+     */
+    async getSignals() {
+        if (typeof this.stream.get !== 'function') {
+            return { clearToSend: false, dataCarrierDetect: false, dataSetReady: false, ringIndicator: false };
+        }
+        
+        const status = await new Promise((resolve, reject) => this.stream.get((err, s) => err ? reject(err) : resolve(s)));
+        return {
+            clearToSend: !!status.cts,
+            dataCarrierDetect: !!status.dcd,
+            dataSetReady: !!status.dsr,
+            ringIndicator: false
+        };
+    }
+    
+    /**
+     * @returns {Object} { path } of the device, if known
+     */
+    getInfo() {
+        return { path: this.stream.path || null };
+    }
+}
+
+/**
+ * Open a tty or pseudo-terminal device (e.g. one end of a socat pair).
+ * 
+ * The terminal is switched to raw mode with stty so bytes pass unchanged
+ * in both directions (Node's own setRawMode() still turns LF into CR LF on
+ * output), and to the given line speed for real USB cables. DTR/RTS
+ * can't be controlled this way - use node-serialport for cables that
+ * need them.
+ * 
+ * @param {string} path - Device path, e.g. '/dev/ttyUSB0' or '/dev/pts/3'
+ * @param {number} [baudRate] - Line speed (default: leave unchanged)
+ * @returns {Duplex} Stream for NodeStreamDriver
+ */
+export function openTty(path, baudRate = null) {
+    const fd = fs.openSync(path, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+    if (!tty.isatty(fd)) {
+        fs.closeSync(fd);
+        throw new Error(`${path} is not a terminal device`);
+    }
+    
+    try {
+        const args = baudRate ? ['raw', '-echo', String(baudRate)] : ['raw', '-echo'];
+        execFileSync('stty', args, { stdio: [fd, 'ignore', 'pipe'] });
+    } catch (error) {
+        fs.closeSync(fd);
+        throw new Error(`Could not configure ${path}: ${error.message}`);
+    }
+    
+    const input = new tty.ReadStream(fd);
+    const output = new tty.WriteStream(fd);
+    
+    const stream = Duplex.from({ readable: input, writable: output });
+    stream.path = path;
+    return stream;
+}
+
+/**
+ * Create two in-memory streams wired to each other, like a null-modem
+ * cable: whatever is written to one is received on the other.
+ * 
+ * @returns {Array<Duplex>} [host, radio] ends of the pair
+ */
+export function createVirtualPair() {
+    let host = null;
+    let radio = null;
+    
+    const makeEnd = (peer) => new Duplex({
+        read() {},
+        write(chunk, encoding, callback) {
+            peer().push(chunk);
+            callback();
+        },
+        final(callback) {
+            peer().push(null);
+            callback();
+        },
+        destroy(err, callback) {
+            // Like pulling the cable: the other end sees the port close
+            peer().push(null);
+            callback(err);
+        }
+    });
+    
+    host = makeEnd(() => radio);
+    radio = makeEnd(() => host);
+    return [host, radio];
+}
+
+/**
+ * Serve a RadioEmulator on a stream, so a SerialConnection on the other
+ * end of the pair (or of a pseudo-terminal) talks to it like a radio.
+ * 
+ * If the emulator fails, the stream is destroyed so the other end sees
+ * the port close instead of waiting for a reply that never comes.
+ * 
+ * @param {RadioEmulator} emulator - Emulated radio
+ * @param {Duplex} stream - Radio side of the connection
+ */
+export async function connectEmulator(emulator, stream) {
+    await emulator.open();
+    
+    // Chunks are handled strictly in order
+    let busy = Promise.resolve();
+    stream.on('data', (chunk) => {
+        busy = busy.then(async () => {
+            if (stream.destroyed) return;
+            await emulator.write(new Uint8Array(chunk));
+            const reply = await emulator.read(0);
+            if (reply.length > 0) {
+                stream.write(Buffer.from(reply));
+            }
+        }).catch((error) => {
+            console.error('Emulator failed:', error);
+            stream.destroy();
+        });
+    });
+}
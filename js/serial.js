@@ -10,8 +10,18 @@
  * 
  * KEY CLASSES:
  *   SerialConnection - Low-level serial port management
+ *   WebSerialDriver  - Web Serial API backend for SerialConnection
  *   RadioClone       - High-level radio communication protocol handler
  * 
+ * DRIVERS:
+ * SerialConnection talks to the port through a driver, so the same code
+ * runs in the browser (WebSerialDriver, the default) and under Node
+ * (NodeStreamDriver in serial-node.js, for scripts and CI).
+ * 
+ * TRACING:
+ * A SerialConnection created with a SerialTrace (trace.js) records every
+ * byte written and read, signal changes and port events into it.
+ * 
  * SERIAL COMMUNICATION BASICS:
  * Radios communicate over serial connections (typically USB-to-serial adapters)
  * with parameters:
@@ -38,13 +48,22 @@
  * ============================================================================
  */
 
+import { SerialTrace } from './trace.js';
+
 /**
  * ============================================================================
  * SerialConnection Class
  * ============================================================================
- * Manages a Web Serial API connection to a USB-serial adapter.
+ * Manages a serial connection to a USB-serial adapter.
  * Provides low-level read/write operations with timeout support.
  * 
+ * The port itself is handled by a driver (Web Serial by default). A driver
+ * implements:
+ *   open(settings), close(), write(Uint8Array),
+ *   read(timeout) -> Uint8Array, or null on timeout / end of stream,
+ *   setSignals(signals), getSignals(), getInfo()
+ * and optionally requestPort() and setBaudRate(baudRate).
+ * 
  * USAGE:
  *   const conn = new SerialConnection();
  *   await conn.requestPort();    // User selects port
@@ -53,6 +72,9 @@
  *   const response = await conn.read(4, 1000);   // Read 4 bytes, 1s timeout
  *   await conn.close();
  * 
+ *   // Under Node (see serial-node.js)
+ *   const conn = new SerialConnection(null, new NodeStreamDriver(stream));
+ * 
  * SERIAL SIGNALS:
  * In addition to data, serial ports have control signals:
  *   - DTR (Data Terminal Ready) : Indicates computer is ready
@@ -67,18 +89,19 @@ export class SerialConnection {
     /**
      * Create a new SerialConnection instance.
      * Does not connect - call requestPort() and open() to connect.
+     * 
+     * @param {SerialTrace} [trace] - Trace that records all traffic
+     * @param {Object} [driver] - Port backend (default: WebSerialDriver)
      */
-    constructor() {
-        // Web Serial API port object
-        this.port = null;
+    constructor(trace = null, driver = null) {
+        // Port backend
+        this.driver = driver || new WebSerialDriver();
         
-        // Stream reader/writer for async I/O
-        this.reader = null;
-        this.writer = null;
+        // Traffic recorder (null = no tracing)
+        this.trace = trace;
         
-        // Promises for stream closure
-        this.readableStreamClosed = null;
-        this.writableStreamClosed = null;
+        // Bytes received beyond what the last read() asked for
+        this.rxBuffer = [];
         
         // Connection state
         this.connected = false;
@@ -107,7 +130,7 @@ export class SerialConnection {
      * @returns {boolean} True if Web Serial API is available
      */
     static isSupported() {
-        return 'serial' in navigator;
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
     }
 
     /**
@@ -153,32 +176,11 @@ export class SerialConnection {
      * @throws {Error} If Web Serial API not supported or permission denied
      */
     async requestPort() {
-        if (!SerialConnection.isSupported()) {
-            throw new Error('Web Serial API is not supported in this browser. Please use Chrome or Edge.');
-        }
-
-        try {
-            // First attempt: Show only known radio cable vendors
-            this.port = await navigator.serial.requestPort({
-                filters: SerialConnection.getRadioFilters()
-            });
+        // Drivers that are bound to a port up front don't need a picker
+        if (!this.driver.requestPort) {
             return true;
-        } catch (e) {
-            if (e.name === 'NotFoundError') {
-                // User cancelled, or no matching devices found
-                // Try again without filters to show all serial ports
-                try {
-                    this.port = await navigator.serial.requestPort();
-                    return true;
-                } catch (e2) {
-                    if (e2.name === 'NotFoundError') {
-                        return false; // User cancelled port picker
-                    }
-                    throw e2;
-                }
-            }
-            throw e;
         }
+        return await this.driver.requestPort(SerialConnection.getRadioFilters());
     }
 
     /**
@@ -201,10 +203,6 @@ export class SerialConnection {
      * @throws {Error} If port not selected or open fails
      */
     async open(options = {}) {
-        if (!this.port) {
-            throw new Error('No port selected');
-        }
-
         // Merge options with defaults
         const settings = {
             baudRate: options.baudRate || this.baudRate,
@@ -215,23 +213,57 @@ export class SerialConnection {
         };
 
         // Open the port with specified settings
-        await this.port.open(settings);
+        await this.driver.open(settings);
         this.connected = true;
+        this.rxBuffer = [];
+        this.baudRate = settings.baudRate;
+        this.trace?.event(`open ${settings.baudRate} baud ${settings.dataBits}${settings.parity[0].toUpperCase()}${settings.stopBits}`);
 
         // Set DTR/RTS signals if requested
         // Many programming cables require these to be set
         // DTR often provides power to the programming interface
         // RTS may be used to wake the radio or enter programming mode
         if (options.dtr !== undefined || options.rts !== undefined) {
-            await this.port.setSignals({
+            const signals = {
                 dataTerminalReady: options.dtr !== false,
                 requestToSend: options.rts !== false
-            });
+            };
+            await this.driver.setSignals(signals);
+            this.trace?.signals(signals);
         }
 
         return true;
     }
 
+    /**
+     * Change the baud rate of an open connection.
+     * 
+     * Web Serial cannot change settings on an open port, so the port is
+     * closed and reopened with the new rate (keeping DTR/RTS asserted),
+     * unless the driver can change it in place.
+     * Used when probing radios that talk at different speeds.
+     * 
+     * @param {number} baudRate - New baud rate
+     */
+    async setBaudRate(baudRate) {
+        if (this.connected && this.baudRate === baudRate) {
+            return;
+        }
+        
+        // Some drivers can switch in place (node-serialport's update())
+        if (this.connected && this.driver.setBaudRate) {
+            await this.driver.setBaudRate(baudRate);
+            this.baudRate = baudRate;
+            this.trace?.event(`baud rate ${baudRate}`);
+            return;
+        }
+        
+        if (this.connected) {
+            await this.close();
+        }
+        await this.open({ baudRate, dtr: true, rts: true });
+    }
+
     /**
      * Close the serial connection.
      * 
@@ -243,26 +275,12 @@ export class SerialConnection {
      * Always call this when done to release the port for other applications.
      */
     async close() {
-        // Cancel any pending read
-        if (this.reader) {
-            await this.reader.cancel();
-            await this.readableStreamClosed?.catch(() => {});
-            this.reader = null;
-        }
-
-        // Close writer
-        if (this.writer) {
-            await this.writer.close();
-            await this.writableStreamClosed?.catch(() => {});
-            this.writer = null;
-        }
-
-        // Close port
-        if (this.port) {
-            await this.port.close();
-            this.port = null;
+        if (this.connected) {
+            await this.driver.close();
+            this.trace?.event('close');
         }
 
+        this.rxBuffer = [];
         this.connected = false;
     }
 
@@ -280,31 +298,25 @@ export class SerialConnection {
      * @throws {Error} If not connected or invalid data type
      */
     async write(data) {
-        if (!this.connected || !this.port) {
+        if (!this.connected) {
             throw new Error('Not connected');
         }
 
-        // Get a writer for this write operation
-        const writer = this.port.writable.getWriter();
-        try {
-            // Convert input to Uint8Array
-            let dataToSend;
-            if (data instanceof Uint8Array) {
-                dataToSend = data;
-            } else if (typeof data === 'string') {
-                dataToSend = new TextEncoder().encode(data);
-            } else if (Array.isArray(data)) {
-                dataToSend = new Uint8Array(data);
-            } else {
-                throw new Error('Invalid data type');
-            }
-            
-            // Write data to the port
-            await writer.write(dataToSend);
-        } finally {
-            // Always release the writer lock
-            writer.releaseLock();
+        // Convert input to Uint8Array
+        let dataToSend;
+        if (data instanceof Uint8Array) {
+            dataToSend = data;
+        } else if (typeof data === 'string') {
+            dataToSend = new TextEncoder().encode(data);
+        } else if (Array.isArray(data)) {
+            dataToSend = new Uint8Array(data);
+        } else {
+            throw new Error('Invalid data type');
         }
+        
+        // Write data to the port
+        await this.driver.write(dataToSend);
+        this.trace?.tx(dataToSend);
     }
 
     /**
@@ -318,6 +330,7 @@ export class SerialConnection {
      * 
      * If timeout expires before all bytes are received, returns
      * whatever bytes were received (may be less than requested).
+     * Bytes beyond the requested length are kept for the next read.
      * 
      * @param {number} length - Number of bytes to read (0 = read until timeout)
      * @param {number} timeout - Timeout in milliseconds (default 5000)
@@ -325,59 +338,36 @@ export class SerialConnection {
      * @throws {Error} If not connected
      */
     async read(length = 0, timeout = 5000) {
-        if (!this.connected || !this.port) {
+        if (!this.connected) {
             throw new Error('Not connected');
         }
 
-        const reader = this.port.readable.getReader();
-        const buffer = [];
-        let totalRead = 0;
-
-        try {
-            const startTime = Date.now();
-
-            // Read loop - continue until we have enough data or timeout
-            while (length === 0 || totalRead < length) {
-                // Check if we've exceeded the timeout
-                if (Date.now() - startTime > timeout) {
-                    break;
-                }
-
-                // Race between reading data and timeout
-                const { value, done } = await Promise.race([
-                    reader.read(),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Timeout')), timeout - (Date.now() - startTime))
-                    )
-                ]).catch(e => {
-                    if (e.message === 'Timeout') {
-                        return { done: true };  // Timeout - stop reading
-                    }
-                    throw e;
-                });
+        const startTime = Date.now();
 
-                if (done) {
-                    break;  // Stream ended or timeout
-                }
+        // Read loop - continue until we have enough data or timeout
+        while (length === 0 || this.rxBuffer.length < length) {
+            const remaining = timeout - (Date.now() - startTime);
+            if (remaining <= 0) {
+                break;
+            }
 
-                if (value) {
-                    // Append received bytes to buffer
-                    buffer.push(...value);
-                    totalRead += value.length;
-                    
-                    // If we have enough data, stop reading
-                    if (length > 0 && totalRead >= length) {
-                        break;
-                    }
-                }
+            const value = await this.driver.read(remaining);
+            if (!value) {
+                break;  // Timeout or stream ended
             }
-        } finally {
-            // Always release the reader lock
-            reader.releaseLock();
+            
+            // Append received bytes to buffer
+            this.trace?.rx(value);
+            this.rxBuffer.push(...value);
+        }
+        
+        const received = this.rxBuffer.length;
+        if (length > 0 && received < length) {
+            this.trace?.event(`read timeout: ${received} of ${length} bytes after ${timeout} ms`);
         }
 
-        // Return only the requested number of bytes
-        return new Uint8Array(buffer.slice(0, length || buffer.length));
+        // Return only the requested number of bytes, keep the rest for the next read
+        return new Uint8Array(this.rxBuffer.splice(0, length || received));
     }
 
     /**
@@ -392,7 +382,7 @@ export class SerialConnection {
      * @throws {Error} If timeout expires before terminator found
      */
     async readUntil(terminator, timeout = 5000) {
-        if (!this.connected || !this.port) {
+        if (!this.connected) {
             throw new Error('Not connected');
         }
 
@@ -401,53 +391,39 @@ export class SerialConnection {
             ? new TextEncoder().encode(terminator)
             : new Uint8Array(terminator);
 
-        const reader = this.port.readable.getReader();
-        const buffer = [];
-
-        try {
-            const startTime = Date.now();
-
-            while (true) {
-                // Check timeout
-                if (Date.now() - startTime > timeout) {
-                    throw new Error('Timeout waiting for response');
+        // Index just past the terminator in rxBuffer, or -1
+        const findEnd = () => {
+            for (let i = 0; i + termBytes.length <= this.rxBuffer.length; i++) {
+                if (termBytes.every((b, j) => this.rxBuffer[i + j] === b)) {
+                    return i + termBytes.length;
                 }
+            }
+            return -1;
+        };
 
-                // Read next chunk with remaining timeout
-                const { value, done } = await Promise.race([
-                    reader.read(),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Timeout')), timeout - (Date.now() - startTime))
-                    )
-                ]).catch(e => {
-                    if (e.message === 'Timeout') {
-                        return { done: true };
-                    }
-                    throw e;
-                });
+        const startTime = Date.now();
+        let end = findEnd();
 
-                if (done) {
-                    break;
-                }
+        while (end < 0) {
+            // Check timeout
+            const remaining = timeout - (Date.now() - startTime);
+            if (remaining <= 0) {
+                throw new Error('Timeout waiting for response');
+            }
 
-                if (value) {
-                    buffer.push(...value);
-                    
-                    // Check if buffer ends with terminator sequence
-                    if (buffer.length >= termBytes.length) {
-                        const tail = buffer.slice(-termBytes.length);
-                        const match = tail.every((b, i) => b === termBytes[i]);
-                        if (match) {
-                            break;  // Found terminator
-                        }
-                    }
-                }
+            const value = await this.driver.read(remaining);
+            if (!value) {
+                this.trace?.event(`read stopped: terminator ${SerialTrace.hex(termBytes)} not received within ${timeout} ms`);
+                break;
             }
-        } finally {
-            reader.releaseLock();
+            
+            this.trace?.rx(value);
+            this.rxBuffer.push(...value);
+            end = findEnd();
         }
 
-        return new Uint8Array(buffer);
+        // Found terminator - or return whatever arrived
+        return new Uint8Array(this.rxBuffer.splice(0, end < 0 ? this.rxBuffer.length : end));
     }
 
     /**
@@ -462,32 +438,32 @@ export class SerialConnection {
      * @param {Function} callback - Called with (Uint8Array) for each chunk
      */
     async startReading(callback) {
-        if (!this.connected || !this.port) {
+        if (!this.connected) {
             throw new Error('Not connected');
         }
 
         this.onReceive = callback;
 
+        // Hand over anything a previous read() left behind
+        if (this.rxBuffer.length > 0 && this.onReceive) {
+            this.onReceive(new Uint8Array(this.rxBuffer.splice(0)));
+        }
+        
         // Continuous read loop
-        while (this.port.readable && this.connected) {
-            this.reader = this.port.readable.getReader();
-            try {
-                while (true) {
-                    const { value, done } = await this.reader.read();
-                    if (done) {
-                        break;
-                    }
-                    if (value && this.onReceive) {
-                        this.onReceive(value);
-                    }
+        try {
+            while (this.connected) {
+                const value = await this.driver.read(Infinity);
+                if (!value) {
+                    break;
                 }
-            } catch (e) {
-                if (this.onError) {
-                    this.onError(e);
+                this.trace?.rx(value);
+                if (this.onReceive) {
+                    this.onReceive(value);
                 }
-            } finally {
-                this.reader.releaseLock();
-                this.reader = null;
+            }
+        } catch (e) {
+            if (this.onError) {
+                this.onError(e);
             }
         }
     }
@@ -500,10 +476,7 @@ export class SerialConnection {
      * @returns {Object|null} Port info or null if not connected
      */
     getInfo() {
-        if (!this.port) {
-            return null;
-        }
-        return this.port.getInfo();
+        return this.driver.getInfo();
     }
 
     /**
@@ -522,10 +495,11 @@ export class SerialConnection {
      * @param {Object} signals - { dataTerminalReady: bool, requestToSend: bool }
      */
     async setSignals(signals) {
-        if (!this.connected || !this.port) {
+        if (!this.connected) {
             throw new Error('Not connected');
         }
-        await this.port.setSignals(signals);
+        await this.driver.setSignals(signals);
+        this.trace?.signals(signals);
     }
 
     /**
@@ -539,15 +513,227 @@ export class SerialConnection {
      * @returns {Object} Signal states
      */
     async getSignals() {
-        if (!this.connected || !this.port) {
+        if (!this.connected) {
             throw new Error('Not connected');
         }
+        return await this.driver.getSignals();
+    }
+}
+
+/**
+ * ============================================================================
+ * WebSerialDriver Class
+ * ============================================================================
+ * SerialConnection backend for the browser's Web Serial API.
+ * 
+ * One reader is kept for the lifetime of the open port. A read that times
+ * out leaves its request pending, and the next read() picks it up, so no
+ * bytes are lost between reads.
+ */
+export class WebSerialDriver {
+    constructor() {
+        this.port = null;         // SerialPort from navigator.serial
+        this.reader = null;       // Reader on port.readable while open
+        this.pendingRead = null;  // reader.read() still waiting for data
+    }
+    
+    /**
+     * Show the browser's port picker.
+     * 
+     * @param {Array} filters - USB vendor filters tried first
+     * @returns {Promise<boolean>} True if port selected, false if cancelled
+     */
+    async requestPort(filters) {
+        if (!SerialConnection.isSupported()) {
+            throw new Error('Web Serial API is not supported in this browser. Please use Chrome or Edge.');
+        }
+        
+        try {
+            // First attempt: Show only known radio cable vendors
+            this.port = await navigator.serial.requestPort({ filters });
+            return true;
+        } catch (e) {
+            if (e.name === 'NotFoundError') {
+                // User cancelled, or no matching devices found
+                // Try again without filters to show all serial ports
+                try {
+                    this.port = await navigator.serial.requestPort();
+                    return true;
+                } catch (e2) {
+                    if (e2.name === 'NotFoundError') {
+                        return false; // User cancelled port picker
+                    }
+                    throw e2;
+                }
+            }
+            throw e;
+        }
+    }
+    
+    /**
+     * @param {Object} settings - { baudRate, dataBits, stopBits, parity, flowControl }
+     */
+    async open(settings) {
+        if (!this.port) {
+            throw new Error('No port selected');
+        }
+        await this.port.open(settings);
+    }
+    
+    /**
+     * Close the port. The port stays selected, so it can be reopened
+     * (e.g. at a different baud rate) without the picker.
+     */
+    async close() {
+        // Cancel any pending read
+        if (this.reader) {
+            await this.reader.cancel().catch(() => {});
+            this.reader.releaseLock();
+            this.reader = null;
+            this.pendingRead = null;
+        }
+        
+        if (this.port) {
+            await this.port.close();
+        }
+    }
+    
+    /**
+     * @param {Uint8Array} data - Bytes to send
+     */
+    async write(data) {
+        // Get a writer for this write operation
+        const writer = this.port.writable.getWriter();
+        try {
+            await writer.write(data);
+        } finally {
+            // Always release the writer lock
+            writer.releaseLock();
+        }
+    }
+    
+    /**
+     * Wait for the next chunk of received bytes.
+     * 
+     * @param {number} timeout - Milliseconds to wait (Infinity = no limit)
+     * @returns {Promise<Uint8Array|null>} Data, or null on timeout / stream end
+     */
+    async read(timeout) {
+        if (!this.reader) {
+            if (!this.port?.readable) {
+                return null;
+            }
+            this.reader = this.port.readable.getReader();
+        }
+        if (!this.pendingRead) {
+            this.pendingRead = this.reader.read();
+        }
+        
+        let timer = null;
+        const expired = Number.isFinite(timeout)
+            ? new Promise(resolve => { timer = setTimeout(() => resolve(null), timeout); })
+            : new Promise(() => {});
+        
+        let result;
+        try {
+            result = await Promise.race([this.pendingRead, expired]);
+        } catch (e) {
+            this.pendingRead = null;
+            throw e;
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        if (result === null) {
+            return null;  // Timeout - the read stays pending for next time
+        }
+        this.pendingRead = null;
+        
+        if (result.done) {
+            this.reader.releaseLock();
+            this.reader = null;
+            return null;
+        }
+        return result.value;
+    }
+    
+    /**
+     * @param {Object} signals - { dataTerminalReady, requestToSend, break }
+     */
+    async setSignals(signals) {
+        await this.port.setSignals(signals);
+    }
+    
+    /**
+     * @returns {Promise<Object>} { clearToSend, dataCarrierDetect, dataSetReady, ringIndicator }
+     */
+    async getSignals() {
         return await this.port.getSignals();
     }
+    
+    /**
+     * @returns {Object|null} USB vendor and product IDs, or null without a port
+     */
+    getInfo() {
+        return this.port ? this.port.getInfo() : null;
+    }
 }
 
 // Import radio protocol definitions
-import { getRadioProtocol, RADIO_PROTOCOLS } from './radio-defs.js';
+import { getRadioProtocol, getDetectionCandidates, matchIdentification, getMemoryMap, getChangedBlocks, RADIO_PROTOCOLS } from './radio-defs.js';
+
+/**
+ * Error thrown when a block fails checksum verification.
+ * 
+ * Kept separate from other transfer errors so a bad block can be
+ * re-requested, while timeouts and protocol errors abort immediately.
+ */
+export class ChecksumError extends Error {
+    /**
+     * @param {number} address - Address of the block that failed
+     * @param {string} message - Optional detail message
+     */
+    constructor(address, message) {
+        super(message || `Checksum error in block at address 0x${address.toString(16).padStart(4, '0')}`);
+        this.name = 'ChecksumError';
+        this.address = address;
+    }
+}
+
+/**
+ * Error thrown when a block transfer still fails after all retries.
+ * 
+ * Download failures carry a checkpoint with the partial image, which can
+ * be passed back to RadioClone.download() to continue from the failing
+ * address after a new handshake.
+ */
+export class TransferError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} address - Address of the block that failed
+     * @param {Object} [checkpoint] - { memorySize, address, data } of a partial download
+     */
+    constructor(message, address, checkpoint = null) {
+        super(message);
+        this.name = 'TransferError';
+        this.address = address;
+        this.checkpoint = checkpoint;
+    }
+}
+
+/**
+ * Error thrown when a transfer stops because abort() was called.
+ */
+export class CancelledError extends Error {
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+// Per-block retry defaults, overridable with read/write.retries and .retryDelay
+const DEFAULT_BLOCK_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 100;  // ms, doubled after every failed attempt
 
 /**
  * ============================================================================
@@ -612,7 +798,10 @@ export class RadioClone {
     /**
      * Create a RadioClone handler for a serial connection.
      * 
-     * @param {SerialConnection} connection - Open serial connection
+     * Any object with write(data) and read(length, timeout) works as the
+     * connection - RadioEmulator (emulator.js) stands in for a real radio.
+     * 
+     * @param {SerialConnection|RadioEmulator} connection - Open serial connection
      */
     constructor(connection) {
         this.connection = connection;
@@ -621,17 +810,24 @@ export class RadioClone {
         this.vendor = '';          // Radio vendor name
         this.model = '';           // Radio model name
         this.protocol = null;      // Protocol definition from radio-defs.js
+        this.handshakeDone = false; // True when detectRadio() left the radio in clone mode
+        this.uploadedBlocks = null; // Blocks written by the last upload (for verify)
+        this.checkpoint = null;     // Progress of the current download (for resuming)
     }
 
     /**
      * Send progress update to callback.
      * 
+     * Block transfers also report their counters, so the UI can show
+     * bytes, blocks and a transfer rate.
+     * 
      * @param {string} message - Status message
      * @param {number} percent - Progress percentage (0-100)
+     * @param {Object} [transfer] - { bytes, totalBytes, blocks, totalBlocks }
      */
-    progress(message, percent) {
+    progress(message, percent, transfer = null) {
         if (this.onProgress) {
-            this.onProgress({ message, percent });
+            this.onProgress({ message, percent, ...transfer });
         }
     }
 
@@ -644,9 +840,20 @@ export class RadioClone {
     }
     
     /**
-     * Set the radio type and load its protocol definition.
+     * Whether a failed download can be continued from its checkpoint.
+     * Needs a protocol that accepts a new handshake and addressed reads
+     * starting anywhere (read.resumable).
      * 
-     * The protocol defines:
+     * @returns {boolean}
+     */
+    canResume() {
+        return !!this.protocol?.read?.resumable;
+    }
+    
+    /**
+     * Set the radio type and load its protocol definition.
+     * 
+     * The protocol defines:
      *   - Handshake sequence (magic bytes, identification)
      *   - Memory layout (regions, block sizes)
      *   - Read/write command formats
@@ -659,6 +866,7 @@ export class RadioClone {
         this.vendor = vendor;
         this.model = model;
         this.protocol = getRadioProtocol(vendor, model);
+        this.connection?.trace?.setRadio(vendor, model, this.protocol.name);
         
         // Debug logging
         console.log('Using protocol:', this.protocol.name, 'for', vendor, model);
@@ -942,10 +1150,18 @@ export class RadioClone {
      * 3. Decrypt if radio uses encryption
      * 4. Return complete memory image
      * 
+     * RESUMING:
+     * If a block still fails after its retries, a TransferError carrying a
+     * checkpoint (the partial image) is thrown. For protocols with
+     * read.resumable set, passing that checkpoint back performs a new
+     * handshake and continues from the failing address.
+     * 
      * @param {number} memorySize - Size of memory to download
+     * @param {Object} [checkpoint] - TransferError.checkpoint of a failed download
      * @returns {Promise<Uint8Array>} Complete memory contents
+     * @throws {TransferError} If a block cannot be read
      */
-    async download(memorySize) {
+    async download(memorySize, checkpoint = null) {
         this.aborted = false;
         
         // Use generic protocol if none set
@@ -956,16 +1172,30 @@ export class RadioClone {
         // Get actual memory size from model definition
         const actualMemSize = this.protocol.modelDef?.memSize || memorySize;
         
-        this.progress(`Starting download using ${this.protocol.name}...`, 0);
+        if (checkpoint) {
+            if (!this.canResume()) {
+                throw new Error(`Downloads from ${this.protocol.name} radios cannot be resumed`);
+            }
+            this.progress(`Resuming download at address 0x${checkpoint.address.toString(16)}...`, 0);
+        } else {
+            this.progress(`Starting download using ${this.protocol.name}...`, 0);
+        }
         
-        // Step 1: Perform handshake if defined
-        if (this.protocol.handshake) {
+        // Step 1: Perform handshake if defined (skipped if detectRadio() already did it)
+        if (this.protocol.handshake && !this.handshakeDone) {
             await this.performHandshake();
         }
+        this.handshakeDone = false;
         
         // Step 2: Download memory blocks
         console.log('Starting memory block download...');
-        const buffer = await this.downloadBlocks(actualMemSize);
+        const buffer = await this.downloadBlocks(actualMemSize, checkpoint);
+        if (this.aborted) {
+            throw new CancelledError('Download cancelled');
+        }
+        
+        // Step 3: Tell the radio we are done, if the protocol requires it
+        await this.endSession();
         
         console.log(`Download complete! Total bytes: ${buffer.length}`);
         this.progress('Download complete', 100);
@@ -997,10 +1227,20 @@ export class RadioClone {
      *   3. Send additional magic commands (F, M, SEND)
      *   4. Receive responses to each
      * 
+     * 'wouxun' (KG-UV8D, KG-UV9D Plus, KG-935G, etc.):
+     *   1. Send an identification record (CMD 0x80, empty payload)
+     *   2. Read the response record and verify its checksum
+     *   3. Repeat a few times - the radio often ignores the first record
+     * 
+     * 'leixen' (VV-898, VV-898S):
+     *   1. Send "\x02\x06LEIXEN\x17" in one write
+     *   2. Read the fixed 9-byte response (06 06 06 00 00 00 00 00 00)
+     * 
      * @throws {Error} If handshake fails
      */
     async performHandshake() {
         const hs = this.protocol.handshake;
+        this.identification = null;
         
         this.progress('Sending handshake...', 5);
         
@@ -1279,11 +1519,141 @@ export class RadioClone {
             }
             
             this.progress('Magic commands complete...', 9);
+            
+        } else if (hs.type === 'wouxun') {
+            // =====================================================
+            // WOUXUN RECORD-BASED HANDSHAKE
+            // =====================================================
+            // There are no magic bytes - the radio answers an ident
+            // record with a record carrying its model string.
+            const retries = hs.identRetries || 10;
+            let lastError = null;
+            
+            for (let attempt = 1; attempt <= retries && !this.aborted; attempt++) {
+                console.log(`Wouxun ident attempt ${attempt}/${retries}`);
+                this.progress(`Identifying radio (attempt ${attempt})...`, 5);
+                
+                try {
+                    await this.writeRecord(hs.identCmd);
+                    const record = await this.readRecord();
+                    
+                    if (!record.valid) {
+                        lastError = 'Checksum error in identification record';
+                    } else if (record.payload.length === 0) {
+                        lastError = 'Empty identification record';
+                    } else {
+                        this.identification = record.payload;
+                        break;
+                    }
+                } catch (e) {
+                    lastError = e.message;
+                }
+                
+                console.log('Ident attempt failed:', lastError);
+                await this.delay(100);
+            }
+            
+            if (!this.identification) {
+                throw new Error('Radio did not respond to identification. Make sure:\n' +
+                    '1. You selected the correct radio model (record start byte differs per model)\n' +
+                    '2. Radio is connected with proper programming cable\n' +
+                    '3. Radio is powered ON\n\n' +
+                    `Last error: ${lastError || 'No response'}`);
+            }
+            
+            console.log('Radio identification:', 
+                new TextDecoder().decode(this.identification.filter(b => b >= 0x20 && b < 0x7F)));
+            
+        } else if (hs.type === 'leixen') {
+            // =====================================================
+            // LEIXEN HANDSHAKE
+            // =====================================================
+            // The whole magic string is sent at once and the radio
+            // answers with a fixed 9-byte response.
+            console.log('Sending Leixen magic:', 
+                hs.magic.map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
+            await this.connection.write(new Uint8Array(hs.magic));
+            
+            const response = await this.connection.read(hs.expectResponse.length, 3000);
+            console.log('Handshake response:', 
+                Array.from(response).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
+            
+            if (response.length !== hs.expectResponse.length ||
+                !hs.expectResponse.every((b, i) => response[i] === b)) {
+                throw new Error('Radio did not respond to handshake. Make sure:\n' +
+                    '1. Radio is connected with proper programming cable\n' +
+                    '2. Radio is powered ON\n' +
+                    `Got ${response.length} bytes: ${Array.from(response).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ') || 'nothing'}`);
+            }
+            
+            this.identification = response;
         }
         
         this.progress('Handshake complete...', 10);
     }
     
+    /**
+     * Detect the connected radio by trying each known handshake in turn.
+     * 
+     * PROCESS:
+     *   1. Group all models by identical handshake (getDetectionCandidates)
+     *   2. For each group: switch baud rate if needed, run the handshake
+     *      with reduced retries
+     *   3. On the first success, match the identification bytes against
+     *      the models in that group (matchIdentification)
+     * 
+     * The radio is left in clone mode with this.handshakeDone set, so a
+     * download() on this RadioClone continues the same session.
+     * 
+     * @returns {Promise<Object>} { vendor, model, identification, exact }
+     * @throws {Error} If no handshake succeeded
+     */
+    async detectRadio() {
+        this.aborted = false;
+        const candidates = getDetectionCandidates();
+        
+        for (let i = 0; i < candidates.length && !this.aborted; i++) {
+            const candidate = candidates[i];
+            const percent = Math.floor((i / candidates.length) * 100);
+            
+            this.setRadio(candidate.vendor, candidate.model);
+            this.progress(`Detecting radio... trying ${this.protocol.modelDef.name} handshake`, percent);
+            
+            // Keep retries short - a wrong handshake should fail fast
+            const hs = this.protocol.handshake;
+            hs.identRetries = Math.min(hs.identRetries || 2, 2);
+            hs.maxAckRetries = Math.min(hs.maxAckRetries || 1, 4);
+            
+            try {
+                if (this.connection.setBaudRate) {
+                    await this.connection.setBaudRate(candidate.baudRate);
+                }
+                await this.performHandshake();
+            } catch (e) {
+                console.log(`Detection: ${candidate.vendor} ${candidate.model} handshake failed:`, e.message.split('\n')[0]);
+                await this.delay(300);
+                continue;
+            }
+            
+            const identification = this.identification;
+            const match = matchIdentification(candidate, identification);
+            console.log(`Detection: radio answered ${candidate.vendor} ${candidate.model} handshake, matched ${match.vendor} ${match.model}`);
+            
+            // Reload the matched model's protocol; the session stays open
+            this.setRadio(match.vendor, match.model);
+            this.identification = identification;
+            this.handshakeDone = true;
+            
+            this.progress(`Detected ${this.protocol.modelDef.name}`, 100);
+            return { ...match, identification };
+        }
+        
+        throw new Error('No supported radio responded. Make sure the radio is:\n' +
+            '1. Connected with a proper programming cable\n' +
+            '2. Powered ON\n' +
+            '3. Not a model that needs a key held during power-on');
+    }
+    
     /**
      * Download memory blocks based on protocol definition.
      * 
@@ -1298,101 +1668,97 @@ export class RadioClone {
      *   - regions: Array of { start, size } objects
      *   - Non-contiguous memory areas
      * 
+     * The image is built in memory-map order, so the bytes of a checkpoint
+     * are always a prefix of the full image and reading resumes at its end.
+     * 
      * @param {number} memorySize - Total size to download
+     * @param {Object} [checkpoint] - Partial download to continue from
      * @returns {Promise<Array>} Downloaded data as byte array
      */
-    async downloadBlocks(memorySize) {
+    async downloadBlocks(memorySize, checkpoint = null) {
         const buffer = [];
         const read = this.protocol.read;
         const blockSize = read.blockSize || 64;
-        const layout = this.protocol.memoryLayout || { mainStart: 0, mainEnd: memorySize };
+        const map = getMemoryMap(this.protocol, memorySize);
         
-        // Add header/identification if present
-        if (this.identification && layout.headerSize) {
-            buffer.push(...this.identification.slice(0, layout.headerSize));
-        } else if (this.identification) {
-            buffer.push(...this.identification);
+        // Add header/identification if it is part of the image
+        // (padded so image offsets always match the memory map)
+        const ident = Array.from(this.identification || []).slice(0, map.headerSize);
+        while (ident.length < map.headerSize) ident.push(0xFF);
+        
+        if (checkpoint) {
+            // The radio that answered the new handshake must be the same model
+            if (this.identification && ident.some((b, i) => b !== checkpoint.data[i])) {
+                throw new Error('A different radio answered - start the download again');
+            }
+            buffer.push(...checkpoint.data);
+        } else {
+            buffer.push(...ident);
         }
         
-        // Check if we have multiple regions (UV17Pro style)
-        if (layout.regions && Array.isArray(layout.regions)) {
-            const totalSize = layout.totalSize || memorySize;
-            let bytesRead = 0;
-            let isFirst = true;
+        const totalSize = map.totalSize - map.headerSize;
+        const totalBlocks = map.regions.reduce((count, r) => count + Math.ceil(r.size / blockSize), 0);
+        let bytesRead = buffer.length - map.headerSize;
+        let blocksRead = 0;
+        let isFirst = true;
+        this.checkpoint = { memorySize, address: map.regions[0]?.start ?? 0, data: buffer };
+        
+        console.log('Block size:', blockSize);
+        console.log('Total regions:', map.regions.length);
+        console.log('Total expected size:', totalSize);
+        
+        // Download each memory region
+        for (const region of map.regions) {
+            if (this.aborted) {
+                console.log('Download aborted');
+                break;
+            }
             
-            console.log('Multi-region download mode');
-            console.log('Block size:', blockSize);
-            console.log('Total regions:', layout.regions.length);
-            console.log('Total expected size:', totalSize);
+            console.log(`\nStarting region 0x${region.start.toString(16)} - 0x${(region.start + region.size).toString(16)} (${region.size} bytes)`);
             
-            // Download each memory region
-            for (const region of layout.regions) {
-                if (this.aborted) {
-                    console.log('Download aborted');
-                    break;
-                }
+            let blocksInRegion = 0;
+            for (let offset = region.start; offset < region.start + region.size && !this.aborted; offset += blockSize) {
+                const readSize = Math.min(blockSize, region.start + region.size - offset);
                 
-                console.log(`\nStarting region 0x${region.start.toString(16)} - 0x${(region.start + region.size).toString(16)} (${region.size} bytes)`);
-                
-                let blocksInRegion = 0;
-                for (let offset = region.start; offset < region.start + region.size && !this.aborted; offset += blockSize) {
-                    const readSize = Math.min(blockSize, region.start + region.size - offset);
-                    
-                    if (blocksInRegion === 0) {
-                        console.log(`  Reading first block at 0x${offset.toString(16)}, size ${readSize}...`);
-                    }
-                    
-                    try {
-                        const chunk = await this.readBlock(offset, readSize, isFirst);
-                        buffer.push(...chunk);
-                        bytesRead += readSize;
-                        blocksInRegion++;
-                        isFirst = false;
-                    } catch (e) {
-                        console.error(`  Block read failed at 0x${offset.toString(16)}:`, e.message);
-                        throw e;
-                    }
-                    
-                    // Log progress every 1KB
-                    if (bytesRead % 1024 === 0) {
-                        console.log(`  Progress: ${bytesRead} bytes (${blocksInRegion} blocks in this region)`);
-                    }
-                    
-                    const percent = 10 + Math.floor((bytesRead / totalSize) * 85);
-                    this.progress(`Downloading... ${Math.floor((bytesRead / totalSize) * 100)}%`, percent);
+                // Already read before the checkpoint
+                if (region.offset + (offset - region.start) < buffer.length) {
+                    blocksRead++;
+                    continue;
                 }
+                this.checkpoint.address = offset;
                 
-                console.log(`  Region complete: ${blocksInRegion} blocks, total ${bytesRead} bytes`);
-            }
-            
-            return buffer;
-        }
-        
-        // Standard single-region layout
-        const mainStart = layout.mainStart || 0;
-        const mainEnd = Math.min(layout.mainEnd || memorySize, memorySize);
-        
-        let isFirst = true;
-        for (let offset = mainStart; offset < mainEnd && !this.aborted; offset += blockSize) {
-            const chunk = await this.readBlock(offset, blockSize, isFirst);
-            buffer.push(...chunk);
-            isFirst = false;
-            
-            const percent = 10 + Math.floor(((offset - mainStart) / (mainEnd - mainStart)) * 80);
-            this.progress(`Downloading... ${Math.floor(((offset - mainStart) / (mainEnd - mainStart)) * 100)}%`, percent);
-        }
-        
-        // Read auxiliary region if defined
-        if (layout.auxStart && layout.auxEnd && !this.aborted) {
-            for (let offset = layout.auxStart; offset < layout.auxEnd && !this.aborted; offset += blockSize) {
                 try {
-                    const chunk = await this.readBlock(offset, blockSize, false);
+                    // Radios without the auxiliary block just stop answering - don't retry
+                    const chunk = await this.readBlock(offset, readSize, isFirst, region.optional ? 0 : undefined);
                     buffer.push(...chunk);
+                    bytesRead += readSize;
+                    blocksRead++;
+                    blocksInRegion++;
+                    isFirst = false;
                 } catch (e) {
-                    console.log('Auxiliary block read failed at', offset.toString(16));
-                    break;
+                    if (this.aborted) {
+                        throw new CancelledError('Download cancelled');
+                    }
+                    if (region.optional) {
+                        console.log('Auxiliary block read failed at', offset.toString(16));
+                        buffer.length = region.offset;
+                        break;
+                    }
+                    console.error(`  Block read failed at 0x${offset.toString(16)}:`, e.message);
+                    throw new TransferError(e.message, offset, { ...this.checkpoint, data: Uint8Array.from(buffer) });
                 }
+                
+                // Log progress every 1KB
+                if (bytesRead % 1024 === 0) {
+                    console.log(`  Progress: ${bytesRead} bytes (${blocksInRegion} blocks in this region)`);
+                }
+                
+                const percent = 10 + Math.floor((bytesRead / totalSize) * 85);
+                this.progress(`Downloading... ${Math.floor((bytesRead / totalSize) * 100)}%`, percent,
+                    { bytes: bytesRead, totalBytes: totalSize, blocks: blocksRead, totalBlocks });
             }
+            
+            console.log(`  Region complete: ${blocksInRegion} blocks, total ${bytesRead} bytes`);
         }
         
         return buffer;
@@ -1410,19 +1776,112 @@ export class RadioClone {
      *   SIZE: Number of bytes to read
      * 
      * Response Format (standard):
-     *   [CMD][ADDR_HI][ADDR_LO][SIZE][DATA...][ACK?]
+     *   [CMD][ADDR_HI][ADDR_LO][SIZE][DATA...][CHECKSUM?][ACK?]
      * 
      * Response Format (UV17Pro):
      *   [HEADER 4 bytes][DATA...] (encrypted)
      * 
+     * CHECKSUMS:
+     * When read.hasChecksum is set, every block is verified with the
+     * protocol's checksum type. A bad block is requested again up to
+     * read.checksumRetries times (default 3) before the download aborts.
+     * 
+     * RETRIES:
+     * Timeouts and malformed responses are retried read.retries times
+     * (default 2), see retryBlock().
+     * 
      * @param {number} address - Memory address to read
      * @param {number} size - Number of bytes to read
      * @param {boolean} isFirst - True if first block (some protocols differ)
+     * @param {number} [retries] - Override read.retries for this block
+     * @returns {Promise<Uint8Array>} Block data
+     * @throws {ChecksumError} If the block is still corrupt after all retries
+     */
+    async readBlock(address, size, isFirst, retries) {
+        return this.retryBlock(this.protocol.read, address, retries,
+            () => this.readBlockOnce(address, size, isFirst));
+    }
+    
+    /**
+     * Run one block transfer, repeating it when it fails.
+     * 
+     * Checksum errors are retried settings.checksumRetries times (default 3)
+     * when the protocol has checksums; any other error settings.retries times
+     * (default 2). The wait before each new attempt starts at
+     * settings.retryDelay (default 100 ms) and doubles every time. Bytes
+     * still arriving from the failed attempt are discarded first.
+     * 
+     * @param {Object} settings - protocol.read or protocol.write
+     * @param {number} address - Block address (for log messages)
+     * @param {number} [retries] - Override settings.retries
+     * @param {Function} attemptFn - Performs one attempt, returns a Promise
+     * @returns {Promise<*>} Result of the first successful attempt
+     */
+    async retryBlock(settings, address, retries, attemptFn) {
+        const maxRetries = retries ?? settings.retries ?? DEFAULT_BLOCK_RETRIES;
+        const maxChecksumRetries = settings.hasChecksum ? (settings.checksumRetries ?? 3) : 0;
+        let wait = settings.retryDelay ?? DEFAULT_RETRY_DELAY;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await attemptFn();
+            } catch (e) {
+                const limit = e instanceof ChecksumError ? maxChecksumRetries : maxRetries;
+                if (attempt >= limit || this.aborted) {
+                    throw e;
+                }
+                console.warn(`${e.message} - retrying block 0x${address.toString(16)} (${attempt + 1}/${limit})`);
+                
+                await this.delay(wait);
+                wait *= 2;
+                
+                // Drop a late or partial response so it is not read as the next reply
+                await this.connection.read(0, 50);
+            }
+        }
+    }
+    
+    /**
+     * Single attempt at reading a block - see readBlock().
+     * 
+     * @param {number} address - Memory address to read
+     * @param {number} size - Number of bytes to read
+     * @param {boolean} isFirst - True if first block
      * @returns {Promise<Uint8Array>} Block data
      */
-    async readBlock(address, size, isFirst) {
+    async readBlockOnce(address, size, isFirst) {
         const read = this.protocol.read;
         
+        // Record-framed protocols (Wouxun) wrap the request and response
+        if (read.framing === 'record') {
+            await this.writeRecord(read.cmd, [(address >> 8) & 0xFF, address & 0xFF, size]);
+            const record = await this.readRecord();
+            
+            if (!record.valid) {
+                throw new ChecksumError(address);
+            }
+            
+            const respAddr = (record.payload[0] << 8) | record.payload[1];
+            if (respAddr !== address) {
+                throw new Error(`Address mismatch at 0x${address.toString(16)} (radio sent 0x${respAddr.toString(16)})`);
+            }
+            
+            const chunk = record.payload.slice(2);
+            if (chunk.length !== size) {
+                throw new Error(`Short read at address 0x${address.toString(16)}: got ${chunk.length}, expected ${size}`);
+            }
+            
+            return chunk;
+        }
+        
+        // Leixen: [CMD][LEN][ADDR_HI][ADDR_LO][SIZE][XOR], answered by a
+        // frame of the same shape carrying the data
+        if (read.framing === 'leixen') {
+            await this.connection.write(this.makeLeixenFrame(read.cmd, address, [size]));
+            const frame = await this.readLeixenFrame(address, size);
+            return frame.data;
+        }
+        
         // Build read command: cmd + address (2 bytes) + size (1 byte)
         const cmd = new Uint8Array([
             read.cmd,
@@ -1486,10 +1945,11 @@ export class RadioClone {
             }
         }
         
-        // Read data chunk
-        const chunk = await this.connection.read(size, 2000);
-        if (chunk.length !== size) {
-            throw new Error(`Short read at address 0x${address.toString(16)}: got ${chunk.length}, expected ${size}`);
+        // Read data chunk (plus trailing checksum byte if the protocol has one)
+        const expected = read.hasChecksum ? size + 1 : size;
+        const response = await this.connection.read(expected, 2000);
+        if (response.length !== expected) {
+            throw new Error(`Short read at address 0x${address.toString(16)}: got ${response.length}, expected ${expected}`);
         }
         
         // Send ACK if required
@@ -1498,7 +1958,160 @@ export class RadioClone {
             await this.delay(read.delayAfterAck || 50);
         }
         
-        return chunk;
+        // Checksum covers the data bytes only
+        if (read.hasChecksum && !this.verifyChecksum(response, this.protocol.checksum.type, this.protocol.checksum)) {
+            throw new ChecksumError(address);
+        }
+        
+        return response.slice(0, size);
+    }
+    
+    /*
+     * =========================================================================
+     * RECORD FRAMING (Wouxun)
+     * =========================================================================
+     * Wouxun radios exchange every command and response as a record:
+     * 
+     *   [START][CMD][0xFF][LEN][PAYLOAD...][CHECKSUM]
+     * 
+     * START is model-specific (0x7A-0x7D). CHECKSUM is the sum of
+     * CMD, 0xFF, LEN and the payload. PAYLOAD and CHECKSUM are encrypted
+     * together with the Wouxun XOR chain; the 4-byte header is sent clear.
+     */
+    
+    /**
+     * Send a record to the radio.
+     * 
+     * @param {number} cmd - Record command byte
+     * @param {Array|Uint8Array} payload - Unencrypted payload bytes
+     */
+    async writeRecord(cmd, payload = []) {
+        const hs = this.protocol.handshake;
+        const header = [hs.recordStart, cmd, 0xFF, payload.length];
+        
+        // Checksum covers the header (without the start byte) and the payload
+        const checked = this.addChecksum(new Uint8Array([...header.slice(1), ...payload]),
+            this.protocol.checksum.type, this.protocol.checksum);
+        const body = this.wouxunCrypt(checked.slice(3), this.protocol.encryption.valxor, false);
+        
+        await this.connection.write(new Uint8Array([...header, ...body]));
+    }
+    
+    /**
+     * Read and decrypt a record from the radio.
+     * 
+     * @returns {Promise<Object>} { cmd, payload, valid } - valid is false on checksum error
+     * @throws {Error} On timeout or malformed header
+     */
+    async readRecord() {
+        const hs = this.protocol.handshake;
+        
+        const header = await this.connection.read(4, 2000);
+        if (header.length !== 4) {
+            throw new Error('No response record from radio');
+        }
+        if (header[0] !== hs.recordStart) {
+            throw new Error(`Unexpected record start 0x${header[0].toString(16)} (expected 0x${hs.recordStart.toString(16)})`);
+        }
+        
+        const length = header[3];
+        const body = await this.connection.read(length + 1, 2000);
+        if (body.length !== length + 1) {
+            throw new Error(`Short record: got ${body.length} bytes, expected ${length + 1}`);
+        }
+        
+        const decrypted = this.wouxunCrypt(body, this.protocol.encryption.valxor, true);
+        const valid = this.verifyChecksum(new Uint8Array([...header.slice(1), ...decrypted]),
+            this.protocol.checksum.type, this.protocol.checksum);
+        
+        return { cmd: header[1], payload: decrypted.slice(0, length), valid };
+    }
+    
+    /*
+     * =========================================================================
+     * LEIXEN FRAMING
+     * =========================================================================
+     * Leixen radios frame every block as:
+     * 
+     *   [CMD][LEN][ADDR_HI][ADDR_LO][DATA...][XOR]
+     * 
+     * LEN counts the address and data bytes. XOR is the XOR of every
+     * preceding byte of the frame. A read request carries the block size
+     * as its only data byte.
+     */
+    
+    /**
+     * Build a Leixen frame.
+     * 
+     * @param {number} cmd - Command byte ('R' or 'W')
+     * @param {number} address - Block address
+     * @param {Array|Uint8Array} data - Frame data
+     * @returns {Uint8Array} Framed bytes including checksum
+     */
+    makeLeixenFrame(cmd, address, data) {
+        const frame = new Uint8Array([
+            cmd,
+            data.length + 2,
+            (address >> 8) & 0xFF,
+            address & 0xFF,
+            ...data
+        ]);
+        return this.addChecksum(frame, this.protocol.checksum.type, this.protocol.checksum);
+    }
+    
+    /**
+     * Read a Leixen data frame and validate it against the requested block.
+     * 
+     * @param {number} address - Address that was requested
+     * @param {number} size - Number of data bytes expected
+     * @returns {Promise<Object>} { cmd, address, data }
+     * @throws {Error} On timeout, address mismatch or checksum error
+     */
+    async readLeixenFrame(address, size) {
+        const where = `address 0x${address.toString(16).padStart(4, '0')}`;
+        
+        const header = await this.connection.read(4, 2000);
+        if (header.length !== 4) {
+            throw new Error(`Invalid response header at ${where}`);
+        }
+        
+        const respAddr = (header[2] << 8) | header[3];
+        const length = header[1] - 2;
+        if (respAddr !== address || length !== size) {
+            throw new Error(`Address/size mismatch at ${where} (radio sent 0x${respAddr.toString(16)}, ${length} bytes)`);
+        }
+        
+        const rest = await this.connection.read(length + 1, 2000);
+        if (rest.length !== length + 1) {
+            throw new Error(`Short read at ${where}: got ${rest.length}, expected ${length + 1}`);
+        }
+        
+        const frame = new Uint8Array([...header, ...rest]);
+        if (!this.verifyChecksum(frame, this.protocol.checksum.type, this.protocol.checksum)) {
+            throw new ChecksumError(address);
+        }
+        
+        return { cmd: header[0], address: respAddr, data: rest.slice(0, length) };
+    }
+    
+    /**
+     * End the clone session after a download or upload.
+     * 
+     * Wouxun radios stay in clone mode until they receive an end record;
+     * other protocols (Leixen) take a raw end command.
+     */
+    async endSession() {
+        const hs = this.protocol.handshake;
+        
+        if (hs?.endCmd === undefined || this.aborted) {
+            return;
+        }
+        
+        if (hs.type === 'wouxun') {
+            await this.writeRecord(hs.endCmd);
+        } else {
+            await this.connection.write(new Uint8Array(hs.endCmd));
+        }
     }
     
     /**
@@ -1520,11 +2133,29 @@ export class RadioClone {
      * 3. Upload memory blocks sequentially
      * 4. Wait for ACK after each block
      * 
+     * When the image last read from the radio is passed as originalData
+     * and the protocol allows addressed writes (write.allowPartial), only
+     * the blocks that differ are sent. Otherwise the whole image is written.
+     * 
+     * The ident only names the model, so originalData is checked against
+     * the radio first: the blocks a partial upload would skip are read
+     * back, and if any of them differs (another radio of the same model,
+     * or one edited since) the whole image is written.
+     * 
+     * Images that only define some bytes (e.g. channels converted from
+     * another model, without settings) pass those as ranges. Only the
+     * blocks touching them are written, and the rest of each block keeps
+     * what the radio holds.
+     * 
      * WARNING: This overwrites the radio's memory!
      * 
      * @param {Uint8Array} data - Complete memory image to upload
+     * @param {Uint8Array} [originalData] - Image last read from the radio
+     * @param {Array} [ranges] - Image byte ranges [start, end) to write
+     * @returns {Promise<Uint8Array>} The image as written (differs from
+     *                                data outside ranges only)
      */
-    async upload(data) {
+    async upload(data, originalData = null, ranges = null) {
         this.aborted = false;
         
         if (!this.protocol) {
@@ -1533,91 +2164,267 @@ export class RadioClone {
         
         this.progress(`Starting upload using ${this.protocol.name}...`, 0);
         
-        // Step 1: Perform handshake if defined
-        if (this.protocol.handshake) {
+        // Step 1: Perform handshake if defined (skipped if detectRadio() already did it)
+        if (this.protocol.handshake && !this.handshakeDone) {
             await this.performHandshake();
         }
+        this.handshakeDone = false;
         
         // Step 2: Upload memory blocks
-        await this.uploadBlocks(data);
+        const written = await this.uploadBlocks(data, originalData, ranges);
+        if (this.aborted) {
+            throw new CancelledError('Upload cancelled');
+        }
+        
+        // Step 3: Tell the radio we are done, if the protocol requires it
+        await this.endSession();
         
         this.progress('Upload complete', 100);
+        return written;
     }
     
     /**
      * Upload memory blocks based on protocol definition.
      * 
+     * Partial uploads fall back to a full upload when the protocol does not
+     * set write.allowPartial, the original image has a different length
+     * (e.g. it was read without the optional auxiliary block) or the radio
+     * no longer holds the original image in the blocks that would be skipped.
+     * 
      * @param {Uint8Array} data - Memory data to upload
+     * @param {Uint8Array} [originalData] - Image last read from the radio
+     * @param {Array} [ranges] - Only write these image byte ranges, see upload()
+     * @returns {Promise<Uint8Array>} The image as written
      */
-    async uploadBlocks(data) {
+    async uploadBlocks(data, originalData = null, ranges = null) {
         const write = this.protocol.write;
         const blockSize = write.blockSize || 16;
-        const layout = this.protocol.memoryLayout || { mainStart: 0, mainEnd: data.length };
+        const memSize = this.protocol.modelDef?.memSize || data.length;
+        const map = getMemoryMap(this.protocol, memSize);
+        
+        // Images downloaded from radios without the auxiliary block are shorter
+        let blocks = [];
+        for (const region of map.regions.filter(r => r.offset < data.length)) {
+            const regionEnd = region.start + Math.min(region.size, data.length - region.offset);
+            for (let memAddr = region.start; memAddr < regionEnd; memAddr += blockSize) {
+                blocks.push({
+                    start: memAddr,
+                    offset: region.offset + (memAddr - region.start),  // Image offset of this radio address
+                    size: Math.min(blockSize, regionEnd - memAddr)
+                });
+            }
+        }
         
-        // Check if we have multiple regions (UV17Pro style)
-        if (layout.regions && Array.isArray(layout.regions)) {
-            const totalSize = layout.totalSize || data.length;
-            let bytesWritten = 0;
-            let dataOffset = 0;  // Offset in our data buffer
+        let partial = write.allowPartial && originalData?.length === data.length;
+        if (ranges) {
+            const defined = new Uint8Array(data.length);
+            for (const [start, end] of ranges) {
+                defined.fill(1, start, end);
+            }
+            const total = blocks.length;
+            blocks = blocks.filter(b => defined.subarray(b.offset, b.offset + b.size).includes(1));
             
-            console.log('Multi-region upload mode');
-            console.log('Block size:', blockSize);
-            console.log('Total regions:', layout.regions.length);
+            // Keep the radio's bytes next to the ranges in the same blocks
+            const current = await this.readImageBlocks(data.length, blocks, 'Reading the radio');
+            if (this.aborted) {
+                throw new CancelledError('Upload cancelled');
+            }
+            data = new Uint8Array(data);
+            for (const block of blocks) {
+                for (let i = block.offset; i < block.offset + block.size; i++) {
+                    if (!defined[i]) data[i] = current[i];
+                }
+            }
+            partial = false;
+            console.log(`Range upload: ${blocks.length} of ${total} blocks`);
+        } else if (partial) {
+            const changed = new Set(getChangedBlocks(this.protocol, memSize, originalData, data).map(b => b.start));
+            const skipped = blocks.filter(b => !changed.has(b.start));
             
-            for (const region of layout.regions) {
-                if (this.aborted) break;
-                
-                console.log(`\nUploading region 0x${region.start.toString(16)} - 0x${(region.start + region.size).toString(16)}`);
-                
-                for (let memAddr = region.start; memAddr < region.start + region.size && !this.aborted; memAddr += blockSize) {
-                    const writeSize = Math.min(blockSize, region.start + region.size - memAddr);
-                    
-                    // Get data from our buffer at the current data offset
-                    let chunk = data.slice(dataOffset, dataOffset + writeSize);
-                    
-                    // Encrypt if needed
-                    if (this.protocol.encryption) {
-                        chunk = this.encryptUV17Pro(chunk, this.protocol.encryption.symbolIndex);
-                    }
-                    
-                    try {
-                        await this.writeBlock(memAddr, chunk);
-                        bytesWritten += writeSize;
-                        dataOffset += writeSize;
-                    } catch (e) {
-                        console.error(`Write failed at 0x${memAddr.toString(16)}:`, e.message);
-                        throw e;
-                    }
-                    
-                    // Log progress every 1KB
-                    if (bytesWritten % 1024 === 0) {
-                        console.log(`  Progress: ${bytesWritten} bytes written`);
-                    }
-                    
-                    const percent = 10 + Math.floor((bytesWritten / totalSize) * 85);
-                    this.progress(`Uploading... ${Math.floor((bytesWritten / totalSize) * 100)}%`, percent);
+            // Only skip blocks the radio still holds as they were read
+            const current = await this.readImageBlocks(data.length, skipped, 'Comparing with the radio');
+            if (this.aborted) {
+                throw new CancelledError('Upload cancelled');
+            }
+            partial = skipped.every(b => current.slice(b.offset, b.offset + b.size)
+                .every((byte, i) => byte === originalData[b.offset + i]));
+            
+            if (partial) {
+                const total = blocks.length;
+                blocks = blocks.filter(b => changed.has(b.start));
+                console.log(`Partial upload: ${blocks.length} of ${total} blocks changed`);
+            } else {
+                console.log('Radio no longer holds the original image, writing the full image');
+            }
+        } else if (originalData) {
+            console.log(`Partial upload not possible for ${this.protocol.name}, writing the full image`);
+        }
+        
+        const totalSize = blocks.reduce((sum, b) => sum + b.size, 0);
+        let bytesWritten = 0;
+        let blocksWritten = 0;
+        
+        console.log('Block size:', blockSize);
+        console.log('Blocks to write:', blocks.length);
+        
+        for (const block of blocks) {
+            if (this.aborted) break;
+            
+            let chunk = data.slice(block.offset, block.offset + block.size);
+            
+            // Encrypt if needed (UV17Pro)
+            if (this.protocol.encryption?.enabled) {
+                chunk = this.encryptUV17Pro(chunk, this.protocol.encryption.symbolIndex);
+            }
+            
+            try {
+                await this.writeBlock(block.start, chunk);
+                bytesWritten += block.size;
+                blocksWritten++;
+            } catch (e) {
+                if (this.aborted) {
+                    throw new CancelledError('Upload cancelled');
                 }
+                console.error(`Write failed at 0x${block.start.toString(16)}:`, e.message);
+                throw e;
             }
             
-            console.log(`Upload complete: ${bytesWritten} bytes written`);
-            return;
+            // Log progress every 1KB
+            if (bytesWritten % 1024 === 0) {
+                console.log(`  Progress: ${bytesWritten} bytes written`);
+            }
+            
+            const percent = 10 + Math.floor((bytesWritten / totalSize) * 85);
+            this.progress(`Uploading... ${Math.floor((bytesWritten / totalSize) * 100)}%`, percent,
+                { bytes: bytesWritten, totalBytes: totalSize, blocks: blocksWritten, totalBlocks: blocks.length });
+        }
+        
+        if (partial && blocks.length === 0) {
+            this.progress('Radio already matches the image, nothing to write', 95);
+        }
+        
+        // Remembered for verify()
+        this.uploadedBlocks = blocks;
+        
+        console.log(`Upload complete: ${bytesWritten} bytes written`);
+        return data;
+    }
+    
+    /**
+     * Read the radio's current contents of some image blocks.
+     * 
+     * Reads use the protocol's read block size, so every read block that
+     * overlaps one of the blocks is read once. Stops early if aborted.
+     * 
+     * @param {number} length - Image length
+     * @param {Array} blocks - Image blocks ({ start, offset, size })
+     * @param {string} label - Progress message
+     * @returns {Promise<Uint8Array>} Image-sized buffer holding the bytes read
+     */
+    async readImageBlocks(length, blocks, label) {
+        // Radio address -> image offset for every byte wanted
+        const readSize = this.protocol.read.blockSize || 64;
+        const map = getMemoryMap(this.protocol, this.protocol.modelDef?.memSize || length);
+        const readBlocks = new Map();
+        for (const block of blocks) {
+            const region = map.regions.find(r => block.start >= r.start && block.start < r.start + r.size);
+            const regionEnd = region.start + Math.min(region.size, length - region.offset);
+            
+            for (let addr = block.start; addr < block.start + block.size; addr++) {
+                const start = region.start + Math.floor((addr - region.start) / readSize) * readSize;
+                if (!readBlocks.has(start)) {
+                    readBlocks.set(start, {
+                        start,
+                        offset: region.offset + (start - region.start),
+                        size: Math.min(readSize, regionEnd - start)
+                    });
+                }
+            }
         }
         
-        // Standard single-region layout
-        const headerSize = layout.headerSize || 8;
-        const mainStart = Math.max(layout.mainStart || 0, headerSize);
-        const mainEnd = Math.min(layout.mainEnd || data.length, data.length);
+        const readback = new Uint8Array(length);
+        let bytesRead = 0;
+        let blocksRead = 0;
+        let isFirst = true;
+        const totalSize = [...readBlocks.values()].reduce((sum, b) => sum + b.size, 0);
         
-        for (let offset = mainStart; offset < mainEnd && !this.aborted; offset += blockSize) {
-            const chunk = data.slice(offset, offset + blockSize);
+        for (const block of readBlocks.values()) {
+            if (this.aborted) break;
             
-            if (chunk.length === 0) break;
+            const chunk = await this.readBlock(block.start, block.size, isFirst);
+            readback.set(chunk.slice(0, block.size), block.offset);
+            isFirst = false;
+            bytesRead += block.size;
+            blocksRead++;
             
-            await this.writeBlock(offset, chunk);
+            const percent = 10 + Math.floor((bytesRead / totalSize) * 85);
+            this.progress(`${label}... ${Math.floor((bytesRead / totalSize) * 100)}%`, percent,
+                { bytes: bytesRead, totalBytes: totalSize, blocks: blocksRead, totalBlocks: readBlocks.size });
+        }
+        
+        return readback;
+    }
+    
+    /**
+     * Read back the blocks of the last upload and compare them with the data.
+     * 
+     * PROCESS:
+     * 1. Wait for the radio to leave clone mode and restart
+     * 2. Perform the handshake again
+     * 3. Read every read block that overlaps a written block
+     * 4. Compare the written blocks byte by byte
+     * 
+     * Reads use the protocol's read block size, but mismatches are reported
+     * per written block so they line up with what the upload sent.
+     * 
+     * @param {Uint8Array} data - Image that was uploaded
+     * @param {Array} [blocks] - Written blocks ({ start, offset, size }),
+     *                           defaults to those of the last upload
+     * @returns {Promise<Object>} { blocks, bytes, mismatches: [{ start, offset,
+     *                            size, differences: [{ offset, expected, actual }] }] }
+     */
+    async verify(data, blocks = this.uploadedBlocks) {
+        this.aborted = false;
+        blocks = blocks || [];
+        
+        const report = { blocks: blocks.length, bytes: 0, mismatches: [] };
+        if (blocks.length === 0) {
+            return report;
+        }
+        
+        this.progress('Verifying upload...', 0);
+        
+        // Radios drop out of clone mode after an upload and need a moment
+        await this.delay(this.protocol.verifyDelay ?? 1000);
+        if (this.protocol.handshake) {
+            await this.performHandshake();
+        }
+        
+        const readback = await this.readImageBlocks(data.length, blocks, 'Verifying');
+        
+        if (this.aborted) {
+            throw new CancelledError('Verify cancelled');
+        }
+        await this.endSession();
+        
+        for (const block of blocks) {
+            const differences = [];
+            for (let i = block.offset; i < block.offset + block.size; i++) {
+                if (readback[i] !== data[i]) {
+                    differences.push({ offset: i, expected: data[i], actual: readback[i] });
+                }
+            }
+            report.bytes += block.size;
             
-            const percent = 10 + Math.floor(((offset - mainStart) / (mainEnd - mainStart)) * 85);
-            this.progress(`Uploading... ${Math.floor(((offset - mainStart) / (mainEnd - mainStart)) * 100)}%`, percent);
+            if (differences.length > 0) {
+                console.warn(`Verify mismatch in block 0x${block.start.toString(16)}: ${differences.length} bytes differ`);
+                report.mismatches.push({ ...block, differences });
+            }
         }
+        
+        console.log(`Verify complete: ${report.mismatches.length} of ${report.blocks} blocks differ`);
+        this.progress('Verify complete', 100);
+        return report;
     }
     
     /**
@@ -1635,20 +2442,65 @@ export class RadioClone {
      * Response:
      *   [ACK] (0x06 for success)
      * 
+     * Failed writes are retried write.retries times (default 2),
+     * see retryBlock().
+     * 
      * @param {number} address - Memory address to write
      * @param {Uint8Array} data - Data to write
      * @throws {Error} If write fails or no ACK received
      */
     async writeBlock(address, data) {
+        await this.retryBlock(this.protocol.write, address, undefined,
+            () => this.writeBlockOnce(address, data));
+    }
+    
+    /**
+     * Single attempt at writing a block - see writeBlock().
+     * 
+     * @param {number} address - Memory address to write
+     * @param {Uint8Array} data - Data to write
+     */
+    async writeBlockOnce(address, data) {
         const write = this.protocol.write;
         
+        // Record-framed protocols (Wouxun) acknowledge with a record echoing the address
+        if (write.framing === 'record') {
+            await this.writeRecord(write.cmd, [(address >> 8) & 0xFF, address & 0xFF, ...data]);
+            
+            let record;
+            try {
+                record = await this.readRecord();
+            } catch (e) {
+                throw new Error(`Write timeout at address 0x${address.toString(16)}: ${e.message}`);
+            }
+            
+            if (!record.valid) {
+                throw new ChecksumError(address, `Checksum error in acknowledgement for block at address 0x${address.toString(16)}`);
+            }
+            
+            const ackAddr = (record.payload[0] << 8) | record.payload[1];
+            if (ackAddr !== address) {
+                throw new Error(`Write failed at address 0x${address.toString(16)} (bad acknowledgement record)`);
+            }
+            return;
+        }
+        
+        // Leixen: the block is framed with a length and XOR checksum
+        // and acknowledged with a single ACK byte below
+        const framed = write.framing === 'leixen';
+        
+        // Protocols with checksums append one over the data bytes
+        const payload = write.hasChecksum && !framed
+            ? this.addChecksum(data, this.protocol.checksum.type, this.protocol.checksum)
+            : data;
+        
         // Build write command: cmd + address (2 bytes) + size (1 byte) + data
-        const cmd = new Uint8Array([
+        const cmd = framed ? this.makeLeixenFrame(write.cmd, address, data) : new Uint8Array([
             write.cmd,
             (address >> 8) & 0xFF,   // Address high byte
             address & 0xFF,          // Address low byte
             data.length,             // Block size
-            ...data                  // Block data
+            ...payload               // Block data (and checksum)
         ]);
         
         await this.connection.write(cmd);
@@ -1668,6 +2520,12 @@ export class RadioClone {
                 throw new Error(`No ACK at address 0x${address.toString(16)}`);
             }
             
+            if (ack[0] !== write.expectAck && write.hasChecksum && ack[0] === 0x15) {
+                // NAK - the radio rejected the block, most likely a checksum mismatch
+                throw new ChecksumError(address,
+                    `Radio rejected block at address 0x${address.toString(16)} (NAK - checksum mismatch?)`);
+            }
+            
             if (ack[0] !== write.expectAck) {
                 console.error(`Bad ACK at address 0x${address.toString(16)}: got 0x${ack[0].toString(16)}, expected 0x${write.expectAck.toString(16)}`);
                 throw new Error(`Write failed at address 0x${address.toString(16)} (bad ACK: 0x${ack[0].toString(16)})`);
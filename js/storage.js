@@ -0,0 +1,311 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Browser Storage (IndexedDB)
+ * ============================================================================
+ * 
+ * OVERVIEW:
+ * Keeps the working session in IndexedDB so it survives a browser crash or
+ * a closed tab. ChirpApp autosaves a snapshot of the open image - channels,
+ * settings, raw radio bytes, which radio it belongs to - together with the
+ * undo/redo history, and offers to recover it on the next start.
+ * 
+ * It also holds the backup library: the raw image of every successful
+ * radio download, so a radio can be rolled back to any earlier state.
+ * 
+ *   const store = new SessionStore();
+ *   await store.open();
+ *   await store.save(snapshotSession(app));
+ *   const session = restoreSession(await store.load());
+ * 
+ * DATABASE:
+ *   chirp-web (version 2)
+ *     session - One record under the key 'current': the last autosave
+ *     backups - One record per download, keyed by
+ *               [vendor, model, ident, createdAt] (added in version 2)
+ * 
+ * All tabs share the session record, so the tab that saved last wins.
+ * 
+ * ============================================================================
+ */
+
+import { Memory, RadioImage } from './memory.js';
+
+const DB_NAME = 'chirp-web';
+const DB_VERSION = 2;
+const SESSION_STORE = 'session';
+const SESSION_KEY = 'current';
+const BACKUP_STORE = 'backups';
+
+// Layout of the records written by snapshotSession()
+const SESSION_FORMAT = 1;
+
+/**
+ * Open (and create or upgrade) the app's database.
+ * 
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                db.createObjectStore(SESSION_STORE);
+            }
+            if (!db.objectStoreNames.contains(BACKUP_STORE)) {
+                db.createObjectStore(BACKUP_STORE, { keyPath: ['vendor', 'model', 'ident', 'createdAt'] });
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version of the app in another tab upgrade
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Storage is in use by an older version in another tab'));
+    });
+}
+
+/**
+ * Run one request in its own transaction and wait until it is committed.
+ * 
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - action(store) returns the IDBRequest to run
+ * @returns {Promise<*>} Result of the request
+ */
+export function runTransaction(db, storeName, mode, action) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+}
+
+/**
+ * ============================================================================
+ * SessionStore Class
+ * ============================================================================
+ * The autosaved session: one snapshot that is overwritten on every save.
+ */
+export class SessionStore {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Check if the browser can store sessions
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database. Fails in browsers that block storage (e.g. some
+     * private windows).
+     */
+    async open() {
+        this.db = await openDatabase();
+    }
+
+    /**
+     * Replace the stored session.
+     * 
+     * @param {Object} snapshot - From snapshotSession()
+     */
+    async save(snapshot) {
+        await runTransaction(this.db, SESSION_STORE, 'readwrite', store => store.put(snapshot, SESSION_KEY));
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The stored snapshot, or null if none
+     */
+    async load() {
+        const snapshot = await runTransaction(this.db, SESSION_STORE, 'readonly', store => store.get(SESSION_KEY));
+        return snapshot?.format === SESSION_FORMAT ? snapshot : null;
+    }
+
+    /**
+     * Forget the stored session (after it was recovered, discarded or saved).
+     */
+    async clear() {
+        await runTransaction(this.db, SESSION_STORE, 'readwrite', store => store.delete(SESSION_KEY));
+    }
+}
+
+/**
+ * ============================================================================
+ * BackupStore Class
+ * ============================================================================
+ * The backup library. Records are kept until the user deletes them:
+ * 
+ *   {
+ *     vendor, model,   - Radio keys (see RADIO_MODELS)
+ *     ident,           - Identification bytes as hex, '' if none
+ *     createdAt,       - Download time (ms since epoch)
+ *     radioName,       - Display name, e.g. "Baofeng UV-5R"
+ *     channels,        - Number of channels in use
+ *     rawData          - The downloaded image (Uint8Array)
+ *   }
+ * 
+ * Keys sort by radio and then by time, so list() returns each radio's
+ * backups together, oldest first.
+ */
+export class BackupStore {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Open the database (see SessionStore.open)
+     */
+    async open() {
+        this.db = await openDatabase();
+    }
+
+    /**
+     * Store a backup.
+     * 
+     * @param {Object} backup - Record as described above
+     * @returns {Promise<Array>} Its key
+     */
+    async add(backup) {
+        return runTransaction(this.db, BACKUP_STORE, 'readwrite', store => store.add(backup));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} All backups, by radio and then by time
+     */
+    async list() {
+        return runTransaction(this.db, BACKUP_STORE, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Delete a backup.
+     * 
+     * @param {Object} backup - Record from list()
+     */
+    async delete(backup) {
+        await runTransaction(this.db, BACKUP_STORE, 'readwrite',
+            store => store.delete(getBackupKey(backup)));
+    }
+}
+
+/**
+ * Key of a backup record.
+ * 
+ * @param {Object} backup - Backup record
+ * @returns {Array} [vendor, model, ident, createdAt]
+ */
+export function getBackupKey(backup) {
+    return [backup.vendor, backup.model, backup.ident, backup.createdAt];
+}
+
+/*
+ * =========================================================================
+ * SNAPSHOTS
+ * =========================================================================
+ * Snapshots are plain objects (memories as plain field copies, raw data as
+ * Uint8Array) so IndexedDB can store them with structured cloning.
+ */
+
+/**
+ * Copy a memory map into a list of plain objects.
+ * 
+ * @param {Map<number, Memory>} memories - Memories by location
+ * @returns {Array<Object>} Field copies
+ */
+function copyMemories(memories) {
+    return Array.from(memories.values(), mem => ({ ...mem }));
+}
+
+/**
+ * Rebuild a memory map from copyMemories() output.
+ * 
+ * @param {Array<Object>} list - Field copies
+ * @returns {Map<number, Memory>} Memories by location
+ */
+function rebuildMemories(list) {
+    const memories = new Map();
+    for (const fields of list) {
+        memories.set(fields.number, Object.assign(new Memory(fields.number, fields.empty), fields));
+    }
+    return memories;
+}
+
+/**
+ * Capture everything needed to pick the session up again.
+ * 
+ * @param {Object} state - { currentImage, modified, undoStack, redoStack } (a ChirpApp)
+ * @returns {Object} Snapshot for SessionStore.save()
+ */
+export function snapshotSession(state) {
+    const image = state.currentImage;
+    
+    return {
+        format: SESSION_FORMAT,
+        savedAt: Date.now(),
+        modified: state.modified,
+        image: {
+            name: image.name,
+            filename: image.filename,
+            vendor: image.vendor,
+            model: image.model,
+            features: image.features,
+            settings: image.settings,
+            memories: copyMemories(image.memories),
+            // Radio image fields (see ChirpApp.createRadioImage). Whether the
+            // radio still holds rawData is not kept: by the time the session
+            // is restored the radio may have been changed or swapped
+            rawData: image._rawData || null,
+            protocol: image._protocol || null,
+            radioVendor: image._vendor || null,
+            radioModel: image._model || null,
+            blankSettings: !!image._blankSettings,
+            unsaved: !!image._unsaved
+        },
+        undoStack: state.undoStack.map(entry => copyMemories(entry.memories)),
+        redoStack: state.redoStack.map(entry => copyMemories(entry.memories))
+    };
+}
+
+/**
+ * Turn a snapshot back into a working session.
+ * 
+ * @param {Object} snapshot - From SessionStore.load()
+ * @returns {Object} { image, modified, undoStack, redoStack, savedAt }
+ */
+export function restoreSession(snapshot) {
+    const saved = snapshot.image;
+    
+    const image = new RadioImage(saved.name, 0);
+    image.filename = saved.filename;
+    image.vendor = saved.vendor;
+    image.model = saved.model;
+    image.features = saved.features;
+    image.settings = saved.settings;
+    image.memories = rebuildMemories(saved.memories);
+    
+    if (saved.rawData) {
+        image._rawData = saved.rawData;
+        image._protocol = saved.protocol;
+        image._vendor = saved.radioVendor;
+        image._model = saved.radioModel;
+        image._blankSettings = saved.blankSettings;
+    }
+    image._unsaved = saved.unsaved;
+    
+    return {
+        image,
+        modified: snapshot.modified,
+        undoStack: snapshot.undoStack.map(list => ({ memories: rebuildMemories(list) })),
+        redoStack: snapshot.redoStack.map(list => ({ memories: rebuildMemories(list) })),
+        savedAt: snapshot.savedAt
+    };
+}
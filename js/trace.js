@@ -0,0 +1,240 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Serial Traffic Trace
+ * ============================================================================
+ * 
+ * OVERVIEW:
+ * Records every byte sent to and received from the radio, plus control
+ * signal changes and port events, with a timestamp. SerialConnection
+ * writes into a SerialTrace when one is attached:
+ * 
+ *   const trace = new SerialTrace();
+ *   const conn = new SerialConnection(trace);
+ *   ...
+ *   downloadFile(trace.toText());
+ * 
+ * The trace survives closing the port, so one trace can hold a detection
+ * attempt followed by the actual download - useful for bug reports
+ * against a specific model.
+ * 
+ * ENTRY TYPES:
+ *   tx     - Bytes written to the radio
+ *   rx     - Bytes received from the radio
+ *   signal - DTR/RTS set by setSignals()
+ *   event  - Port opened/closed, read timeouts, radio selection
+ * 
+ * EXPORT FORMATS:
+ *   toText() - Hex dump with ASCII column, one line per 16 bytes
+ *   toJSON() - Packet list in the spirit of a pcap capture:
+ *              { format, version, started, radio, packets: [
+ *                  { t, dir, len, data } | { t, dir: 'signal', signals }
+ *                  | { t, dir: 'event', text } ] }
+ *              t is seconds since the trace started, data is hex.
+ * 
+ * ============================================================================
+ */
+
+// Oldest entries are dropped beyond this, so a long session can't exhaust memory
+const DEFAULT_MAX_ENTRIES = 50000;
+
+export class SerialTrace {
+    /**
+     * Create an empty trace.
+     * 
+     * @param {number} maxEntries - Entries to keep before dropping the oldest
+     */
+    constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.onChange = null;   // Called after every new entry (for live viewers)
+        this.clear();
+    }
+    
+    /**
+     * Remove all entries and restart the clock.
+     */
+    clear() {
+        this.entries = [];      // { time, type, data?, signals?, text? }
+        this.dropped = 0;       // Entries removed because of maxEntries
+        this.started = Date.now();
+        this.radio = null;      // { vendor, model, protocol } of the last setRadio()
+        this.changed();
+    }
+    
+    /**
+     * Number of entries currently held.
+     */
+    get length() {
+        return this.entries.length;
+    }
+    
+    /*
+     * =========================================================================
+     * RECORDING
+     * =========================================================================
+     */
+    
+    /**
+     * Record bytes sent to the radio.
+     * 
+     * @param {Uint8Array|Array} bytes - Data written
+     */
+    tx(bytes) {
+        this.add({ type: 'tx', data: Uint8Array.from(bytes) });
+    }
+    
+    /**
+     * Record bytes received from the radio.
+     * 
+     * @param {Uint8Array|Array} bytes - Data read
+     */
+    rx(bytes) {
+        this.add({ type: 'rx', data: Uint8Array.from(bytes) });
+    }
+    
+    /**
+     * Record a control signal change.
+     * 
+     * @param {Object} signals - { dataTerminalReady, requestToSend, break }
+     */
+    signals(signals) {
+        this.add({ type: 'signal', signals: { ...signals } });
+    }
+    
+    /**
+     * Record a port event or note.
+     * 
+     * @param {string} text - Description
+     */
+    event(text) {
+        this.add({ type: 'event', text });
+    }
+    
+    /**
+     * Note which radio the following traffic belongs to.
+     * 
+     * @param {string} vendor - Vendor key
+     * @param {string} model - Model key
+     * @param {string} protocol - Protocol name
+     */
+    setRadio(vendor, model, protocol) {
+        this.radio = { vendor, model, protocol };
+        this.event(`radio ${vendor} ${model} (${protocol})`);
+    }
+    
+    /**
+     * Append an entry, dropping the oldest ones beyond maxEntries.
+     * 
+     * @param {Object} entry - Entry without timestamp
+     */
+    add(entry) {
+        entry.time = Date.now() - this.started;
+        this.entries.push(entry);
+        
+        if (this.entries.length > this.maxEntries) {
+            const excess = this.entries.length - this.maxEntries;
+            this.entries.splice(0, excess);
+            this.dropped += excess;
+        }
+        this.changed();
+    }
+    
+    /**
+     * Notify the viewer, if any.
+     */
+    changed() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+    
+    /*
+     * =========================================================================
+     * EXPORT
+     * =========================================================================
+     */
+    
+    /**
+     * Format bytes as space separated hex.
+     * 
+     * @param {Uint8Array} bytes - Data
+     * @returns {string} e.g. "50 BB FF 20"
+     */
+    static hex(bytes) {
+        return Array.from(bytes, b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+    }
+    
+    /**
+     * Render the trace as a readable hex dump.
+     * 
+     *      0.105  SIG  DTR=1 RTS=1
+     *      0.210  TX   50 BB FF 20 12 07 25                      |P.. ..%|
+     * 
+     * @param {number} [limit] - Only render the last `limit` entries
+     * @returns {string} Trace text
+     */
+    toText(limit = 0) {
+        const lines = [
+            '# CHIRP Web serial trace',
+            `# Started: ${new Date(this.started).toISOString()}`
+        ];
+        if (this.radio) {
+            lines.push(`# Radio: ${this.radio.vendor} ${this.radio.model} (${this.radio.protocol})`);
+        }
+        if (this.dropped > 0) {
+            lines.push(`# ${this.dropped} older entries dropped`);
+        }
+        
+        const entries = limit > 0 ? this.entries.slice(-limit) : this.entries;
+        for (const entry of entries) {
+            const time = (entry.time / 1000).toFixed(3).padStart(10);
+            
+            if (entry.type === 'signal') {
+                const s = entry.signals;
+                const parts = [];
+                if (s.dataTerminalReady !== undefined) parts.push(`DTR=${s.dataTerminalReady ? 1 : 0}`);
+                if (s.requestToSend !== undefined) parts.push(`RTS=${s.requestToSend ? 1 : 0}`);
+                if (s.break !== undefined) parts.push(`BRK=${s.break ? 1 : 0}`);
+                lines.push(`${time}  SIG  ${parts.join(' ')}`);
+            } else if (entry.type === 'event') {
+                lines.push(`${time}  ---  ${entry.text}`);
+            } else {
+                const label = entry.type.toUpperCase().padEnd(3);
+                for (let i = 0; i < entry.data.length || i === 0; i += 16) {
+                    const row = entry.data.slice(i, i + 16);
+                    const ascii = Array.from(row, b => (b >= 0x20 && b < 0x7F) ? String.fromCharCode(b) : '.').join('');
+                    const prefix = i === 0 ? `${time}  ${label}  ` : ' '.repeat(17);
+                    lines.push(`${prefix}${SerialTrace.hex(row).padEnd(48)}|${ascii}|`);
+                }
+            }
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Render the trace as a JSON-serializable packet capture.
+     * 
+     * @returns {Object} See EXPORT FORMATS above
+     */
+    toJSON() {
+        return {
+            format: 'chirp-web-serial-trace',
+            version: 1,
+            started: new Date(this.started).toISOString(),
+            radio: this.radio,
+            dropped: this.dropped,
+            packets: this.entries.map(entry => {
+                const packet = { t: entry.time / 1000, dir: entry.type };
+                if (entry.data) {
+                    packet.len = entry.data.length;
+                    packet.data = SerialTrace.hex(entry.data).replace(/ /g, '');
+                } else if (entry.signals) {
+                    packet.signals = entry.signals;
+                } else {
+                    packet.text = entry.text;
+                }
+                return packet;
+            })
+        };
+    }
+}
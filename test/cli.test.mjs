@@ -0,0 +1,85 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Command Line Tests
+ * ============================================================================
+ * 
+ * Runs js/cli.js as a child process on files in a temporary directory,
+ * with a template .img made from test/golden/uv5r.bin:
+ * 
+ *   node --test
+ *   node test/cli.test.mjs
+ * 
+ * ============================================================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { RadioImage, parseRadioMemory } from '../js/memory.js';
+import { generateIMG } from '../js/csv.js';
+import { getRadioProtocol } from '../js/radio-defs.js';
+
+// The codec logs every channel; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+
+const CLI = fileURLToPath(new URL('../js/cli.js', import.meta.url));
+
+/**
+ * Run the tool with --json and return its result object
+ */
+function runCli(...args) {
+    return JSON.parse(execFileSync(process.execPath, [CLI, ...args, '--json'], { encoding: 'utf8' }));
+}
+
+/**
+ * Write the UV-5R golden image as a CHIRP .img file
+ */
+function writeTemplate(file) {
+    const data = new Uint8Array(fs.readFileSync(new URL('golden/uv5r.bin', import.meta.url)));
+    const protocol = getRadioProtocol('baofeng', 'uv5r');
+    
+    const image = new RadioImage('template.img', 0);
+    image.applyFeatures(protocol.features);
+    for (const mem of parseRadioMemory(data, protocol.modelDef.protocol, 'baofeng', 'uv5r', protocol)) {
+        image.memories.set(mem.number, mem);
+    }
+    image._rawData = data;
+    image._protocol = protocol.modelDef.protocol;
+    image._vendor = 'baofeng';
+    image._model = 'uv5r';
+    fs.writeFileSync(file, generateIMG(image));
+}
+
+test('from-csv replaces every template channel with the CSV channels', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chirp-cli-'));
+    try {
+        const template = path.join(dir, 'template.img');
+        const csv = path.join(dir, 'one.csv');
+        const output = path.join(dir, 'new.img');
+        const exported = path.join(dir, 'new.csv');
+        writeTemplate(template);
+        fs.writeFileSync(csv,
+            'Location,Name,Frequency,Duplex,Offset,Tone,rToneFreq,cToneFreq,DtcsCode,DtcsPolarity,' +
+            'RxDtcsCode,CrossMode,Mode,TStep,Skip,Power,Comment\n' +
+            '3,ONE,446.100000,,0.000000,Tone,88.5,88.5,023,NN,023,Tone->Tone,NFM,12.50,,Low,\n');
+        
+        assert.equal(runCli('to-csv', '-i', template, '-o', exported).channels, 10);
+        
+        const result = runCli('from-csv', '-i', csv, '--template', template, '-o', output);
+        assert.equal(result.channels, 1);
+        
+        // The written image holds exactly what was reported
+        assert.equal(runCli('to-csv', '-i', output, '-o', exported).channels, 1);
+        const rows = fs.readFileSync(exported, 'utf8').trim().split('\n').slice(1);
+        assert.equal(rows.length, 1);
+        assert.match(rows[0], /^3,ONE,446\.100000,,[^,]*,Tone,88\.5,.*,NFM,.*,Low,/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
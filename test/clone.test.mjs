@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Clone Tests (download -> edit -> upload -> verify)
+ * ============================================================================
+ * 
+ * Runs a full clone session against RadioEmulator for every protocol in
+ * RADIO_PROTOCOLS, over a virtual serial pair (createVirtualPair /
+ * connectEmulator), so SerialConnection, NodeStreamDriver and RadioClone
+ * are exercised exactly as on a real cable. No hardware is needed:
+ * 
+ *   node --test
+ *   node test/clone.test.mjs
+ * 
+ * ============================================================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { SerialConnection, RadioClone } from '../js/serial.js';
+import { NodeStreamDriver, createVirtualPair, connectEmulator } from '../js/serial-node.js';
+import { RadioEmulator } from '../js/emulator.js';
+import { RADIO_PROTOCOLS, RADIO_MODELS, getRadioProtocol, getMemoryMap, getChangedBlocks } from '../js/radio-defs.js';
+import { RadioImage, parseRadioMemory, serializeRadioMemory, getChannelByteRanges } from '../js/memory.js';
+import { convertImage } from '../js/convert.js';
+import { generateIMG, parseIMGFile } from '../js/csv.js';
+
+// The clone code logs every block; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+
+/**
+ * First model of each protocol, as [protocolName, vendor, model]
+ */
+function getProtocolModels() {
+    const result = [];
+    for (const protocolName of Object.keys(RADIO_PROTOCOLS)) {
+        found: for (const [vendor, models] of Object.entries(RADIO_MODELS)) {
+            for (const [model, def] of Object.entries(models)) {
+                if (def.protocol === protocolName) {
+                    result.push([protocolName, vendor, model]);
+                    break found;
+                }
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Fill an image with a recognizable pattern, so every block differs from
+ * its neighbours and a misplaced block shows up
+ */
+function makeImage(size) {
+    const image = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        image[i] = (i * 7 + 3) & 0xFF;
+    }
+    return image;
+}
+
+/**
+ * Open a SerialConnection to an emulated radio over a virtual pair
+ */
+async function connect(emulator, protocol) {
+    const [host, radio] = createVirtualPair();
+    await connectEmulator(emulator, radio);
+    
+    const connection = new SerialConnection(null, new NodeStreamDriver(host));
+    await connection.open({ baudRate: protocol.baudRate || 9600 });
+    
+    const clone = new RadioClone(connection);
+    clone.setRadio(emulator.vendor, emulator.model);
+    clone.delay = async () => {};   // Skip the pacing real radios need
+    return { connection, clone };
+}
+
+/**
+ * Change the image the way the editor would: rename and retune channel 1
+ * where the protocol has a memory format, otherwise flip a few bytes
+ */
+function editImage(data, protocol, vendor, model) {
+    const protocolName = protocol.modelDef.protocol;
+    if (!protocol.memoryFormat) {
+        const map = getMemoryMap(protocol, protocol.modelDef.memSize);
+        const edited = new Uint8Array(data);
+        for (const offset of [map.headerSize, map.headerSize + 0x21, map.totalSize - 1]) {
+            edited[offset] ^= 0x5A;
+        }
+        return edited;
+    }
+    
+    const memories = parseRadioMemory(data, protocolName, vendor, model, protocol);
+    const mem = memories[0];
+    mem.empty = false;
+    mem.freq = 446006250;
+    mem.duplex = '';
+    mem.offset = 0;
+    mem.tmode = '';
+    mem.name = 'TEST';
+    return serializeRadioMemory(memories, data, protocolName, protocol);
+}
+
+for (const [protocolName, vendor, model] of getProtocolModels()) {
+    test(`${protocolName} (${vendor} ${model}): download, edit, upload, verify`, async () => {
+        const protocol = getRadioProtocol(vendor, model);
+        const memSize = protocol.modelDef.memSize;
+        const map = getMemoryMap(protocol, memSize);
+        
+        const emulator = new RadioEmulator(vendor, model, makeImage(map.totalSize));
+        const { connection, clone } = await connect(emulator, protocol);
+        
+        try {
+            // Download returns the radio's memory byte for byte
+            const data = Uint8Array.from(await clone.download(memSize));
+            assert.deepEqual(data, emulator.getImage());
+            
+            // Upload the edited image; the radio leaves clone mode after a download
+            const edited = editImage(data, protocol, vendor, model);
+            assert.notDeepEqual(edited, data, 'the edit changed the image');
+            emulator.powerCycle();
+            await clone.upload(edited, data);
+            assert.deepEqual(emulator.getImage(), edited);
+            
+            // Read-back verification of the written blocks finds no mismatch
+            emulator.powerCycle();
+            const report = await clone.verify(edited);
+            assert.ok(report.blocks > 0, 'blocks were verified');
+            assert.deepEqual(report.mismatches, []);
+        } finally {
+            await connection.close();
+        }
+    });
+}
+
+test('a failing emulator closes the port instead of leaving the host waiting', async () => {
+    const protocol = getRadioProtocol('baofeng', 'uv5r');
+    const emulator = new RadioEmulator('baofeng', 'uv5r');
+    emulator.write = async () => {
+        throw new Error('emulator fault');
+    };
+    
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+    const { connection, clone } = await connect(emulator, protocol);
+    
+    try {
+        const started = Date.now();
+        await assert.rejects(clone.download(protocol.modelDef.memSize));
+        assert.ok(Date.now() - started < 1000, 'failed without waiting for a timeout');
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0][1].message, 'emulator fault');
+    } finally {
+        console.error = consoleError;
+        await connection.close();
+    }
+});
+
+test('a partial upload is only sent to a radio that still holds the downloaded image', async () => {
+    const protocol = getRadioProtocol('baofeng', 'uv5r');
+    const memSize = protocol.modelDef.memSize;
+    const map = getMemoryMap(protocol, memSize);
+    const image = makeImage(map.totalSize);
+    
+    const upload = async (radioImage, originalData) => {
+        const emulator = new RadioEmulator('baofeng', 'uv5r', radioImage);
+        const { connection, clone } = await connect(emulator, protocol);
+        try {
+            await clone.upload(edited, originalData);
+            return { body: emulator.getImage().slice(map.headerSize), blocks: clone.uploadedBlocks.length };
+        } finally {
+            await connection.close();
+        }
+    };
+    
+    const emulator = new RadioEmulator('baofeng', 'uv5r', image);
+    const { connection, clone } = await connect(emulator, protocol);
+    let data;
+    try {
+        data = Uint8Array.from(await clone.download(memSize));
+    } finally {
+        await connection.close();
+    }
+    const edited = editImage(data, protocol, 'baofeng', 'uv5r');
+    const body = edited.slice(map.headerSize);
+    const changed = getChangedBlocks(protocol, memSize, data, edited).length;
+    const total = map.regions.reduce((sum, r) => sum + r.size, 0) / protocol.write.blockSize;
+    
+    const same = await upload(image, data);
+    assert.deepEqual(same.body, body);
+    assert.equal(same.blocks, changed, 'only the changed blocks were written');
+    assert.ok(changed < total);
+    
+    // Another radio of the same model sends the same ident
+    const other = image.map(b => b ^ 0xFF);
+    other.set(image.slice(0, map.headerSize));
+    
+    // The same radio, with a setting changed on the keypad since the download
+    const touched = Uint8Array.from(image);
+    touched[map.totalSize - 1] ^= 0x01;
+    
+    for (const radioImage of [other, touched]) {
+        const full = await upload(radioImage, data);
+        assert.deepEqual(full.body, body);
+        assert.equal(full.blocks, total, 'the whole image was written');
+    }
+    
+    // Without the original image there is nothing to compare with
+    const unknown = await upload(image, null);
+    assert.equal(unknown.blocks, total, 'the whole image was written');
+});
+
+test('a converted image only writes its channels, the radio keeps its settings', async () => {
+    const protocol = getRadioProtocol('baofeng', 'uv5r');
+    const protocolName = protocol.modelDef.protocol;
+    const map = getMemoryMap(protocol, protocol.modelDef.memSize);
+    
+    // Channels from the golden image, moved onto a blank UV-5R image
+    const golden = new Uint8Array(fs.readFileSync(new URL('golden/uv5r.bin', import.meta.url)));
+    const source = new RadioImage('golden.img', 0);
+    source.applyFeatures(protocol.features);
+    for (const mem of parseRadioMemory(golden, protocolName, 'baofeng', 'uv5r', protocol)) {
+        source.memories.set(mem.number, mem);
+    }
+    const { image } = convertImage(source, 'baofeng', 'uv5r');
+    
+    // Saved as .img and opened again, it is still known to have no settings
+    const reopened = parseIMGFile(generateIMG(image), 'converted.img');
+    assert.equal(reopened._blankSettings, true);
+    
+    const radioImage = makeImage(map.totalSize);
+    const emulator = new RadioEmulator('baofeng', 'uv5r', radioImage);
+    const { connection, clone } = await connect(emulator, protocol);
+    const ranges = getChannelByteRanges(protocolName, protocol);
+    try {
+        const written = await clone.upload(reopened._rawData, null, ranges);
+        
+        const inChannels = new Uint8Array(map.totalSize);
+        for (const [start, end] of ranges) {
+            inChannels.fill(1, start, end);
+        }
+        const result = emulator.getImage();
+        for (let i = map.headerSize; i < map.totalSize; i++) {
+            const expected = inChannels[i] ? reopened._rawData[i] : radioImage[i];
+            assert.equal(result[i], expected, `byte 0x${i.toString(16)}`);
+        }
+        assert.ok(clone.uploadedBlocks.length < map.regions.reduce((sum, r) => sum + r.size, 0) / protocol.write.blockSize,
+            'the settings blocks were not written');
+        
+        // The written blocks read back as the radio was left
+        emulator.powerCycle();
+        assert.deepEqual((await clone.verify(written)).mismatches, []);
+    } finally {
+        await connection.close();
+    }
+});
+
+test('the emulator frames blocks itself, so a RadioClone framing bug fails', async () => {
+    // Break the host side's checksum or cipher, one protocol at a time
+    const breakers = [
+        [p => p.encryption?.enabled, RadioClone.prototype, 'decryptUV17Pro', () => (buffer) => buffer],
+        [p => p.encryption?.type === 'wouxun', RadioClone.prototype, 'wouxunCrypt',
+            (original) => function (data, valxor, decrypt) { return original.call(this, data, valxor ^ 1, decrypt); }],
+        [p => p.checksum?.type === 'xor', RadioClone, 'checksumXor', (original) => (data) => original(data) ^ 1],
+        [p => p.checksum?.type === 'sum', RadioClone, 'checksumSum', (original) => (data, start) => original(data, start) ^ 1]
+    ];
+    
+    const checked = new Set();
+    for (const [protocolName, vendor, model] of getProtocolModels()) {
+        const protocol = getRadioProtocol(vendor, model);
+        const breaker = breakers.find(([applies]) => applies(protocol));
+        if (!breaker) continue;
+        
+        const [, owner, name, makeBroken] = breaker;
+        const original = owner[name];
+        const map = getMemoryMap(protocol, protocol.modelDef.memSize);
+        const emulator = new RadioEmulator(vendor, model, makeImage(map.totalSize));
+        const { connection, clone } = await connect(emulator, protocol);
+        
+        owner[name] = makeBroken(original);
+        try {
+            const data = await clone.download(protocol.modelDef.memSize).catch(() => null);
+            assert.notDeepEqual(data && Uint8Array.from(data), emulator.getImage(),
+                `${protocolName}: broken ${name} went unnoticed`);
+            checked.add(name);
+        } finally {
+            owner[name] = original;
+            await connection.close();
+        }
+    }
+    assert.equal(checked.size, breakers.length, 'every kind of framing was checked');
+});
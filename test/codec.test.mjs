@@ -0,0 +1,391 @@
+/**
+ * ============================================================================
+ * CHIRP Web - Memory Codec Tests
+ * ============================================================================
+ * 
+ * Checks parseMemoryGeneric / serializeMemoryGeneric (through
+ * parseRadioMemory / serializeRadioMemory) against one golden clone image
+ * per memoryFormat in js/radio-defs.js:
+ * 
+ *   test/golden/uv5r.bin     baofeng-uv5r     (names stored separately)
+ *   test/golden/uvb5.bin     baofeng-uvb5     (stored offset, byte tones)
+ *   test/golden/btech.bin    btech            (names stored separately)
+ *   test/golden/uv17pro.bin  baofeng-uv17pro  (name in the channel record)
+ *   test/golden/bf888s.bin   h777             (no names, no flags)
+ * 
+ * The images were encoded by hand from the layouts, not written by the
+ * serializer (see test/golden/README.md). Every image must decode to the
+ * channels listed below and serialize back byte for byte.
+ * 
+ *   node --test
+ *   node test/codec.test.mjs
+ * 
+ * ============================================================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { Memory, RadioImage, parseRadioMemory, serializeRadioMemory } from '../js/memory.js';
+import { getRadioProtocol } from '../js/radio-defs.js';
+
+// The codec logs every channel; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+
+/**
+ * Golden images with the channels they hold. Channels not listed are empty.
+ */
+const GOLDEN = {
+    uv5r: {
+        vendor: 'baofeng',
+        model: 'uv5r',
+        channels: {
+            1: { freq: 146520000, duplex: '', tmode: '', mode: 'FM', power: 'High', skip: '', name: 'CALL' },
+            2: { freq: 147000000, duplex: '+', offset: 600000, tmode: 'Tone', rtone: 100, name: 'RPT+' },
+            3: { freq: 146940000, duplex: '-', offset: 600000, tmode: 'TSQL', rtone: 100, ctone: 100, name: 'RPT-' },
+            4: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NN', name: 'DCSNN' },
+            5: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NR', name: 'DCSNR' },
+            6: { tmode: 'DTCS', dtcs: 754, dtcsPolarity: 'RN', name: 'DCSRN' },
+            7: { freq: 146520000, duplex: 'split', offset: 446000000, name: 'SPLIT' },
+            8: { freq: 162550000, duplex: 'off', offset: 0, name: 'WX' },
+            11: { freq: 446006250, mode: 'NFM', power: 'Low', skip: 'S', name: '' },
+            12: { tmode: 'Cross', crossMode: 'DTCS->Tone', dtcs: 71, ctone: 88.5, name: 'CROSS' }
+        }
+    },
+    uvb5: {
+        vendor: 'baofeng',
+        model: 'uvb5',
+        channels: {
+            1: { freq: 146520000, duplex: '', tmode: '', mode: 'FM', power: 'High', skip: '' },
+            2: { freq: 147000000, duplex: '+', offset: 600000, tmode: 'Tone', rtone: 100 },
+            3: { freq: 146940000, duplex: '-', offset: 600000, tmode: 'TSQL', rtone: 100, ctone: 100 },
+            4: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NN' },
+            5: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NR' },
+            6: { tmode: 'DTCS', dtcs: 754, dtcsPolarity: 'RN' },
+            9: { freq: 446006250, mode: 'NFM', power: 'Low', skip: 'S' }
+        }
+    },
+    btech: {
+        vendor: 'btech',
+        model: 'uv2501',
+        channels: {
+            // "No tone" is stored as 0xFFFF (1) and 0 (2 receive, 7)
+            1: { freq: 146520000, duplex: '', tmode: '', mode: 'FM', power: 'High', skip: '', name: 'CALL' },
+            2: { freq: 147000000, duplex: '+', offset: 600000, tmode: 'Tone', rtone: 100, name: 'RPT+' },
+            3: { freq: 146940000, duplex: '-', offset: 600000, tmode: 'TSQL', rtone: 100, ctone: 100, name: 'RPT-' },
+            4: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NN', name: 'DCSNN' },
+            5: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NR', name: 'DCSNR' },
+            6: { tmode: 'DTCS', dtcs: 754, dtcsPolarity: 'RN', name: 'DCSRN' },
+            7: { freq: 146520000, duplex: 'split', offset: 446000000, tmode: '', name: 'SPLIT' },
+            8: { freq: 162550000, duplex: 'off', offset: 0, name: 'WX' },
+            11: { freq: 446006250, mode: 'NFM', power: 'Low', skip: 'S', name: '' }
+        }
+    },
+    uv17pro: {
+        vendor: 'baofeng',
+        model: 'uv17pro',
+        channels: {
+            1: { freq: 146520000, duplex: '', tmode: '', mode: 'FM', power: 'High', skip: '', name: 'CALLING' },
+            2: { freq: 147000000, duplex: '+', offset: 600000, tmode: 'Tone', rtone: 100, name: 'RPT PLUS' },
+            3: { freq: 146940000, duplex: '-', offset: 600000, tmode: 'TSQL', rtone: 100, ctone: 100,
+                 power: 'Med', name: 'RPT MINUS' },
+            4: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NN', name: 'DCS NN' },
+            5: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NR', name: 'DCS NR' },
+            6: { tmode: 'DTCS', dtcs: 754, dtcsPolarity: 'RN', name: 'DCS RN' },
+            7: { freq: 146520000, duplex: 'split', offset: 446000000, name: 'SPLIT' },
+            8: { freq: 162550000, duplex: 'off', offset: 0, name: 'WEATHER' },
+            11: { freq: 446006250, mode: 'NFM', power: 'Low', skip: 'S', name: '' }
+        }
+    },
+    bf888s: {
+        vendor: 'baofeng',
+        model: 'bf888s',
+        channels: {
+            // No flags in the record: mode and power come from the format defaults
+            1: { freq: 446006250, duplex: '', tmode: '', mode: 'NFM', power: 'High' },
+            2: { freq: 446018750, tmode: 'Tone', rtone: 67 },
+            3: { freq: 446031250, tmode: 'TSQL', rtone: 67, ctone: 67 },
+            4: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NN' },
+            5: { tmode: 'DTCS', dtcs: 23, dtcsPolarity: 'NR' },
+            6: { tmode: 'DTCS', dtcs: 754, dtcsPolarity: 'RN' },
+            7: { freq: 446081250, duplex: 'split', offset: 146520000 },
+            8: { freq: 446093750, duplex: 'off', offset: 0 }
+        }
+    }
+};
+
+/**
+ * Load a golden image and the protocol it belongs to
+ */
+function loadGolden(name) {
+    const { vendor, model } = GOLDEN[name];
+    const protocol = getRadioProtocol(vendor, model);
+    const data = new Uint8Array(fs.readFileSync(new URL(`golden/${name}.bin`, import.meta.url)));
+    return { protocol, protocolName: protocol.modelDef.protocol, vendor, model, data };
+}
+
+function parse(golden, data = golden.data) {
+    return parseRadioMemory(data, golden.protocolName, golden.vendor, golden.model, golden.protocol);
+}
+
+function serialize(golden, memories, data = golden.data) {
+    return serializeRadioMemory(memories, data, golden.protocolName, golden.protocol);
+}
+
+/**
+ * Offsets where two images differ
+ */
+function changedOffsets(a, b) {
+    const offsets = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] !== b[i]) offsets.push(i);
+    }
+    return offsets;
+}
+
+/**
+ * Image offsets holding one channel: its record, and its name slot if
+ * names are stored separately
+ */
+function recordOffsets(golden, index) {
+    const format = golden.protocol.memoryFormat;
+    const start = (format.startOffset || 0) + index * format.channelSize;
+    const offsets = Array.from({ length: format.channelSize }, (_, i) => start + i);
+    if (format.nameOffset !== undefined) {
+        const nameStart = format.nameOffset + index * (format.nameStride || format.nameSize);
+        offsets.push(...Array.from({ length: format.nameSize }, (_, i) => nameStart + i));
+    }
+    return offsets;
+}
+
+/**
+ * The fields of a memory that an expectation lists
+ */
+function pick(mem, expected) {
+    return Object.fromEntries(Object.keys(expected).map(key => [key, mem[key]]));
+}
+
+/*
+ * =========================================================================
+ * GOLDEN IMAGES
+ * =========================================================================
+ */
+
+for (const name of Object.keys(GOLDEN)) {
+    test(`${name}: golden image decodes to the expected channels`, () => {
+        const golden = loadGolden(name);
+        const memories = parse(golden);
+        const expected = GOLDEN[name].channels;
+        
+        assert.equal(memories.length, golden.protocol.memoryFormat.numChannels);
+        for (const mem of memories) {
+            if (expected[mem.number]) {
+                assert.equal(mem.empty, false, `channel ${mem.number} is in use`);
+                assert.deepEqual(pick(mem, expected[mem.number]), expected[mem.number], `channel ${mem.number}`);
+            } else {
+                assert.equal(mem.empty, true, `channel ${mem.number} is empty`);
+            }
+        }
+    });
+    
+    test(`${name}: parse -> serialize is byte-identical`, () => {
+        const golden = loadGolden(name);
+        const result = serialize(golden, parse(golden));
+        assert.deepEqual(changedOffsets(result, golden.data), []);
+    });
+    
+    test(`${name}: channels written into a blank image decode the same`, () => {
+        const golden = loadGolden(name);
+        const memories = parse(golden);
+        const blank = new Uint8Array(golden.data.length).fill(0xFF);
+        const reparsed = parse(golden, serialize(golden, memories, blank));
+        
+        for (const [number, expected] of Object.entries(GOLDEN[name].channels)) {
+            assert.deepEqual(pick(reparsed[number - 1], expected), expected, `channel ${number}`);
+        }
+    });
+}
+
+/*
+ * =========================================================================
+ * EDGE CASES
+ * =========================================================================
+ */
+
+test('channels empty in the image keep their bytes, whether erased (0xFF) or zeroed', () => {
+    for (const name of Object.keys(GOLDEN)) {
+        const golden = loadGolden(name);
+        const memories = parse(golden);
+        const emptyRecords = memories.filter(m => m.empty).map(m => recordOffsets(golden, m.number - 1)).flat();
+        assert.ok(emptyRecords.length > 0, name);
+        
+        // Deleting other channels doesn't touch them
+        memories[0] = new Memory(1, true);
+        const result = serialize(golden, memories);
+        assert.deepEqual(emptyRecords.filter(o => result[o] !== golden.data[o]), [], name);
+    }
+});
+
+test('a deleted channel is erased and decodes as empty', () => {
+    for (const name of Object.keys(GOLDEN)) {
+        const golden = loadGolden(name);
+        const format = golden.protocol.memoryFormat;
+        const memories = parse(golden);
+        memories[0] = new Memory(1, true);
+        
+        const result = serialize(golden, memories);
+        assert.equal(parse(golden, result)[0].empty, true, name);
+        assert.ok(recordOffsets(golden, 0).every(o => result[o] === 0xFF), `${name}: record set to 0xFF`);
+        
+        // Nothing but channel 1 changed
+        const outside = changedOffsets(result, golden.data).filter(o => !recordOffsets(golden, 0).includes(o));
+        assert.deepEqual(outside, [], name);
+        
+        if (format.nameOffset !== undefined) {
+            assert.equal(parse(golden, result)[0].name, '', name);
+        }
+    }
+});
+
+test('a plan merged with "Clear other channels" leaves only the plan', () => {
+    // The fleet merge (ChirpApp.mergeFleetPlan) on each radio's download
+    for (const name of Object.keys(GOLDEN)) {
+        const golden = loadGolden(name);
+        const image = new RadioImage(name, 0);
+        image.applyFeatures({ channels: golden.protocol.memoryFormat.numChannels });
+        for (const mem of parse(golden)) {
+            image.memories.set(mem.number, mem);
+        }
+        
+        const plan = new Memory(3, false);
+        Object.assign(plan, { freq: 446100000, mode: 'NFM', power: 'High' });
+        const [lo, hi] = image.features.memoryBounds;
+        for (let number = lo; number <= hi; number++) {
+            image.deleteMemory(number);
+        }
+        image.setMemory(plan);
+        
+        const result = serialize(golden, image.getAllMemories());
+        const used = parse(golden, result).filter(m => !m.empty);
+        assert.deepEqual(used.map(m => [m.number, m.freq]), [[3, 446100000]], name);
+    }
+});
+
+test('a channel added to an empty slot decodes back', () => {
+    for (const name of Object.keys(GOLDEN)) {
+        const golden = loadGolden(name);
+        const memories = parse(golden);
+        const index = memories.findIndex(m => m.empty);
+        
+        const mem = new Memory(index + 1, false);
+        Object.assign(mem, { freq: 446100000, mode: 'NFM', power: 'Low', tmode: 'Tone', rtone: 88.5 });
+        memories[index] = mem;
+        
+        // Formats without flags always decode to their defaults
+        const expected = { freq: 446100000, duplex: '', tmode: 'Tone', rtone: 88.5, mode: 'NFM', power: 'Low',
+                           ...golden.protocol.memoryFormat.defaults };
+        const reparsed = parse(golden, serialize(golden, memories))[index];
+        assert.deepEqual(pick(reparsed, expected), expected, name);
+    }
+});
+
+test('DTCS polarity NR and RN can be swapped', () => {
+    for (const name of Object.keys(GOLDEN)) {
+        const golden = loadGolden(name);
+        const memories = parse(golden);
+        memories[4].dtcsPolarity = 'RN';
+        memories[5].dtcsPolarity = 'NR';
+        
+        const reparsed = parse(golden, serialize(golden, memories));
+        assert.equal(reparsed[4].dtcsPolarity, 'RN', name);
+        assert.equal(reparsed[5].dtcsPolarity, 'NR', name);
+        assert.equal(reparsed[5].dtcs, 754, name);
+    }
+});
+
+test('split and off duplex are written to the TX frequency', () => {
+    // UV-B5 stores an offset and a duplex flag, so it has neither
+    for (const name of ['uv5r', 'btech', 'uv17pro', 'bf888s']) {
+        const golden = loadGolden(name);
+        const memories = parse(golden);
+        const txOffset = golden.protocol.memoryFormat.fields.txFreq.offset;
+        const recordStart = (golden.protocol.memoryFormat.startOffset || 0) +
+                            golden.protocol.memoryFormat.channelSize;   // Channel 2
+        
+        // Split: TX frequency stored as is
+        memories[1].duplex = 'split';
+        memories[1].offset = 222000000;
+        let result = serialize(golden, memories);
+        assert.deepEqual(Array.from(result.slice(recordStart + txOffset, recordStart + txOffset + 4)),
+                         [0x00, 0x00, 0x20, 0x22], name);
+        assert.deepEqual(pick(parse(golden, result)[1], { duplex: 0, offset: 0 }),
+                         { duplex: 'split', offset: 222000000 }, name);
+        
+        // Off: TX frequency erased
+        memories[1].duplex = 'off';
+        result = serialize(golden, memories);
+        assert.deepEqual(Array.from(result.slice(recordStart + txOffset, recordStart + txOffset + 4)),
+                         [0xFF, 0xFF, 0xFF, 0xFF], name);
+        assert.equal(parse(golden, result)[1].duplex, 'off', name);
+    }
+});
+
+test('every duplex the capability profile offers is stored', () => {
+    for (const name of Object.keys(GOLDEN)) {
+        const golden = loadGolden(name);
+        for (const duplex of golden.protocol.features.validDuplexes) {
+            const memories = parse(golden);
+            memories[1].duplex = duplex;
+            memories[1].offset = duplex === 'split' ? 222000000 : duplex === 'off' ? 0 : 600000;
+            
+            const reparsed = parse(golden, serialize(golden, memories))[1];
+            assert.equal(reparsed.duplex, duplex, `${name} duplex '${duplex}'`);
+        }
+    }
+});
+
+test('names stored separately are written to their own slot only', () => {
+    for (const name of ['uv5r', 'btech']) {
+        const golden = loadGolden(name);
+        const format = golden.protocol.memoryFormat;
+        const memories = parse(golden);
+        
+        // Longer than the slot: cut to nameSize, the rest of the slot is kept
+        memories[0].name = 'REPEATERS';
+        const result = serialize(golden, memories);
+        const slot = format.nameOffset;
+        assert.deepEqual(changedOffsets(result, golden.data).filter(o => o < slot || o >= slot + format.nameSize), []);
+        assert.equal(parse(golden, result)[0].name, 'REPEATERS'.substring(0, format.nameSize), name);
+        
+        // A channel that had no name gets one
+        memories[10].name = 'NEW';
+        assert.equal(parse(golden, serialize(golden, memories))[10].name, 'NEW', name);
+    }
+});
+
+test('BTECH keeps the stored form of "no tone" until the tone changes', () => {
+    const golden = loadGolden('btech');
+    const memories = parse(golden);
+    
+    // Edit every channel except its tones
+    for (const mem of memories.filter(m => !m.empty)) {
+        mem.name = 'EDIT';
+    }
+    const result = serialize(golden, memories);
+    for (const [channel, rxTone, txTone] of [[1, 0xFFFF, 0xFFFF], [2, 0, 1000], [7, 0, 0]]) {
+        const record = (channel - 1) * 16;
+        assert.equal(result[record + 8] | (result[record + 9] << 8), rxTone, `channel ${channel} RX tone`);
+        assert.equal(result[record + 10] | (result[record + 11] << 8), txTone, `channel ${channel} TX tone`);
+    }
+    
+    // A new tone is written the way channel 5 (DTCS 23 NR) stores it:
+    // DCS index + 0x6A for reversed, + 1 for normal (btech.py _encode_tone)
+    memories[0].tmode = 'DTCS';
+    memories[0].dtcs = 23;
+    memories[0].dtcsPolarity = 'NR';
+    const toned = serialize(golden, memories);
+    assert.deepEqual(Array.from(toned.slice(8, 12)), [0x6A, 0x00, 0x01, 0x00]);
+    assert.deepEqual(Array.from(toned.slice(8, 12)), Array.from(golden.data.slice(4 * 16 + 8, 4 * 16 + 12)));
+});